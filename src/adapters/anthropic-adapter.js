@@ -0,0 +1,237 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { BaseAdapter, DEFAULT_INSTRUCTIONS } from './base-adapter.js';
+
+/**
+ * Anthropic adapter for Claude models with extended thinking
+ */
+export class AnthropicAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new Error('Anthropic API key not found in environment variables');
+    }
+
+    this.client = new Anthropic({
+      apiKey: apiKey,
+      timeout: config.timeout_ms || 1800000,
+      // The router retries with backoff; don't stack the SDK's retries on top
+      maxRetries: 0,
+    });
+
+    // Default parameters from config
+    this.defaultParams = {
+      temperature: 1.0,
+      max_tokens: 8192,
+      ...config.default_params
+    };
+
+    // Thinking token budgets per reasoning level (0 disables extended thinking)
+    this.thinkingBudgets = {
+      low: 4000,
+      medium: 16000,
+      high: 32000,
+      ...config.thinking_budgets
+    };
+  }
+
+  async call(args) {
+    this.validateArgs(args);
+    this.startTimer();
+
+    // Usage of every API round, so a call that doesn't finish still reports its spend
+    const totalUsage = {};
+
+    try {
+      const useTools = Boolean(args.enable_functions && args.fileTools);
+      const thinkingBudget = this.getThinkingBudget(args.reasoning_level || this.defaultParams.reasoning_level);
+      const outputTokens = args.max_tokens || this.defaultParams.max_tokens;
+
+      // Thinking tokens count towards max_tokens, so reserve the budget on top of the answer
+      const requestParams = {
+        model: this.modelName,
+        system: useTools
+          ? `${args.context || DEFAULT_INSTRUCTIONS}\n\n${this.getFileToolsInstructions(args.fileTools)}`
+          : (args.context || DEFAULT_INSTRUCTIONS),
+        max_tokens: outputTokens + thinkingBudget
+      };
+
+      if (thinkingBudget > 0) {
+        // Extended thinking doesn't allow a custom temperature
+        requestParams.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+      } else {
+        requestParams.temperature = args.temperature ?? this.defaultParams.temperature;
+      }
+
+      if (useTools) {
+        requestParams.tools = this.buildToolDefinitions(args.fileTools);
+      }
+
+      return await this.runConversation(requestParams, args, totalUsage);
+    } catch (error) {
+      this.throwIfAborted(args.signal, totalUsage);
+      this.handleError(this.attachUsage(error, totalUsage), 'API call');
+    }
+  }
+
+  /**
+   * Run the Messages API conversation, executing tool_use blocks through FileTools
+   * until Claude produces a final answer
+   */
+  async runConversation(requestParams, args, totalUsage = {}) {
+    const toolCalls = [];
+    const messages = this.buildConversation(args);
+    const maxIterations = this.config.max_tool_iterations || 10;
+    let iterationCount = 0;
+
+    while (true) {
+      this.throwIfAborted(args.signal);
+      const outOfIterations = iterationCount >= maxIterations;
+      const message = await this.client.messages.create({
+        ...requestParams,
+        messages,
+        ...(outOfIterations && requestParams.tools && { tool_choice: { type: 'none' } })
+      }, { signal: args.signal });
+      this.mergeUsage(totalUsage, message.usage);
+
+      const toolUses = message.content.filter(block => block.type === 'tool_use');
+
+      if (message.stop_reason !== 'tool_use' || toolUses.length === 0 || outOfIterations) {
+        const result = this.formatResponse(
+          this.extractText(message) || 'No response generated',
+          totalUsage,
+          message.model || this.modelName
+        );
+
+        return requestParams.tools ? { ...result, tool_calls: toolCalls } : result;
+      }
+
+      // Echo the full assistant turn back (thinking blocks must be preserved with tool use)
+      iterationCount++;
+      messages.push({ role: 'assistant', content: message.content });
+
+      const toolResults = [];
+      for (const block of toolUses) {
+        const output = await this.runToolCall(block.name, block.input, args.fileTools, toolCalls, iterationCount);
+
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: output,
+          ...(output.startsWith('Error:') && { is_error: true })
+        });
+      }
+
+      messages.push({ role: 'user', content: toolResults });
+    }
+  }
+
+  async checkAvailability() {
+    try {
+      const model = await this.client.get(`/v1/models/${this.modelName}`);
+
+      return {
+        available: true,
+        message: 'OK',
+        models_found: [model.id]
+      };
+    } catch (error) {
+      return {
+        available: false,
+        message: error.status === 404
+          ? `Model ${this.modelName} not available`
+          : `Error checking availability: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Build tool definitions in the Messages API format
+   */
+  buildToolDefinitions(fileTools) {
+    return this.buildFunctionDefinitions(fileTools).map(definition => ({
+      name: definition.name,
+      description: definition.description,
+      input_schema: definition.parameters
+    }));
+  }
+
+  /**
+   * Extract the answer text, skipping thinking and tool_use blocks
+   */
+  extractText(message) {
+    return (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Map reasoning level to an extended thinking budget in tokens
+   */
+  getThinkingBudget(level) {
+    if (!level || !this.supportsReasoning()) return 0;
+
+    return this.thinkingBudgets[level] ?? this.thinkingBudgets.medium;
+  }
+
+  /**
+   * Reasoning tokens expected at a reasoning level: up to the thinking budget
+   */
+  estimateReasoningTokens(level) {
+    const budget = this.getThinkingBudget(level);
+
+    return budget ? { min: 0, max: budget } : super.estimateReasoningTokens(level);
+  }
+
+  /**
+   * Check if this model supports extended thinking
+   */
+  supportsReasoning() {
+    return this.capabilities.includes('reasoning');
+  }
+
+  /**
+   * Get model-specific information
+   */
+  getModelInfo() {
+    return {
+      ...this.getCapabilities(),
+      supports_reasoning: this.supportsReasoning(),
+      api_type: 'messages',
+      reasoning_levels: ['low', 'medium', 'high'],
+      thinking_budgets: this.thinkingBudgets,
+      context_window: this.getContextWindow()
+    };
+  }
+
+  /**
+   * Get context window size for the model
+   */
+  getContextWindow() {
+    return this.config.context_window || 200000;
+  }
+
+  /**
+   * Create user-friendly error messages for Anthropic-specific failures
+   */
+  createUserFriendlyError(error) {
+    const message = error.message || '';
+    const status = error.status || error.statusCode;
+
+    if (status === 401 || message.includes('authentication_error')) {
+      return '🔑 Invalid Anthropic API key. Please update your MCP configuration:\n\n1. Remove the server: claude mcp remove deepthink-mcp\n2. Add with valid API key: claude mcp add deepthink-mcp --scope user --env ANTHROPIC_API_KEY=sk-ant-your-valid-key -- node /Users/haziqazizi/code/deepthink-mcp/src/server.js\n3. Get a valid key from: https://console.anthropic.com/settings/keys';
+    }
+
+    if (status === 529 || message.includes('overloaded_error')) {
+      return '🔧 Anthropic API is temporarily overloaded. This is usually temporary - please try again in a few minutes.';
+    }
+
+    if (message.includes('not_found_error')) {
+      return `🤖 Claude model ${this.modelName} not available. Please check the model_name in config/models.yaml.`;
+    }
+
+    return super.createUserFriendlyError(error);
+  }
+}
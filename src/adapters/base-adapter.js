@@ -1,3 +1,14 @@
+import { parseRetryAfter } from '../utils/retry.js';
+import { mergeUsage } from '../utils/usage.js';
+import { priceUsage, resolvePricing } from '../utils/pricing.js';
+import { estimateMessageTokens, estimateTokens, MIN_ANSWER_TOKENS } from '../utils/token-estimator.js';
+
+export const DEFAULT_INSTRUCTIONS = 'You are a helpful AI assistant. Provide accurate, detailed, and well-reasoned responses.';
+
+export const FILE_TOOLS_INSTRUCTIONS = 'You have read-only access to the local workspace through the read_file, list_directory, grep_search and find_files tools. Use them to inspect the code you are asked about instead of guessing, then answer directly.';
+
+export const FILE_WRITE_TOOLS_INSTRUCTIONS = 'You have access to the local workspace through the read_file, list_directory, grep_search and find_files tools, and can change files with edit_file and create_file. Read a file before editing it, change only what you were asked to, and say which files you changed in your answer.';
+
 /**
  * Base adapter interface for AI model integrations
  */
@@ -9,6 +20,7 @@ export class BaseAdapter {
     this.modelName = config.model_name;
     this.capabilities = config.capabilities || [];
     this.costPer1kTokens = config.cost_per_1k_tokens || 0;
+    this.pricing = config.pricing || null;
     this.rateLimits = config.rate_limit || {};
     this.startTime = null;
   }
@@ -21,6 +33,7 @@ export class BaseAdapter {
    * @param {number} [args.max_tokens] - Maximum tokens to generate
    * @param {number} [args.temperature] - Temperature for generation
    * @param {string} [args.reasoning_level] - Level of reasoning (if supported)
+   * @param {Object[]} [args.history] - Earlier turns of the conversation thread
    * @returns {Promise<Object>} Formatted response
    */
   async call(args) {
@@ -46,6 +59,7 @@ export class BaseAdapter {
       provider: this.provider,
       capabilities: this.capabilities,
       cost_per_1k_tokens: this.costPer1kTokens,
+      pricing: resolvePricing(this.pricing),
       rate_limits: this.rateLimits
     };
   }
@@ -59,29 +73,125 @@ export class BaseAdapter {
    */
   formatResponse(response, usage = {}, model = null) {
     const duration = this.startTime ? Date.now() - this.startTime : 0;
-    
+    // Standard shape, with the totals some providers (e.g. Anthropic) don't report
+    const normalized = mergeUsage({}, usage || {});
+    const costBreakdown = this.getCostBreakdown(normalized);
+
     return {
       response: response,
       model: model || this.modelName,
-      usage: {
-        input_tokens: usage.prompt_tokens || usage.input_tokens || 0,
-        output_tokens: usage.completion_tokens || usage.output_tokens || 0,
-        total_tokens: usage.total_tokens || 0,
-        reasoning_tokens: usage.reasoning_tokens || 0
-      },
-      cost: this.calculateCost(usage),
+      usage: normalized,
+      cost: this.calculateCost(normalized),
+      ...(costBreakdown && { cost_breakdown: costBreakdown }),
       duration: duration,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Conversation so far followed by the new query
+   * @param {Object} args - Query arguments
+   * @param {Object[]} [args.history] - Earlier turns of a thread as `{role, content}` ("user" or "assistant")
+   * @returns {Object[]} Messages in `{role, content}` form
+   */
+  buildConversation(args) {
+    return [...(args.history || []), { role: 'user', content: args.query }];
+  }
+
+  /**
+   * Estimate the tokens and cost of a call without making it
+   * Input is counted with an offline approximation; the answer is assumed to
+   * take between MIN_ANSWER_TOKENS and max_tokens, plus the reasoning range
+   * from estimateReasoningTokens
+   * @param {Object} args - Query arguments, as for call()
+   * @returns {Object} Estimated `input_tokens`, `output_tokens` and `reasoning_tokens`
+   *   ranges, `cost` range in USD, `context_window` and `fits_context`
+   */
+  estimate(args) {
+    const inputTokens = estimateTokens(args.context || DEFAULT_INSTRUCTIONS) +
+      estimateMessageTokens(this.buildConversation(args));
+    const maxTokens = args.max_tokens || this.defaultParams?.max_tokens || MIN_ANSWER_TOKENS;
+    const output = { min: Math.min(MIN_ANSWER_TOKENS, maxTokens), max: maxTokens };
+    const reasoning = this.estimateReasoningTokens(args.reasoning_level || this.defaultParams?.reasoning_level);
+    const contextWindow = this.getContextWindow();
+
+    // Reasoning tokens are part of the output tokens providers report
+    const outputLimit = this.getOutputTokenLimit(args);
+    const costOf = (answerTokens, reasoningTokens) => {
+      const outputTokens = Math.min(answerTokens + reasoningTokens, outputLimit);
+      return parseFloat(this.calculateCost({
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        reasoning_tokens: Math.min(reasoningTokens, outputTokens)
+      }).toFixed(4));
+    };
+
+    return {
+      input_tokens: inputTokens,
+      output_tokens: output,
+      reasoning_tokens: reasoning,
+      cost: {
+        min: costOf(output.min, reasoning.min),
+        max: costOf(output.max, reasoning.max)
+      },
+      context_window: contextWindow,
+      // Room for the input plus the smallest expected reasoning and answer
+      fits_context: inputTokens + reasoning.min + output.min <= contextWindow
+    };
+  }
+
+  /**
+   * Reasoning tokens a call is expected to use at a reasoning level
+   * @param {string} [level] - Reasoning level
+   * @returns {{min: number, max: number}} Token range (zero for models that don't reason)
+   */
+  estimateReasoningTokens(level) {
+    return { min: 0, max: 0 };
+  }
+
+  /**
+   * Most output tokens, reasoning included, a call can be billed for
+   * @param {Object} args - Query arguments
+   * @returns {number} Token limit (unlimited unless the provider caps reasoning and answer together)
+   */
+  getOutputTokenLimit(args) {
+    return Infinity;
+  }
+
+  /**
+   * Get context window size for the model
+   * @returns {number} Context window in tokens
+   */
+  getContextWindow() {
+    return 128000;
+  }
+
+  /**
+   * Accumulate token usage across several API calls (e.g. a function calling loop)
+   * @param {Object} total - Running usage totals, mutated in place
+   * @param {Object} usage - Usage reported by a single API call
+   * @returns {Object} Updated usage totals
+   */
+  mergeUsage(total, usage) {
+    return mergeUsage(total, usage);
+  }
+
   /**
    * Calculate cost based on token usage
+   * Uses the model's `pricing` rates per token type when configured, otherwise
+   * a flat `cost_per_1k_tokens` for every token
    * @param {Object} usage - Token usage object
    * @returns {number} Cost in USD
    */
   calculateCost(usage) {
-    if (!usage || !this.costPer1kTokens) return 0;
+    if (!usage) return 0;
+
+    const breakdown = this.getCostBreakdown(mergeUsage({}, usage));
+    if (breakdown) {
+      return breakdown.total;
+    }
+
+    if (!this.costPer1kTokens) return 0;
     
     const totalTokens = usage.total_tokens || 
                        (usage.input_tokens || usage.prompt_tokens || 0) + 
@@ -90,6 +200,17 @@ export class BaseAdapter {
     return (totalTokens / 1000) * this.costPer1kTokens;
   }
 
+  /**
+   * Cost of each token type under the model's `pricing` rates
+   * @param {Object} usage - Usage in the standard shape
+   * @param {Date} [at] - When the tokens were used
+   * @returns {Object|null} Cost per token type plus `total`, or null without pricing
+   */
+  getCostBreakdown(usage, at = new Date()) {
+    const rates = resolvePricing(this.pricing, at);
+    return rates ? priceUsage(usage, rates) : null;
+  }
+
   /**
    * Validate required arguments
    * @param {Object} args - Arguments to validate
@@ -104,6 +225,38 @@ export class BaseAdapter {
     }
   }
 
+  /**
+   * Stop work the client no longer wants
+   * @param {AbortSignal} [signal] - Signal from the MCP request
+   * @param {Object} [usage] - Usage of the API calls made so far (see attachUsage)
+   * @throws {Error} CANCELLED error if the signal has been aborted
+   */
+  throwIfAborted(signal, usage) {
+    if (signal?.aborted) {
+      const error = new Error('Request cancelled by the client');
+      error.code = 'CANCELLED';
+      error.provider = this.provider;
+      error.model = this.modelName;
+      throw this.attachUsage(error, usage);
+    }
+  }
+
+  /**
+   * Attach the usage and cost of the API calls made so far to an error
+   * A tool loop is billed for every round it made, even when a later round
+   * fails or the client cancels, so the router still records that spend
+   * @param {Error} error - Error about to be thrown
+   * @param {Object} [usage] - Usage merged so far
+   * @returns {Error} The same error
+   */
+  attachUsage(error, usage) {
+    if (usage?.total_tokens) {
+      error.usage = { ...usage };
+      error.cost = this.calculateCost(error.usage);
+    }
+    return error;
+  }
+
   /**
    * Handle API errors with user-friendly messages
    * @param {Error} error - The original error
@@ -118,15 +271,21 @@ export class BaseAdapter {
     formattedError.provider = this.provider;
     formattedError.model = this.modelName;
     formattedError.originalError = error;
+    formattedError.status = error.status || error.statusCode;
+    formattedError.retryAfterMs = this.getRetryAfter(error);
+    this.attachUsage(formattedError, error.usage);
     
     // Add specific error codes for common issues
-    if (error.message?.includes('rate limit')) {
-      formattedError.code = 'RATE_LIMIT_EXCEEDED';
-    } else if (error.message?.includes('authentication') || error.message?.includes('unauthorized')) {
-      formattedError.code = 'AUTHENTICATION_FAILED';
-    } else if (error.message?.includes('quota') || error.message?.includes('billing')) {
+    const message = error.message || '';
+    const status = formattedError.status;
+
+    if (message.includes('quota') || message.includes('billing')) {
       formattedError.code = 'QUOTA_EXCEEDED';
-    } else if (error.message?.includes('timeout')) {
+    } else if (status === 401 || status === 403 || message.includes('authentication') || message.includes('unauthorized')) {
+      formattedError.code = 'AUTHENTICATION_FAILED';
+    } else if (status === 429 || /rate limit/i.test(message)) {
+      formattedError.code = 'RATE_LIMIT_EXCEEDED';
+    } else if (status === 408 || status === 504 || /timeout|timed out/i.test(message)) {
       formattedError.code = 'TIMEOUT';
     } else {
       formattedError.code = 'API_ERROR';
@@ -135,6 +294,15 @@ export class BaseAdapter {
     throw formattedError;
   }
 
+  /**
+   * Read the provider's requested retry delay from an error
+   * @param {Error} error - The original error
+   * @returns {number|null} Delay in milliseconds, or null when absent
+   */
+  getRetryAfter(error) {
+    return parseRetryAfter(error.headers);
+  }
+
   /**
    * Create user-friendly error messages based on the error type
    * @param {Error} error - The original error
@@ -177,6 +345,236 @@ export class BaseAdapter {
     return `❌ DeepThink encountered an issue: ${message}\n\nIf this persists:\n1. Check your OpenAI API key and account status\n2. Try again in a few minutes\n3. Consider using a simpler query`;
   }
 
+  /**
+   * System instructions describing the file tools
+   * @param {FileTools} [fileTools] - File tools the model will use
+   */
+  getFileToolsInstructions(fileTools) {
+    return fileTools?.allowWrites ? FILE_WRITE_TOOLS_INSTRUCTIONS : FILE_TOOLS_INSTRUCTIONS;
+  }
+
+  /**
+   * Build provider-neutral function definitions for file operations
+   * edit_file and create_file are only offered when the file tools allow writes
+   * @param {FileTools} [fileTools] - File tools the model will use
+   */
+  buildFunctionDefinitions(fileTools = null) {
+    const definitions = [
+      {
+        name: 'read_file',
+        description: 'Read the contents of a file with line numbers. Long files are cut off with a notice giving the total line count; read the rest with start_line and end_line.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the file to read'
+            },
+            start_line: {
+              type: 'integer',
+              description: 'First line to read (1-based, defaults to 1)'
+            },
+            end_line: {
+              type: 'integer',
+              description: 'Last line to read (defaults to the end of the file)'
+            }
+          },
+          required: ['path']
+        }
+      },
+      {
+        name: 'list_directory',
+        description: 'List the contents of a directory',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the directory to list (defaults to current directory)'
+            }
+          }
+        }
+      },
+      {
+        name: 'grep_search',
+        description: 'Search for text patterns in files using grep',
+        parameters: {
+          type: 'object',
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'Text pattern to search for'
+            },
+            path: {
+              type: 'string',
+              description: 'Path to search in (defaults to current directory)'
+            },
+            case_sensitive: {
+              type: 'boolean',
+              description: 'Whether search should be case sensitive'
+            }
+          },
+          required: ['pattern']
+        }
+      },
+      {
+        name: 'find_files',
+        description: 'Find files using glob patterns',
+        parameters: {
+          type: 'object',
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'File name pattern to search for'
+            },
+            base_path: {
+              type: 'string',
+              description: 'Base directory to search in'
+            }
+          },
+          required: ['pattern']
+        }
+      }
+    ];
+
+    if (!fileTools?.allowWrites) {
+      return definitions;
+    }
+
+    return [
+      ...definitions,
+      {
+        name: 'edit_file',
+        description: 'Replace exact text in a file. old_str must match exactly once (include surrounding lines to make it unique) unless replace_all is set. Returns a unified diff of the change.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the file to edit'
+            },
+            old_str: {
+              type: 'string',
+              description: 'The exact text to replace'
+            },
+            new_str: {
+              type: 'string',
+              description: 'The text to replace it with'
+            },
+            replace_all: {
+              type: 'boolean',
+              description: 'Replace every occurrence of old_str'
+            }
+          },
+          required: ['path', 'old_str', 'new_str']
+        }
+      },
+      {
+        name: 'create_file',
+        description: 'Create a new file (and any missing directories). Fails if the file exists unless overwrite is set. Returns a unified diff of the change.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the file to create'
+            },
+            content: {
+              type: 'string',
+              description: 'Contents of the file'
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace the file if it already exists'
+            }
+          },
+          required: ['path', 'content']
+        }
+      }
+    ];
+  }
+
+
+  /**
+   * Execute a single model-requested tool call and record it in the trace
+   * @param {string} functionName - Tool name requested by the model
+   * @param {string|Object} rawArgs - JSON-encoded (or parsed) tool arguments
+   * @param {FileTools} fileTools - File tools instance
+   * @param {Array} trace - Tool call trace to append to
+   * @param {number} iteration - Loop iteration the call belongs to
+   * @returns {Promise<string>} Tool output handed back to the model
+   */
+  async runToolCall(functionName, rawArgs, fileTools, trace, iteration) {
+    const startedAt = Date.now();
+    let functionArgs = {};
+    let output;
+
+    try {
+      functionArgs = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+      output = await this.executeTool(functionName, functionArgs, fileTools);
+    } catch (error) {
+      output = `Error: Invalid arguments for ${functionName}: ${error.message}`;
+    }
+
+    trace.push({
+      iteration,
+      tool: functionName,
+      arguments: functionArgs,
+      duration_ms: Date.now() - startedAt,
+      output_chars: output.length,
+      ...(output.startsWith('Error:') && { error: output })
+    });
+
+    return output;
+  }
+
+  /**
+   * Execute a tool function
+   */
+  async executeTool(functionName, functionArgs, fileTools) {
+    try {
+      switch (functionName) {
+        case 'read_file':
+          const fileData = await fileTools.readFile(functionArgs.path, {
+            startLine: functionArgs.start_line,
+            endLine: functionArgs.end_line
+          });
+          return fileData.content;
+        case 'list_directory':
+          const dirData = await fileTools.listDirectory(functionArgs.path || '.');
+          return `Directory: ${dirData.path}\n` + 
+            dirData.items.map(item => `${item.isDirectory ? 'd' : '-'} ${item.name}`).join('\n');
+        case 'grep_search':
+          const searchData = await fileTools.grep(functionArgs.pattern, {
+            path: functionArgs.path || '.',
+            caseSensitive: functionArgs.case_sensitive || false,
+            recursive: true
+          });
+          return searchData.matches.map(match => 
+            `${match.file}:${match.line}: ${match.content}`
+          ).join('\n') || 'No matches found';
+        case 'find_files':
+          const findData = await fileTools.glob(functionArgs.pattern, functionArgs.base_path || '.');
+          return findData.files.map(file => file.path).join('\n') || 'No files found';
+        case 'edit_file':
+          const edit = await fileTools.editFile(functionArgs.path, functionArgs.old_str, functionArgs.new_str, {
+            replaceAll: functionArgs.replace_all || false
+          });
+          return `Edited ${functionArgs.path} (${edit.replacements} replacement${edit.replacements === 1 ? '' : 's'}):\n${edit.diff}`;
+        case 'create_file':
+          const created = await fileTools.createFile(functionArgs.path, functionArgs.content, {
+            overwrite: functionArgs.overwrite || false
+          });
+          return `${created.created ? 'Created' : 'Overwrote'} ${functionArgs.path}:\n${created.diff || '(contents unchanged)'}`;
+        default:
+          return `Error: Unknown function ${functionName}`;
+      }
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  }
+
+
   /**
    * Start timing for performance measurement
    */
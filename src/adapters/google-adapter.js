@@ -0,0 +1,339 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { BaseAdapter, DEFAULT_INSTRUCTIONS } from './base-adapter.js';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Finish reasons that mean the candidate was withheld, mapped to our error codes
+const BLOCKED_FINISH_REASONS = {
+  SAFETY: 'SAFETY_BLOCKED',
+  RECITATION: 'RECITATION_BLOCKED',
+  BLOCKLIST: 'CONTENT_BLOCKED',
+  PROHIBITED_CONTENT: 'CONTENT_BLOCKED',
+  SPII: 'CONTENT_BLOCKED'
+};
+
+/**
+ * Google adapter for Gemini models with thinking budgets
+ */
+export class GeminiAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+
+    const apiKey = process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+      throw new Error('Google API key not found in environment variables');
+    }
+
+    this.apiKey = apiKey;
+    this.client = new GoogleGenerativeAI(apiKey);
+
+    // Default parameters from config
+    this.defaultParams = {
+      temperature: 1.0,
+      max_tokens: 8192,
+      ...config.default_params
+    };
+
+    // Thinking token budgets per reasoning level (0 disables thinking where the model allows it)
+    this.thinkingBudgets = {
+      low: 1024,
+      medium: 8192,
+      high: 24576,
+      ...config.thinking_budgets
+    };
+  }
+
+  async call(args) {
+    this.validateArgs(args);
+    this.startTimer();
+
+    // Usage of every API round, so a call that doesn't finish still reports its spend
+    const totalUsage = {};
+
+    try {
+      const useTools = Boolean(args.enable_functions && args.fileTools);
+      const thinkingBudget = this.getThinkingBudget(args.reasoning_level || this.defaultParams.reasoning_level);
+      const outputTokens = args.max_tokens || this.defaultParams.max_tokens;
+
+      // Thinking tokens count towards maxOutputTokens, so reserve the budget on top of the answer
+      const model = this.client.getGenerativeModel({
+        model: this.modelName,
+        systemInstruction: useTools
+          ? `${args.context || DEFAULT_INSTRUCTIONS}\n\n${this.getFileToolsInstructions(args.fileTools)}`
+          : (args.context || DEFAULT_INSTRUCTIONS),
+        generationConfig: {
+          temperature: args.temperature ?? this.defaultParams.temperature,
+          maxOutputTokens: outputTokens + (thinkingBudget || 0),
+          ...(thinkingBudget !== null && { thinkingConfig: { thinkingBudget } })
+        },
+        ...(useTools && { tools: [{ functionDeclarations: this.buildToolDefinitions(args.fileTools) }] })
+      }, {
+        timeout: this.config.timeout_ms || 1800000
+      });
+
+      return await this.runConversation(model, args, useTools, totalUsage);
+    } catch (error) {
+      this.throwIfAborted(args.signal, totalUsage);
+      this.handleError(this.attachUsage(error, totalUsage), 'API call');
+    }
+  }
+
+  /**
+   * Run the generateContent conversation, executing function calls through FileTools
+   * until Gemini produces a final answer
+   */
+  async runConversation(model, args, useTools, totalUsage = {}) {
+    const toolCalls = [];
+    const contents = this.buildConversation(args).map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+    const maxIterations = this.config.max_tool_iterations || 10;
+    let iterationCount = 0;
+
+    while (true) {
+      this.throwIfAborted(args.signal);
+      const outOfIterations = iterationCount >= maxIterations;
+      const { response } = await model.generateContent({
+        contents,
+        ...(outOfIterations && useTools && {
+          toolConfig: { functionCallingConfig: { mode: 'NONE' } }
+        })
+      }, { signal: args.signal });
+      this.mergeUsage(totalUsage, this.normalizeUsage(response.usageMetadata));
+      this.assertNotBlocked(response);
+
+      const candidate = response.candidates[0];
+      const functionCalls = (candidate.content?.parts || []).filter(part => part.functionCall);
+
+      if (functionCalls.length === 0 || outOfIterations) {
+        const result = this.formatResponse(
+          this.extractText(candidate) || 'No response generated',
+          totalUsage,
+          response.modelVersion || this.modelName
+        );
+
+        return useTools ? { ...result, tool_calls: toolCalls } : result;
+      }
+
+      iterationCount++;
+      contents.push(candidate.content);
+
+      const functionResponses = [];
+      for (const { functionCall } of functionCalls) {
+        const output = await this.runToolCall(functionCall.name, functionCall.args, args.fileTools, toolCalls, iterationCount);
+
+        functionResponses.push({
+          functionResponse: {
+            name: functionCall.name,
+            response: { content: output }
+          }
+        });
+      }
+
+      contents.push({ role: 'function', parts: functionResponses });
+    }
+  }
+
+  async checkAvailability() {
+    try {
+      const response = await fetch(`${GEMINI_API_BASE}/models/${this.modelName}`, {
+        headers: { 'x-goog-api-key': this.apiKey }
+      });
+
+      if (!response.ok) {
+        return {
+          available: false,
+          message: response.status === 404
+            ? `Model ${this.modelName} not available`
+            : `Error checking availability: HTTP ${response.status}`
+        };
+      }
+
+      const model = await response.json();
+      return {
+        available: true,
+        message: 'OK',
+        models_found: [model.name]
+      };
+    } catch (error) {
+      return {
+        available: false,
+        message: `Error checking availability: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Throw when the prompt or the candidate was blocked by Gemini's safety filters
+   * @param {Object} response - GenerateContentResponse
+   * @throws {Error} Error carrying blockReason / finishReason for handleError
+   */
+  assertNotBlocked(response) {
+    const blockReason = response.promptFeedback?.blockReason;
+    if (blockReason) {
+      const error = new Error(`Prompt blocked by Gemini: ${blockReason}`);
+      error.blockReason = blockReason;
+      error.safetyRatings = response.promptFeedback.safetyRatings || [];
+      throw error;
+    }
+
+    const candidate = response.candidates?.[0];
+    if (!candidate) {
+      throw new Error('Gemini returned no candidates');
+    }
+
+    if (BLOCKED_FINISH_REASONS[candidate.finishReason]) {
+      const error = new Error(`Response blocked by Gemini: ${candidate.finishReason}`);
+      error.finishReason = candidate.finishReason;
+      error.safetyRatings = candidate.safetyRatings || [];
+      throw error;
+    }
+  }
+
+  /**
+   * Handle API errors, giving safety blocks their own error codes
+   * @param {Error} error - The original error
+   * @param {string} context - Context where error occurred
+   * @throws {Error} User-friendly formatted error
+   */
+  handleError(error, context = 'API call') {
+    // The SDK's own response errors carry the blocked response object
+    const blockReason = error.blockReason || error.response?.promptFeedback?.blockReason;
+    const finishReason = error.finishReason || error.response?.candidates?.[0]?.finishReason;
+
+    if (!blockReason && !BLOCKED_FINISH_REASONS[finishReason]) {
+      return super.handleError(error, context);
+    }
+
+    const formattedError = new Error(blockReason
+      ? `🛡️ Gemini refused the prompt (${blockReason}). Rephrase the query or remove the flagged content from the context.`
+      : `🛡️ Gemini withheld its answer (${finishReason}). Try rephrasing the query or use a different model.`);
+    formattedError.provider = this.provider;
+    formattedError.model = this.modelName;
+    formattedError.originalError = error;
+    formattedError.code = blockReason ? 'PROMPT_BLOCKED' : BLOCKED_FINISH_REASONS[finishReason];
+    formattedError.blockReason = blockReason || finishReason;
+    formattedError.safetyRatings = error.safetyRatings ||
+      error.response?.promptFeedback?.safetyRatings ||
+      error.response?.candidates?.[0]?.safetyRatings || [];
+
+    throw this.attachUsage(formattedError, error.usage);
+  }
+
+  /**
+   * Gemini reports the retry delay as a google.rpc.RetryInfo error detail (e.g. "30s")
+   */
+  getRetryAfter(error) {
+    const retryInfo = (error.errorDetails || [])
+      .find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+    const seconds = parseFloat(retryInfo?.retryDelay);
+
+    return Number.isFinite(seconds) ? seconds * 1000 : super.getRetryAfter(error);
+  }
+
+  /**
+   * Build tool definitions as Gemini function declarations
+   */
+  buildToolDefinitions(fileTools) {
+    return this.buildFunctionDefinitions(fileTools).map(definition => ({
+      name: definition.name,
+      description: definition.description,
+      parameters: definition.parameters
+    }));
+  }
+
+  /**
+   * Extract the answer text, skipping thought summaries and function calls
+   */
+  extractText(candidate) {
+    return (candidate.content?.parts || [])
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+  }
+
+  /**
+   * Convert Gemini usageMetadata to the standard usage shape
+   */
+  normalizeUsage(usageMetadata = {}) {
+    const thoughtsTokens = usageMetadata.thoughtsTokenCount || 0;
+
+    return {
+      input_tokens: usageMetadata.promptTokenCount || 0,
+      output_tokens: (usageMetadata.candidatesTokenCount || 0) + thoughtsTokens,
+      total_tokens: usageMetadata.totalTokenCount || 0,
+      reasoning_tokens: thoughtsTokens,
+      // Part of promptTokenCount
+      cached_input_tokens: usageMetadata.cachedContentTokenCount || 0
+    };
+  }
+
+  /**
+   * Map reasoning level to a thinking budget in tokens
+   * @returns {number|null} Budget, or null to leave the model default
+   */
+  getThinkingBudget(level) {
+    if (!level || !this.supportsReasoning()) return null;
+
+    return this.thinkingBudgets[level] ?? this.thinkingBudgets.medium;
+  }
+
+  /**
+   * Reasoning tokens expected at a reasoning level: up to the thinking budget
+   */
+  estimateReasoningTokens(level) {
+    const budget = this.getThinkingBudget(level);
+
+    return budget ? { min: 0, max: budget } : super.estimateReasoningTokens(level);
+  }
+
+  /**
+   * Check if this model supports thinking budgets
+   */
+  supportsReasoning() {
+    return this.capabilities.includes('reasoning');
+  }
+
+  /**
+   * Get model-specific information
+   */
+  getModelInfo() {
+    return {
+      ...this.getCapabilities(),
+      supports_reasoning: this.supportsReasoning(),
+      api_type: 'generate_content',
+      reasoning_levels: ['low', 'medium', 'high'],
+      thinking_budgets: this.thinkingBudgets,
+      context_window: this.getContextWindow()
+    };
+  }
+
+  /**
+   * Get context window size for the model
+   */
+  getContextWindow() {
+    return this.config.context_window || 1048576;
+  }
+
+  /**
+   * Create user-friendly error messages for Gemini-specific failures
+   */
+  createUserFriendlyError(error) {
+    const message = error.message || '';
+    const status = error.status || error.statusCode;
+
+    if (status === 403 || message.includes('API_KEY_INVALID') || message.includes('API key not valid')) {
+      return '🔑 Invalid Google API key. Please update your MCP configuration:\n\n1. Remove the server: claude mcp remove deepthink-mcp\n2. Add with valid API key: claude mcp add deepthink-mcp --scope user --env GOOGLE_API_KEY=your-valid-key -- node /Users/haziqazizi/code/deepthink-mcp/src/server.js\n3. Get a valid key from: https://aistudio.google.com/app/apikey';
+    }
+
+    if (status === 429 || message.includes('RESOURCE_EXHAUSTED')) {
+      return '⏱️ Gemini rate limit or quota exceeded. Please wait a moment and try again.';
+    }
+
+    return super.createUserFriendlyError(error);
+  }
+}
+
+// plan.md and the adapter tests refer to the Gemini adapter by its provider name
+export { GeminiAdapter as GoogleAdapter };
@@ -0,0 +1,30 @@
+import { OpenAIAdapter } from './openai-adapter.js';
+import { AnthropicAdapter } from './anthropic-adapter.js';
+import { GeminiAdapter } from './google-adapter.js';
+import { OpenAICompatibleAdapter } from './openai-compatible-adapter.js';
+
+/**
+ * Adapter classes keyed by the `provider` field in config/models.yaml
+ */
+export const ADAPTER_TYPES = {
+  openai: OpenAIAdapter,
+  anthropic: AnthropicAdapter,
+  google: GeminiAdapter,
+  openai_compatible: OpenAICompatibleAdapter
+};
+
+/**
+ * Create the adapter for a model configuration entry
+ * @param {Object} modelConfig - Model entry from config `models`
+ * @returns {BaseAdapter} Adapter instance
+ * @throws {Error} If the provider is unknown
+ */
+export function createAdapter(modelConfig) {
+  const AdapterClass = ADAPTER_TYPES[modelConfig.provider];
+
+  if (!AdapterClass) {
+    throw new Error(`Unsupported provider '${modelConfig.provider}' for model ${modelConfig.model_name}. Supported providers: ${Object.keys(ADAPTER_TYPES).join(', ')}`);
+  }
+
+  return new AdapterClass(modelConfig);
+}
@@ -1,5 +1,7 @@
 import OpenAI from 'openai';
-import { BaseAdapter } from './base-adapter.js';
+import { BaseAdapter, DEFAULT_INSTRUCTIONS } from './base-adapter.js';
+import { sleep } from '../utils/retry.js';
+import { REASONING_TOKEN_ESTIMATES } from '../utils/token-estimator.js';
 
 /**
  * OpenAI adapter for O3 and other OpenAI models
@@ -8,15 +10,7 @@ export class OpenAIAdapter extends BaseAdapter {
   constructor(config) {
     super(config);
     
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OpenAI API key not found in environment variables');
-    }
-    
-    this.client = new OpenAI({
-      apiKey: apiKey,
-      timeout: config.timeout_ms || 1800000,
-    });
+    this.client = new OpenAI(this.buildClientOptions(config));
     
     // Default parameters from config
     this.defaultParams = {
@@ -27,10 +21,32 @@ export class OpenAIAdapter extends BaseAdapter {
     };
   }
 
+  /**
+   * Build OpenAI client options (API key, endpoint, timeout)
+   * @param {Object} config - Model configuration
+   * @returns {Object} Options for the OpenAI client
+   */
+  buildClientOptions(config) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OpenAI API key not found in environment variables');
+    }
+
+    return {
+      apiKey: apiKey,
+      timeout: config.timeout_ms || 1800000,
+      // Retries are handled by the router's RetryPolicy
+      maxRetries: 0,
+    };
+  }
+
   async call(args) {
     this.validateArgs(args);
     this.startTimer();
 
+    // Usage of every API round, so a call that doesn't finish still reports its spend
+    const totalUsage = {};
+
     try {
       // Prepare the messages array
       const messages = this.buildMessages(args);
@@ -44,7 +60,7 @@ export class OpenAIAdapter extends BaseAdapter {
       };
 
       // Only add temperature for models that support it (O3 models don't)
-      if (!this.modelName.startsWith('o3')) {
+      if (this.supportsTemperature()) {
         requestParams.temperature = args.temperature ?? this.defaultParams.temperature;
       }
 
@@ -53,48 +69,40 @@ export class OpenAIAdapter extends BaseAdapter {
         requestParams.reasoning_effort = this.mapReasoningLevel(args.reasoning_level);
       }
 
+      // Let the model explore the workspace through FileTools when requested
+      if (args.enable_functions && args.fileTools) {
+        return await this.callWithFunctions(requestParams, args, totalUsage);
+      }
+
       // Choose API based on model type
-      if (this.modelName.startsWith('o3') || this.modelName.startsWith('o4')) {
+      if (this.usesResponsesAPI()) {
         // Use Responses API for O3/O4 models
         // For O3, prefer simple string input + optional instructions
-        const instructions = args.context || 'You are a helpful AI assistant. Provide accurate, detailed, and well-reasoned responses.';
-        const input = typeof args.query === 'string' ? args.query : (messages.find(m => m.role === 'user')?.content || '');
+        const instructions = args.context || DEFAULT_INSTRUCTIONS;
 
-        const completion = await this.client.responses.create({
+        const completion = await this.createResponse({
           model: this.modelName,
           instructions,
-          input,
+          // A thread continuing a stored response only needs the new query
+          input: args.previous_response_id || !args.history?.length ? args.query : this.buildConversation(args),
+          ...(args.previous_response_id && { previous_response_id: args.previous_response_id }),
           ...(requestParams.reasoning_effort && {
             reasoning: { effort: requestParams.reasoning_effort }
           }),
           ...(requestParams.max_tokens && { max_output_tokens: requestParams.max_tokens })
-        });
-        
-        // Prefer convenience field if available
-        let responseText = completion.output_text || '';
-        
-        if (!responseText && Array.isArray(completion.output)) {
-          for (const item of completion.output) {
-            if (item.type === 'message' && Array.isArray(item.content)) {
-              for (const contentItem of item.content) {
-                if (contentItem.type === 'output_text' && contentItem.text) {
-                  responseText += contentItem.text;
-                } else if (contentItem.type === 'text' && contentItem.text) {
-                  responseText += contentItem.text;
-                }
-              }
-            }
-          }
-        }
+        }, args);
         
-        return this.formatResponse(
-          responseText || 'No response generated',
-          completion.usage || {},
-          completion.model || this.modelName
-        );
+        return {
+          ...this.formatResponse(
+            this.extractResponseText(completion) || 'No response generated',
+            completion.usage || {},
+            completion.model || this.modelName
+          ),
+          ...(completion.id && { response_id: completion.id })
+        };
       } else {
         // Use Chat Completions API for other models
-        const completion = await this.client.chat.completions.create(requestParams);
+        const completion = await this.createChatCompletion(requestParams, args);
         
         return this.formatResponse(
           completion.choices[0].message.content,
@@ -103,7 +111,9 @@ export class OpenAIAdapter extends BaseAdapter {
         );
       }
     } catch (error) {
-      this.handleError(error, 'API call');
+      // An aborted SDK call surfaces as a connection error; report it as a cancellation
+      this.throwIfAborted(args.signal, totalUsage);
+      this.handleError(this.attachUsage(error, totalUsage), 'API call');
     }
   }
 
@@ -146,15 +156,12 @@ export class OpenAIAdapter extends BaseAdapter {
       // Default system message
       messages.push({
         role: 'system',
-        content: 'You are a helpful AI assistant. Provide accurate, detailed, and well-reasoned responses.'
+        content: DEFAULT_INSTRUCTIONS
       });
     }
     
-    // Add user query
-    messages.push({
-      role: 'user',
-      content: args.query
-    });
+    // Add earlier turns of the thread and the user query
+    messages.push(...this.buildConversation(args));
     
     return messages;
   }
@@ -168,6 +175,27 @@ export class OpenAIAdapter extends BaseAdapter {
            this.capabilities.includes('reasoning');
   }
 
+  /**
+   * Reasoning tokens expected at a reasoning level
+   * The API has no fixed budget, so this is a typical range; the API defaults to medium effort
+   */
+  estimateReasoningTokens(level) {
+    if (!this.supportsReasoning()) {
+      return super.estimateReasoningTokens(level);
+    }
+
+    return { ...(REASONING_TOKEN_ESTIMATES[level] || REASONING_TOKEN_ESTIMATES.medium) };
+  }
+
+  /**
+   * Reasoning models spend reasoning tokens out of max_tokens
+   */
+  getOutputTokenLimit(args) {
+    return this.supportsReasoning()
+      ? args.max_tokens || this.defaultParams.max_tokens
+      : super.getOutputTokenLimit(args);
+  }
+
   /**
    * Check if this is a reasoning model that uses Responses API
    */
@@ -175,6 +203,27 @@ export class OpenAIAdapter extends BaseAdapter {
     return this.modelName.includes('o3') || this.modelName.includes('o1');
   }
 
+  /**
+   * Check if this model accepts a temperature parameter
+   */
+  supportsTemperature() {
+    return !this.modelName.startsWith('o3');
+  }
+
+  /**
+   * Check if this model can run in Responses API background mode
+   */
+  supportsBackground() {
+    return this.usesResponsesAPI();
+  }
+
+  /**
+   * Check if this model is served through the Responses API
+   */
+  usesResponsesAPI() {
+    return this.modelName.startsWith('o3') || this.modelName.startsWith('o4');
+  }
+
   /**
    * Map reasoning level to OpenAI's effort levels
    */
@@ -253,342 +302,347 @@ export class OpenAIAdapter extends BaseAdapter {
     return {
       ...this.getCapabilities(),
       supports_reasoning: this.supportsReasoning(),
-      api_type: this.isReasoningModel() ? 'responses' : 'chat_completions',
+      api_type: this.usesResponsesAPI() ? 'responses' : 'chat_completions',
       reasoning_levels: ['low', 'medium', 'high'],
       context_window: this.getContextWindow()
     };
   }
 
   /**
-   * Build function definitions for file operations (legacy format)
+   * Build tool definitions for the Responses API (flat function format)
    */
-  buildFunctionDefinitions() {
-    return [
-      {
-        name: 'read_file',
-        description: 'Read the contents of a file with line numbers',
-        parameters: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description: 'Path to the file to read'
-            }
-          },
-          required: ['path']
-        }
+  buildToolDefinitions(fileTools) {
+    return this.buildFunctionDefinitions(fileTools).map(definition => ({
+      type: 'function',
+      name: definition.name,
+      description: definition.description,
+      parameters: {
+        ...definition.parameters,
+        additionalProperties: false
       },
-      {
-        name: 'list_directory',
-        description: 'List the contents of a directory',
-        parameters: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description: 'Path to the directory to list (defaults to current directory)'
-            }
-          }
-        }
-      },
-      {
-        name: 'grep_search',
-        description: 'Search for text patterns in files using grep',
-        parameters: {
-          type: 'object',
-          properties: {
-            pattern: {
-              type: 'string',
-              description: 'Text pattern to search for'
-            },
-            path: {
-              type: 'string',
-              description: 'Path to search in (defaults to current directory)'
-            },
-            case_sensitive: {
-              type: 'boolean',
-              description: 'Whether search should be case sensitive'
-            }
-          },
-          required: ['pattern']
-        }
-      },
-      {
-        name: 'find_files',
-        description: 'Find files using glob patterns',
-        parameters: {
-          type: 'object',
-          properties: {
-            pattern: {
-              type: 'string',
-              description: 'File name pattern to search for'
-            },
-            base_path: {
-              type: 'string',
-              description: 'Base directory to search in'
-            }
-          },
-          required: ['pattern']
-        }
-      }
-    ];
+      strict: false
+    }));
   }
 
   /**
-   * Build tool definitions for O3/O4 models (new format)
+   * Build tool definitions for the Chat Completions API (nested function format)
    */
-  buildToolDefinitions() {
-    return [
-      {
-        type: 'function',
-        function: {
-          name: 'read_file',
-          description: 'Read the contents of a file with line numbers',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to the file to read'
-              }
-            },
-            required: ['path'],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'list_directory',
-          description: 'List the contents of a directory',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to the directory to list (defaults to current directory)'
-              }
-            },
-            required: [],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'grep_search',
-          description: 'Search for text patterns in files using grep',
-          parameters: {
-            type: 'object',
-            properties: {
-              pattern: {
-                type: 'string',
-                description: 'Text pattern to search for'
-              },
-              path: {
-                type: 'string',
-                description: 'Path to search in (defaults to current directory)'
-              },
-              case_sensitive: {
-                type: 'boolean',
-                description: 'Whether search should be case sensitive'
-              }
-            },
-            required: ['pattern'],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'find_files',
-          description: 'Find files using glob patterns',
-          parameters: {
-            type: 'object',
-            properties: {
-              pattern: {
-                type: 'string',
-                description: 'File name pattern to search for'
-              },
-              base_path: {
-                type: 'string',
-                description: 'Base directory to search in'
-              }
-            },
-            required: ['pattern'],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      }
-    ];
+  buildChatToolDefinitions(fileTools) {
+    return this.buildFunctionDefinitions(fileTools).map(definition => ({
+      type: 'function',
+      function: definition
+    }));
   }
 
   /**
    * Call model with function calling support
+   * Runs an agentic loop: the model requests file tools, we execute them
+   * through FileTools and feed the results back until it produces an answer.
    */
-  async callWithFunctions(requestParams, args) {
+  async callWithFunctions(requestParams, args, totalUsage = {}) {
     const fileTools = args.fileTools;
+    const toolCalls = [];
     let iterationCount = 0;
-    const maxIterations = 10;
-    const isO3Model = this.modelName.startsWith('o3') || this.modelName.startsWith('o4');
+    const maxIterations = this.config.max_tool_iterations || 10;
 
-    if (isO3Model) {
+    if (this.usesResponsesAPI()) {
       // Use Responses API for O3/O4 models
-      let input = requestParams.messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      const baseParams = {
+        model: this.modelName,
+        instructions: `${args.context || DEFAULT_INSTRUCTIONS}\n\n${this.getFileToolsInstructions(fileTools)}`,
+        tools: this.buildToolDefinitions(fileTools),
+        ...(requestParams.reasoning_effort && {
+          reasoning: { effort: requestParams.reasoning_effort }
+        }),
+        ...(requestParams.max_tokens && { max_output_tokens: requestParams.max_tokens }),
+        ...(args.previous_response_id && { previous_response_id: args.previous_response_id })
+      };
+      let input = args.previous_response_id
+        ? [{ role: 'user', content: args.query }]
+        : this.buildConversation(args);
 
       while (iterationCount < maxIterations) {
-        const completion = await this.client.responses.create({
-          model: this.modelName,
-          input: input,
-          tools: requestParams.tools,
-          ...(requestParams.reasoning_effort && {
-            reasoning: { effort: requestParams.reasoning_effort }
-          })
-        });
+        this.throwIfAborted(args.signal);
+        const completion = await this.createResponse({ ...baseParams, input }, args);
+        this.mergeUsage(totalUsage, completion.usage);
+
+        const functionCalls = (completion.output || []).filter(item => item.type === 'function_call');
+
+        if (functionCalls.length === 0) {
+          return {
+            ...this.formatResponse(
+              this.extractResponseText(completion) || 'No response generated',
+              totalUsage,
+              completion.model || this.modelName
+            ),
+            ...(completion.id && { response_id: completion.id }),
+            tool_calls: toolCalls
+          };
+        }
 
-        // Add model output to input for next iteration
+        // Add model output (reasoning items and calls) to input for next iteration
+        iterationCount++;
         input = input.concat(completion.output);
 
-        // Check for function calls in output
-        let hasFunctionCalls = false;
-        for (const item of completion.output || []) {
-          if (item.type === 'function_call') {
-            hasFunctionCalls = true;
-            const functionName = item.name;
-            const functionArgs = JSON.parse(item.arguments || '{}');
-
-            let functionResult = await this.executeTool(functionName, functionArgs, fileTools);
-
-            // Add function result to input
-            input.push({
-              type: 'function_call_output',
-              call_id: item.call_id,
-              output: functionResult
-            });
-          }
-        }
+        for (const item of functionCalls) {
+          const output = await this.runToolCall(item.name, item.arguments, fileTools, toolCalls, iterationCount);
 
-        if (!hasFunctionCalls) {
-          // No function calls, extract final response
-          let responseText = '';
-          for (const item of completion.output || []) {
-            if (item.type === 'message' && item.content) {
-              for (const contentItem of item.content) {
-                if (contentItem.type === 'text') {
-                  responseText += contentItem.text;
-                }
-              }
-            }
-          }
-          
-          return this.formatResponse(
-            responseText || 'No response generated',
-            completion.usage || {},
-            completion.model || this.modelName
-          );
+          input.push({
+            type: 'function_call_output',
+            call_id: item.call_id,
+            output
+          });
         }
-
-        iterationCount++;
       }
 
-      return this.formatResponse(
-        'Maximum function call iterations reached',
-        {},
-        this.modelName
-      );
+      // Out of iterations - ask for a final answer from what was gathered so far
+      const completion = await this.createResponse({ ...baseParams, input, tool_choice: 'none' }, args);
+      this.mergeUsage(totalUsage, completion.usage);
+
+      return {
+        ...this.formatResponse(
+          this.extractResponseText(completion) || 'Maximum function call iterations reached',
+          totalUsage,
+          completion.model || this.modelName
+        ),
+        ...(completion.id && { response_id: completion.id }),
+        tool_calls: toolCalls
+      };
     } else {
       // Use Chat Completions API for other models
-      let messages = [...requestParams.messages];
+      const messages = [...requestParams.messages];
+      messages[0] = { role: 'system', content: `${messages[0].content}\n\n${this.getFileToolsInstructions(fileTools)}` };
+      const tools = this.buildChatToolDefinitions(fileTools);
+      let completion;
 
       while (iterationCount < maxIterations) {
-        const completion = await this.client.chat.completions.create({
+        this.throwIfAborted(args.signal);
+        completion = await this.createChatCompletion({
           ...requestParams,
-          messages: messages
-        });
+          messages,
+          tools
+        }, args);
+        this.mergeUsage(totalUsage, completion.usage);
 
-        const choice = completion.choices[0];
-        const message = choice.message;
+        const message = completion.choices[0].message;
 
         // Add the assistant's message to the conversation
         messages.push(message);
 
-        // Check for function calls
-        const functionCall = message.function_call;
-
-        if (functionCall) {
-          // Handle legacy function calls
-          const functionName = functionCall.name;
-          const functionArgs = JSON.parse(functionCall.arguments || '{}');
+        if (!message.tool_calls?.length) {
+          return {
+            ...this.formatResponse(message.content, totalUsage, completion.model),
+            tool_calls: toolCalls
+          };
+        }
 
-          let functionResult = await this.executeTool(functionName, functionArgs, fileTools);
+        iterationCount++;
+        for (const toolCall of message.tool_calls) {
+          const output = await this.runToolCall(
+            toolCall.function.name,
+            toolCall.function.arguments,
+            fileTools,
+            toolCalls,
+            iterationCount
+          );
 
-          // Add function result to the conversation
           messages.push({
-            role: 'function',
-            name: functionName,
-            content: functionResult
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: output
           });
-
-          iterationCount++;
-        } else {
-          // No function call, return the final response
-          return this.formatResponse(
-            message.content,
-            completion.usage,
-            completion.model
-          );
         }
       }
 
-      return this.formatResponse(
-        'Maximum function call iterations reached',
-        {},
-        this.modelName
-      );
+      completion = await this.createChatCompletion({
+        ...requestParams,
+        messages,
+        tools,
+        tool_choice: 'none'
+      }, args);
+      this.mergeUsage(totalUsage, completion.usage);
+
+      return {
+        ...this.formatResponse(
+          completion.choices[0].message.content || 'Maximum function call iterations reached',
+          totalUsage,
+          completion.model
+        ),
+        tool_calls: toolCalls
+      };
+    }
+  }
+
+  /**
+   * Create a Responses API response, streaming it when the caller wants progress
+   * @param {Object} params - responses.create parameters
+   * @param {Object} args - Query arguments (`onProgress` enables streaming, `background` background mode)
+   * @returns {Promise<Object>} The completed response, same shape as without streaming
+   */
+  async createResponse(params, args) {
+    if (args.background && this.supportsBackground()) {
+      return this.createBackgroundResponse(params, args);
+    }
+
+    if (!args.onProgress) {
+      return this.client.responses.create(params, { signal: args.signal });
+    }
+
+    const stream = await this.client.responses.create({ ...params, stream: true }, { signal: args.signal });
+    let partialText = '';
+
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'response.reasoning_summary_text.delta':
+          args.onProgress({ model: this.modelName, phase: 'reasoning' });
+          break;
+        case 'response.output_text.delta':
+          partialText += event.delta;
+          args.onProgress({ model: this.modelName, phase: 'output', partial_text: partialText });
+          break;
+        case 'response.output_item.added':
+          if (event.item.type === 'function_call') {
+            args.onProgress({ model: this.modelName, phase: 'tool_call', tool: event.item.name });
+          }
+          break;
+        case 'response.completed':
+        case 'response.incomplete':
+          args.onProgress({ model: this.modelName, phase: 'completed', usage: this.normalizeStreamUsage(event.response.usage) });
+          return event.response;
+        case 'response.failed':
+          throw new Error(event.response.error?.message || 'Response failed');
+        case 'error':
+          throw new Error(event.message || 'Response stream error');
+      }
     }
+
+    throw new Error('Response stream ended before the response completed');
   }
 
   /**
-   * Execute a tool function
+   * Run a Responses API call in background mode and poll until it finishes
+   * The run continues on OpenAI's side between polls, so a long o3-pro call
+   * doesn't depend on one HTTP connection staying open
+   * @param {Object} params - responses.create parameters
+   * @param {Object} args - Query arguments
+   * @returns {Promise<Object>} The finished response
    */
-  async executeTool(functionName, functionArgs, fileTools) {
+  async createBackgroundResponse(params, args) {
+    const onProgress = args.onProgress || (() => {});
+    const pollInterval = this.config.background_poll_interval_ms || 5000;
+    let response = await this.client.responses.create({ ...params, background: true }, { signal: args.signal });
+
+    onProgress({ model: this.modelName, phase: response.status, response_id: response.id });
+
     try {
-      switch (functionName) {
-        case 'read_file':
-          const fileData = await fileTools.readFile(functionArgs.path);
-          return fileData.content;
-        case 'list_directory':
-          const dirData = await fileTools.listDirectory(functionArgs.path || '.');
-          return `Directory: ${dirData.path}\n` + 
-            dirData.items.map(item => `${item.isDirectory ? 'd' : '-'} ${item.name}`).join('\n');
-        case 'grep_search':
-          const searchData = await fileTools.grep(functionArgs.pattern, {
-            path: functionArgs.path || '.',
-            caseSensitive: functionArgs.case_sensitive || false,
-            recursive: true
-          });
-          return searchData.matches.map(match => 
-            `${match.file}:${match.line}: ${match.content}`
-          ).join('\n') || 'No matches found';
-        case 'find_files':
-          const findData = await fileTools.glob(functionArgs.pattern, functionArgs.base_path || '.');
-          return findData.files.map(file => file.path).join('\n') || 'No files found';
-        default:
-          return `Error: Unknown function ${functionName}`;
+      while (response.status === 'queued' || response.status === 'in_progress') {
+        await sleep(pollInterval, args.signal);
+        this.throwIfAborted(args.signal);
+
+        response = await this.client.responses.retrieve(response.id, {}, { signal: args.signal });
+        onProgress({ model: this.modelName, phase: response.status });
       }
     } catch (error) {
-      return `Error: ${error.message}`;
+      if (args.signal?.aborted) {
+        // Best effort: stop the run on OpenAI's side as well, or it keeps going (and billing)
+        await this.client.responses.cancel(response.id).catch(() => {});
+      }
+      throw error;
+    }
+
+    if (response.status === 'failed' || response.status === 'cancelled') {
+      throw new Error(response.error?.message || `Background response ${response.id} ${response.status}`);
+    }
+
+    onProgress({ model: this.modelName, phase: 'completed', usage: this.normalizeStreamUsage(response.usage) });
+    return response;
+  }
+
+  /**
+   * Create a chat completion, streaming it when the caller wants progress
+   * Streamed chunks (content and tool call deltas) are reassembled into a regular completion
+   * @param {Object} params - chat.completions.create parameters
+   * @param {Object} args - Query arguments (`onProgress` enables streaming)
+   * @returns {Promise<Object>} Completion with `choices[0].message` and `usage`
+   */
+  async createChatCompletion(params, args) {
+    if (!args.onProgress) {
+      return this.client.chat.completions.create(params, { signal: args.signal });
     }
+
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: args.signal });
+    const completion = { model: this.modelName, usage: null };
+    let content = '';
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      completion.model = chunk.model || completion.model;
+      if (chunk.usage) {
+        completion.usage = chunk.usage;
+      }
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        content += delta.content;
+        args.onProgress({ model: this.modelName, phase: 'output', partial_text: content });
+      }
+
+      for (const toolDelta of delta.tool_calls || []) {
+        if (!toolCalls[toolDelta.index]) {
+          toolCalls[toolDelta.index] = { id: toolDelta.id, type: 'function', function: { name: '', arguments: '' } };
+          args.onProgress({ model: this.modelName, phase: 'tool_call', tool: toolDelta.function?.name });
+        }
+
+        const toolCall = toolCalls[toolDelta.index];
+        toolCall.id = toolDelta.id || toolCall.id;
+        toolCall.function.name += toolDelta.function?.name || '';
+        toolCall.function.arguments += toolDelta.function?.arguments || '';
+      }
+    }
+
+    args.onProgress({ model: this.modelName, phase: 'completed', usage: this.normalizeStreamUsage(completion.usage) });
+
+    const message = { role: 'assistant', content: content || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
+
+    return { ...completion, choices: [{ message }] };
+  }
+
+  /**
+   * Usage in the shape ProgressReporter accumulates
+   */
+  normalizeStreamUsage(usage) {
+    return usage ? this.mergeUsage({}, usage) : undefined;
+  }
+
+  /**
+   * Extract output text from a Responses API result
+   */
+  extractResponseText(completion) {
+    // Prefer convenience field if available
+    let responseText = completion.output_text || '';
+
+    if (!responseText && Array.isArray(completion.output)) {
+      for (const item of completion.output) {
+        if (item.type === 'message' && Array.isArray(item.content)) {
+          for (const contentItem of item.content) {
+            if ((contentItem.type === 'output_text' || contentItem.type === 'text') && contentItem.text) {
+              responseText += contentItem.text;
+            }
+          }
+        }
+      }
+    }
+
+    return responseText;
   }
 
   /**
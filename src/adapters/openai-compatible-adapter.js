@@ -0,0 +1,119 @@
+import { OpenAIAdapter } from './openai-adapter.js';
+
+/**
+ * Adapter for OpenAI-compatible Chat Completions endpoints
+ * (llama.cpp server, vLLM, Ollama, LM Studio, ...)
+ */
+export class OpenAICompatibleAdapter extends OpenAIAdapter {
+  /**
+   * Build client options from the model's `base_url` and optional API key.
+   * Local servers usually ignore the key, but the OpenAI client requires one.
+   * @param {Object} config - Model configuration
+   * @returns {Object} Options for the OpenAI client
+   */
+  buildClientOptions(config) {
+    if (!config.base_url) {
+      throw new Error(`Model ${config.model_name} uses provider openai_compatible but has no base_url`);
+    }
+
+    const apiKey = config.api_key ||
+                   (config.api_key_env && process.env[config.api_key_env]) ||
+                   'not-needed';
+
+    return {
+      apiKey: apiKey,
+      baseURL: config.base_url,
+      timeout: config.timeout_ms || 1800000,
+      maxRetries: 0,
+    };
+  }
+
+  async call(args) {
+    // Many local models can't do tool calls; only offer FileTools when configured
+    if (args.enable_functions && !this.supportsFunctionCalling()) {
+      return super.call({ ...args, enable_functions: false });
+    }
+
+    return super.call(args);
+  }
+
+  /**
+   * Discover served models via GET {base_url}/models
+   */
+  async checkAvailability() {
+    try {
+      const models = await this.client.models.list();
+      const modelIds = models.data.map(m => m.id);
+      const available = modelIds.includes(this.modelName);
+
+      return {
+        available,
+        message: available ? 'OK' : `Model ${this.modelName} not served by ${this.config.base_url}`,
+        models_found: modelIds
+      };
+    } catch (error) {
+      return {
+        available: false,
+        message: `Error checking availability at ${this.config.base_url}: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Compatible servers only speak Chat Completions
+   */
+  usesResponsesAPI() {
+    return false;
+  }
+
+  supportsTemperature() {
+    return true;
+  }
+
+  /**
+   * Only send reasoning_effort when the model is configured as a reasoning model
+   */
+  supportsReasoning() {
+    return this.capabilities.includes('reasoning');
+  }
+
+  supportsFunctionCalling() {
+    return this.capabilities.includes('function_calling');
+  }
+
+  /**
+   * Get model-specific information
+   */
+  getModelInfo() {
+    return {
+      ...super.getModelInfo(),
+      base_url: this.config.base_url,
+      supports_function_calling: this.supportsFunctionCalling()
+    };
+  }
+
+  /**
+   * Get context window size for the model
+   */
+  getContextWindow() {
+    return this.config.context_window || 32768;
+  }
+
+  /**
+   * Create user-friendly error messages for local endpoint failures
+   */
+  createUserFriendlyError(error) {
+    const message = error.message || '';
+    const cause = error.cause?.code || '';
+
+    if (cause === 'ECONNREFUSED' || message.includes('ECONNREFUSED') || message.includes('Connection error')) {
+      return `🔌 Could not reach the model server at ${this.config.base_url}. Please:\n\n1. Check the local inference server is running\n2. Verify base_url in config/models.yaml (it usually ends in /v1)`;
+    }
+
+    if (error.status === 404 || message.includes('model_not_found') || message.includes('not found')) {
+      return `🤖 Model ${this.modelName} is not served at ${this.config.base_url}. Check model_name in config/models.yaml matches a model loaded on the server.`;
+    }
+
+    return super.createUserFriendlyError(error);
+  }
+}
@@ -0,0 +1,219 @@
+import { JobStore, JOB_STATUS, isFinished } from './job-store.js';
+import { mergeUsage } from '../utils/usage.js';
+import { Logger } from '../utils/logger.js';
+
+const PARTIAL_TEXT_CHARS = 300;
+
+/**
+ * Runs deepthink queries as background jobs
+ * A job outlives the MCP request that started it: clients poll its status and
+ * collect the result later. OpenAI reasoning models run in Responses API
+ * background mode; other providers run in-process. A job stays queued while it
+ * waits for the client's rate limits or a free slot on its model
+ */
+export class JobManager {
+  /**
+   * @param {O3ProService} service - Service that executes the queries
+   * @param {Object} [options] - `settings.jobs` from config
+   * @param {JobStore} [options.store] - Job store (defaults to an in-memory store)
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.store = options.store || new JobStore(options);
+    this.logger = new Logger('JobManager');
+
+    // Abort controllers and promises of jobs running in this process
+    this.running = new Map();
+  }
+
+  /**
+   * Start a query as a background job
+   * @param {Object} args - deepthink query arguments
+   * @returns {Object} Job status, including the job id to poll
+   */
+  start(args) {
+    if (!args?.query || typeof args.query !== 'string' || args.query.trim() === '') {
+      throw new Error('Query is required');
+    }
+
+    const { signal, onProgress, fileTools, ...storedArgs } = args;
+    const job = this.store.create({
+      id: 'job_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8),
+      status: JOB_STATUS.QUEUED,
+      args: storedArgs,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      progress: { phase: 'queued', usage: {} },
+      result: null,
+      error: null
+    });
+
+    this.launch(job);
+
+    this.logger.info('Queued deepthink job', { job_id: job.id, model: storedArgs.model || 'auto' });
+    return this.getStatus(job.id);
+  }
+
+  /**
+   * Pick up jobs persisted by a previous server process
+   * Queued jobs go back in line; jobs that were already running can't be
+   * reattached and are marked failed
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resume() {
+    const jobs = await this.store.load();
+    let resumed = 0;
+
+    for (const job of jobs) {
+      if (job.status === JOB_STATUS.QUEUED) {
+        this.launch(job);
+        resumed++;
+      } else if (job.status === JOB_STATUS.RUNNING) {
+        this.store.update(job.id, {
+          status: JOB_STATUS.FAILED,
+          finished_at: new Date().toISOString(),
+          error: { message: 'Server restarted while the job was running', code: 'JOB_INTERRUPTED' }
+        });
+      }
+    }
+
+    if (resumed > 0) {
+      this.logger.info('Resumed queued deepthink jobs', { count: resumed });
+    }
+    return resumed;
+  }
+
+  /**
+   * Start running a stored job in the background
+   */
+  launch(job) {
+    const controller = new AbortController();
+    const promise = this.run(job.id, job.args, controller.signal);
+    this.running.set(job.id, { controller, promise });
+  }
+
+  /**
+   * Execute a job and store its outcome
+   */
+  async run(jobId, args, signal) {
+    try {
+      const result = await this.service.query({
+        ...args,
+        background: true,
+        signal,
+        onProgress: event => this.recordProgress(jobId, event)
+      });
+
+      this.store.update(jobId, {
+        status: JOB_STATUS.SUCCEEDED,
+        finished_at: new Date().toISOString(),
+        result
+      });
+    } catch (error) {
+      const cancelled = error.code === 'CANCELLED';
+
+      this.store.update(jobId, {
+        status: cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+        finished_at: new Date().toISOString(),
+        error: { message: error.message, code: error.code || 'UNKNOWN_ERROR' }
+      });
+    } finally {
+      this.running.delete(jobId);
+    }
+  }
+
+  /**
+   * Fold an adapter progress event into the job record
+   */
+  recordProgress(jobId, event) {
+    const job = this.store.get(jobId);
+    if (!job) return;
+
+    // The router reports 'started' once the call has a slot on its model
+    if (job.status === JOB_STATUS.QUEUED && event.phase === 'started') {
+      this.store.update(jobId, { status: JOB_STATUS.RUNNING, started_at: new Date().toISOString() });
+    }
+
+    const { usage, partial_text: partialText, ...rest } = event;
+    Object.assign(job.progress, rest);
+    mergeUsage(job.progress.usage, usage);
+
+    if (partialText) {
+      job.progress.partial_text = partialText.length > PARTIAL_TEXT_CHARS
+        ? `…${partialText.slice(-PARTIAL_TEXT_CHARS)}`
+        : partialText;
+    }
+  }
+
+  /**
+   * Get a job or throw JOB_NOT_FOUND
+   * @param {string} jobId - Job id
+   * @returns {Object} Job record
+   */
+  getJob(jobId) {
+    const job = this.store.get(jobId);
+
+    if (!job) {
+      const error = new Error(`Job not found: ${jobId}`);
+      error.code = 'JOB_NOT_FOUND';
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Job status with progress so far, and usage and cost once finished
+   * @param {string} jobId - Job id
+   * @returns {Object} Job status
+   */
+  getStatus(jobId) {
+    const job = this.getJob(jobId);
+    const end = job.finished_at ? new Date(job.finished_at).getTime() : Date.now();
+
+    return {
+      job_id: job.id,
+      status: job.status,
+      model: job.result?.model_id || job.args.model || 'auto',
+      priority: job.args.priority || 'normal',
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      elapsed_ms: job.started_at ? end - new Date(job.started_at).getTime() : 0,
+      ...(!isFinished(job) && { progress: job.progress }),
+      ...(job.result && {
+        usage: job.result.usage,
+        cost: job.result.cost || 0
+      }),
+      ...(job.error && { error: job.error })
+    };
+  }
+
+  /**
+   * Cancel a running job
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} Job status after cancellation
+   */
+  async cancel(jobId) {
+    const job = this.getJob(jobId);
+    const running = this.running.get(jobId);
+
+    if (isFinished(job) || !running) {
+      return { ...this.getStatus(jobId), message: `Job already ${job.status}` };
+    }
+
+    running.controller.abort();
+    await running.promise;
+
+    return this.getStatus(jobId);
+  }
+
+  /**
+   * Statuses of every stored job, newest first
+   * @returns {Object[]} Job statuses
+   */
+  list() {
+    return this.store.list().reverse().map(job => this.getStatus(job.id));
+  }
+}
@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Whether a job has reached a terminal status
+ * @param {Object} job - Job record
+ * @returns {boolean} True once the job succeeded, failed or was cancelled
+ */
+export function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+/**
+ * Query arguments worth keeping once a job has finished
+ * The query and context may hold secrets, and nothing needs them after the run
+ * @param {Object} args - Stored query arguments
+ * @returns {Object} Arguments without `query` and `context`
+ */
+function withoutQuery(args = {}) {
+  const { query, context, ...rest } = args;
+  return rest;
+}
+
+/**
+ * Store of deepthink background jobs
+ * Finished jobs are kept for `retention_ms` so their results can be collected,
+ * without their query and context. With a `state_file`, every change is written to disk so the queue survives a restart
+ */
+export class JobStore {
+  /**
+   * @param {Object} [options] - `settings.jobs` from config
+   * @param {number} [options.retention_ms=3600000] - How long finished jobs are kept
+   * @param {number} [options.max_jobs=100] - Most jobs kept at once (oldest finished jobs go first)
+   * @param {string} [options.state_file] - JSON file to persist jobs in (in memory only when unset)
+   */
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.retentionMs = options.retention_ms ?? 3600000;
+    this.maxJobs = options.max_jobs ?? 100;
+    this.stateFile = options.state_file ? path.resolve(options.state_file) : null;
+    this.logger = new Logger('JobStore');
+
+    // Writes are chained so an older snapshot never lands after a newer one
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Read persisted jobs from the state file
+   * @returns {Promise<Object[]>} Jobs loaded (none without a state file)
+   */
+  async load() {
+    if (!this.stateFile) {
+      return [];
+    }
+
+    let jobs;
+    try {
+      jobs = JSON.parse(await fs.readFile(this.stateFile, 'utf8')).jobs || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    for (const job of jobs) {
+      this.jobs.set(job.id, isFinished(job) ? { ...job, args: withoutQuery(job.args) } : job);
+    }
+    this.prune();
+
+    return this.list();
+  }
+
+  /**
+   * Write every job to the state file
+   * @returns {Promise<void>} Resolves once this snapshot is on disk
+   */
+  save() {
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+
+    this.saving = this.saving.then(async () => {
+      const snapshot = JSON.stringify({ jobs: this.list() }, null, 2);
+      const tmpFile = `${this.stateFile}.tmp`;
+
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(tmpFile, snapshot);
+      await fs.rename(tmpFile, this.stateFile);
+    }).catch(error => {
+      this.logger.error('Failed to persist jobs:', { error: error.message });
+    });
+
+    return this.saving;
+  }
+
+  /**
+   * Add a job
+   * @param {Object} job - Job record with an `id`
+   * @returns {Object} The stored job
+   */
+  create(job) {
+    this.prune();
+    this.jobs.set(job.id, job);
+    this.save();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Merge fields into a job
+   * @param {string} id - Job id
+   * @param {Object} patch - Fields to update
+   * @returns {Object|undefined} The updated job
+   */
+  update(id, patch) {
+    const job = this.jobs.get(id);
+    if (job) {
+      Object.assign(job, patch);
+      if (isFinished(job)) {
+        job.args = withoutQuery(job.args);
+      }
+      this.save();
+    }
+    return job;
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Drop expired finished jobs, then the oldest finished jobs beyond max_jobs
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [id, job] of this.jobs) {
+      if (isFinished(job) && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+
+    const finished = this.list().filter(isFinished);
+    while (this.jobs.size >= this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
@@ -0,0 +1,175 @@
+import { sumUsage } from '../utils/usage.js';
+import { sumCostBreakdowns } from '../utils/pricing.js';
+import { Logger } from '../utils/logger.js';
+
+const SYNTHESIS_INSTRUCTIONS = `You are reviewing independent answers from several AI models to the same question.
+Compare them and reply in Markdown with exactly these sections:
+
+## Agreement
+Points all or most models agree on.
+
+## Disagreement
+Where the models differ, which model said what, and which position is better supported and why.
+
+## Recommendation
+A single merged recommendation that takes the strongest parts of each answer.`;
+
+/**
+ * Consensus mode
+ * Fans a query out to several models in parallel, then asks a synthesis model
+ * where the answers agree, where they disagree, and what to recommend
+ */
+export class ConsensusMode {
+  /**
+   * @param {ModelRouter} router - Router owning the model adapters
+   * @param {Object} [settings] - `settings.consensus` from config
+   */
+  constructor(router, settings = {}) {
+    this.router = router;
+    this.settings = settings;
+    this.logger = new Logger('ConsensusMode');
+  }
+
+  /**
+   * Run a consensus query
+   * @param {Object} args - Query arguments
+   * @param {string[]} [args.models] - Model ids to consult (defaults to settings.consensus.models)
+   * @param {string} [args.synthesis_model] - Model id for the synthesis pass
+   * @returns {Promise<Object>} Synthesis response with per-model answers and aggregated usage
+   */
+  async run(args) {
+    this.router.validateQuery(args);
+
+    const startTime = Date.now();
+    const modelIds = this.resolveModels(args);
+    const synthesisModel = args.synthesis_model || this.settings.synthesis_model || this.router.defaultModel;
+    this.assertAvailable([...modelIds, synthesisModel]);
+
+    this.logger.info('Running consensus query', { models: modelIds, synthesis_model: synthesisModel });
+
+    const settled = await Promise.allSettled(
+      modelIds.map(modelId => this.router.callModel(modelId, { ...args, model: modelId }))
+    );
+
+    // Don't synthesize (and pay for) answers the client no longer wants
+    const cancelled = settled.find(outcome => outcome.reason?.code === 'CANCELLED');
+    if (cancelled) {
+      throw cancelled.reason;
+    }
+
+    const answers = settled.map((outcome, index) => outcome.status === 'fulfilled'
+      ? { model_id: modelIds[index], ...outcome.value }
+      : { model_id: modelIds[index], error: outcome.reason });
+
+    const succeeded = answers.filter(answer => !answer.error);
+    if (succeeded.length === 0) {
+      const error = new Error(`All consensus models failed: ${answers.map(a => `${a.model_id}: ${a.error.message}`).join('; ')}`);
+      error.code = 'CONSENSUS_FAILED';
+      throw error;
+    }
+
+    const synthesis = await this.router.callModel(synthesisModel, {
+      query: this.buildSynthesisQuery(args.query, answers),
+      context: args.context,
+      reasoning_level: args.reasoning_level,
+      max_tokens: args.max_tokens,
+      onProgress: args.onProgress,
+      signal: args.signal,
+      client_id: args.client_id
+    });
+
+    const { usage, cost } = sumUsage([...succeeded, synthesis]);
+    const costBreakdown = sumCostBreakdowns([...succeeded, synthesis]);
+
+    return {
+      response: synthesis.response,
+      model: synthesis.model,
+      model_id: synthesisModel,
+      mode: 'consensus',
+      usage,
+      cost,
+      ...(costBreakdown && { cost_breakdown: costBreakdown }),
+      duration: Date.now() - startTime,
+      tool_calls: succeeded.flatMap(answer =>
+        (answer.tool_calls || []).map(call => ({ model: answer.model_id, ...call }))),
+      consensus: {
+        synthesis_model: synthesisModel,
+        responses: answers.map(answer => this.summarizeAnswer(answer)),
+        synthesis: {
+          model_id: synthesisModel,
+          usage: synthesis.usage,
+          cost: synthesis.cost || 0,
+          duration_ms: synthesis.duration || 0
+        }
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Models to consult: the request's list, otherwise the configured defaults
+   * (or every auto-selectable model) that initialized
+   */
+  resolveModels(args) {
+    const defaults = (this.settings.models || this.router.getCandidateModels())
+      .filter(modelId => this.router.getAdapter(modelId));
+    const modelIds = [...new Set(args.models || defaults)];
+
+    if (modelIds.length < 2) {
+      const error = new Error('Consensus mode needs at least two models');
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+
+    return modelIds;
+  }
+
+  /**
+   * Fail before calling anything if a requested model isn't initialized
+   */
+  assertAvailable(modelIds) {
+    const missing = modelIds.filter(modelId => !this.router.getAdapter(modelId));
+
+    if (missing.length > 0) {
+      const error = new Error(`Model not available: ${missing.join(', ')}`);
+      error.code = 'MODEL_NOT_AVAILABLE';
+      throw error;
+    }
+  }
+
+  /**
+   * Put the original question and every model's answer in front of the synthesis model
+   */
+  buildSynthesisQuery(query, answers) {
+    const sections = answers.map(answer => answer.error
+      ? `### ${answer.model_id}\n(failed: ${answer.error.message})`
+      : `### ${answer.model_id}\n${answer.response}`);
+
+    return `${SYNTHESIS_INSTRUCTIONS}\n\n# Question\n${query}\n\n# Answers\n\n${sections.join('\n\n')}`;
+  }
+
+  /**
+   * Per-model entry for the response metadata
+   */
+  summarizeAnswer(answer) {
+    if (answer.error) {
+      return {
+        model_id: answer.model_id,
+        status: 'failed',
+        error: answer.error.message,
+        error_code: answer.error.code || 'UNKNOWN_ERROR'
+      };
+    }
+
+    return {
+      model_id: answer.model_id,
+      model: answer.model,
+      status: 'succeeded',
+      response: answer.response,
+      usage: answer.usage,
+      cost: answer.cost || 0,
+      duration_ms: answer.duration || 0,
+      attempts: answer.attempts || 1
+    };
+  }
+}
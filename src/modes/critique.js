@@ -0,0 +1,139 @@
+import { sumUsage } from '../utils/usage.js';
+import { sumCostBreakdowns } from '../utils/pricing.js';
+import { Logger } from '../utils/logger.js';
+
+const REVIEW_INSTRUCTIONS = `You are a rigorous reviewer. Below is a question and a draft answer.
+Hunt for problems in the draft:
+- factual or logical errors
+- missing cases, edge cases or requirements it ignores
+- claims that are not supported by the question, the context or the code
+
+Reply with JSON only, in this shape:
+{"issues": [{"type": "error" | "missing_case" | "unsupported_claim", "severity": "high" | "medium" | "low", "description": "..."}]}
+Return {"issues": []} if the draft has no real problems. Do not rewrite the answer.`;
+
+const REVISION_INSTRUCTIONS = `Revise the draft answer below so that it fixes every issue the reviewer found.
+Keep what was correct, and reply with the complete revised answer only (no commentary about the review).`;
+
+const ISSUE_TYPES = ['error', 'missing_case', 'unsupported_claim'];
+
+/**
+ * Critique mode
+ * Drafts an answer, has the same model review it for errors, missing cases and
+ * unsupported claims, then revises the draft to address the issues found
+ */
+export class CritiqueMode {
+  /**
+   * @param {ModelRouter} router - Router owning the model adapters
+   */
+  constructor(router) {
+    this.router = router;
+    this.logger = new Logger('CritiqueMode');
+  }
+
+  /**
+   * Run a critique query
+   * @param {Object} args - Query arguments (model selection works as in single mode)
+   * @returns {Promise<Object>} Revised answer with the issues found and per-pass usage
+   */
+  async run(args) {
+    const startTime = Date.now();
+
+    // The draft goes through normal routing (selection, retries, fallback)
+    const draft = await this.router.route(args);
+    const modelId = draft.model_id;
+
+    const review = await this.router.callModel(modelId, {
+      ...args,
+      model: modelId,
+      query: `${REVIEW_INSTRUCTIONS}\n\n# Question\n${args.query}\n\n# Draft answer\n${draft.response}`
+    });
+    const issues = this.parseIssues(review.response);
+
+    this.logger.info('Critique review finished', { model: modelId, issues: issues.length });
+
+    // Nothing to fix: the draft stands
+    const revision = issues.length > 0
+      ? await this.router.callModel(modelId, {
+          query: this.buildRevisionQuery(args.query, draft.response, issues),
+          context: args.context,
+          reasoning_level: args.reasoning_level,
+          max_tokens: args.max_tokens,
+          onProgress: args.onProgress,
+          signal: args.signal,
+          client_id: args.client_id
+        })
+      : null;
+
+    const passes = [
+      { pass: 'draft', ...draft },
+      { pass: 'review', ...review },
+      ...(revision ? [{ pass: 'revision', ...revision }] : [])
+    ];
+    const { usage, cost } = sumUsage(passes);
+    const costBreakdown = sumCostBreakdowns(passes);
+    const final = revision || draft;
+
+    return {
+      response: final.response,
+      model: final.model,
+      model_id: modelId,
+      mode: 'critique',
+      selection: draft.selection,
+      ...(draft.fallback && { fallback: draft.fallback }),
+      usage,
+      cost,
+      ...(costBreakdown && { cost_breakdown: costBreakdown }),
+      duration: Date.now() - startTime,
+      tool_calls: [...(draft.tool_calls || []), ...(review.tool_calls || [])],
+      critique: {
+        issues,
+        revised: Boolean(revision),
+        passes: passes.map(pass => ({
+          pass: pass.pass,
+          usage: pass.usage,
+          cost: pass.cost || 0,
+          duration_ms: pass.duration || 0
+        }))
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Parse the reviewer's JSON, tolerating code fences and surrounding prose
+   * @param {string} text - Reviewer response
+   * @returns {Object[]} Issues found
+   */
+  parseIssues(text = '') {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+
+      return (parsed.issues || [])
+        .filter(issue => issue && issue.description)
+        .map(issue => ({
+          type: ISSUE_TYPES.includes(issue.type) ? issue.type : 'error',
+          severity: ['high', 'medium', 'low'].includes(issue.severity) ? issue.severity : 'medium',
+          description: String(issue.description)
+        }));
+    } catch (error) {
+      // The reviewer ignored the format; keep its critique rather than losing it
+      this.logger.warn('Could not parse critique review as JSON', { error: error.message });
+      return text.trim() ? [{ type: 'error', severity: 'medium', description: text.trim() }] : [];
+    }
+  }
+
+  /**
+   * Ask for a revision that addresses each issue
+   */
+  buildRevisionQuery(query, draft, issues) {
+    const issueList = issues
+      .map((issue, index) => `${index + 1}. [${issue.severity}] ${issue.type}: ${issue.description}`)
+      .join('\n');
+
+    return `${REVISION_INSTRUCTIONS}\n\n# Question\n${query}\n\n# Draft answer\n${draft}\n\n# Issues found\n${issueList}`;
+  }
+}
@@ -1,11 +1,20 @@
-import { OpenAIAdapter } from './adapters/openai-adapter.js';
+import { ModelRouter } from './router/index.js';
+import { ConsensusMode } from './modes/consensus.js';
+import { CritiqueMode } from './modes/critique.js';
+import { JobManager } from './jobs/job-manager.js';
+import { JOB_STATUS } from './jobs/job-store.js';
+import { ThreadStore } from './threads/thread-store.js';
+import { exportThread } from './threads/thread-export.js';
 import { RateLimiter } from './security/rate-limiter.js';
+import { BudgetGuard } from './security/budget-guard.js';
+import { Redactor } from './security/redactor.js';
 import { MetricsCollector } from './utils/metrics.js';
+import { ResponseCache } from './utils/response-cache.js';
 import { Logger } from './utils/logger.js';
 
 /**
- * Simplified O3-Pro direct service
- * No routing complexity - just direct O3-Pro calls with essential features
+ * DeepThink reasoning service
+ * Rate limits and dispatches queries to the configured models through the ModelRouter
  */
 export class O3ProService {
   constructor(config, fileTools = null) {
@@ -13,180 +22,493 @@ export class O3ProService {
     this.logger = new Logger('O3ProService');
     this.fileTools = fileTools;
     
-    // Initialize O3-Pro adapter
-    const o3ProConfig = config.models?.['o3-pro'] || {
-      provider: 'openai',
-      model_name: 'o3-pro',
-      name: 'OpenAI O3 Pro',
-      enabled: true,
-      capabilities: ["reasoning", "coding", "analysis", "math", "function_calling"],
-      default_params: {
-        temperature: null,
-        max_tokens: 100000,
-        reasoning_effort: "high"
-      },
-      rate_limit: {
-        requests_per_minute: 50,
-        requests_per_day: 1000
-      },
-      timeout_ms: 60000
-    };
+    this.rateLimiter = new RateLimiter(config.rate_limits || config.settings?.rate_limits || {});
+    this.metrics = new MetricsCollector(config.settings?.metrics);
+    // Budgets count spend from before a restart, so queries wait for it
+    this.metricsLoaded = this.metrics.load().catch(error => {
+      this.logger.error('Failed to load persisted metrics:', error);
+    });
+    this.budget = new BudgetGuard(config.settings?.budget_limits, this.metrics);
+    this.redactor = new Redactor(config.settings?.redaction);
+    this.cache = new ResponseCache({
+      ttlSeconds: config.settings?.cache_ttl,
+      ...config.settings?.cache
+    });
+    this.router = new ModelRouter(config, { metrics: this.metrics });
+    this.consensus = new ConsensusMode(this.router, config.settings?.consensus);
+    this.critique = new CritiqueMode(this.router);
+    this.threads = new ThreadStore(config.settings?.threads);
+    this.jobs = new JobManager(this, config.settings?.jobs);
+    this.jobs.resume().catch(error => {
+      this.logger.error('Failed to resume persisted jobs:', error);
+    });
     
-    this.adapter = new OpenAIAdapter(o3ProConfig);
-    this.rateLimiter = new RateLimiter(config.rate_limits || {});
-    this.metrics = new MetricsCollector();
-    
-    this.logger.info('O3-Pro service initialized');
+    this.logger.info('DeepThink service initialized', {
+      models: [...this.router.adapters.keys()],
+      default_model: this.router.defaultModel
+    });
   }
 
   /**
-   * Query O3-Pro directly
+   * Query the routed model
    * @param {Object} args - Query arguments
-   * @returns {Promise<Object>} Response from O3-Pro
+   * @param {string} [args.model] - Explicit model id (defaults to settings.default_model)
+   * @param {string} [args.mode] - "single" (default), "consensus" or "critique"
+   * @param {string} [args.thread_id] - Conversation thread to continue (created on first use)
+   * @param {string} [args.cache] - "bypass" to skip the response cache, "refresh" to replace the cached answer
+   * @param {boolean} [args.dry_run] - Return a cost estimate (see estimate()) instead of calling the model
+   * @returns {Promise<Object>} Response from the model
+   * @throws {Error} BUDGET_EXCEEDED once a cost budget is used up
    */
   async query(args) {
-    const startTime = Date.now();
-    
     try {
-      // Check rate limits
-      await this.rateLimiter.checkLimit(this.getClientIdentifier(args));
-      
-      this.logger.info('Sending query to O3-Pro');
-      
-      // Execute query with function calling support
-      const result = await this.callO3ProWithFunctions(args);
-      
-      // Record metrics
-      const duration = Date.now() - startTime;
-      await this.recordMetrics(result, duration, true);
-      
-      return result;
+      if (args.cache && !['bypass', 'refresh'].includes(args.cache)) {
+        const error = new Error('cache must be "bypass" or "refresh"');
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      if (args.dry_run) {
+        return await this.estimate(args);
+      }
+
+      // A model that can edit files may answer the same query differently once
+      // it has, and a cached answer would report edits that didn't happen
+      const cacheKey = !this.fileTools?.allowWrites && this.cache.isCacheable(args) ? this.cache.getKey(args) : null;
+
+      if (cacheKey) {
+        const hit = args.cache ? null : await this.cache.get(cacheKey);
+        this.metrics.recordCache(hit ? 'hit' : (args.cache ? 'bypass' : 'miss'), hit?.result.cost);
+
+        if (hit) {
+          this.logger.info('Serving deepthink query from cache', { model: hit.result.model_id });
+          return {
+            ...hit.result,
+            cost: 0,
+            cache: { status: 'hit', age_ms: Date.now() - hit.stored_at, saved_cost: hit.result.cost || 0 }
+          };
+        }
+      }
+
+      // Cache hits are free, so only calls that reach a model count against budgets
+      const clientId = this.getClientIdentifier(args);
+      await this.metricsLoaded;
+      const budgetWarnings = this.budget.check(clientId);
+
+      // Wait in line for the client's rate limits
+      await this.rateLimiter.acquire(clientId, { signal: args.signal });
+
+      const callArgs = { ...args, client_id: clientId };
+      const result = args.thread_id
+        ? await this.queryThread(callArgs)
+        : await this.dispatch(callArgs);
+
+      if (cacheKey && args.cache !== 'bypass' && !result.file_changes) {
+        await this.cache.set(cacheKey, result);
+      }
+
+      return {
+        ...result,
+        ...(cacheKey && { cache: { status: args.cache || 'miss' } }),
+        ...(budgetWarnings.length > 0 && { budget_warnings: budgetWarnings })
+      };
     } catch (error) {
-      const duration = Date.now() - startTime;
-      await this.recordMetrics(null, duration, false);
-      
-      this.logger.error('O3-Pro query failed:', error);
+      if (error.code === 'CANCELLED') {
+        this.logger.info('DeepThink query cancelled by the client');
+      } else if (error.code === 'BUDGET_EXCEEDED') {
+        this.logger.warn(`DeepThink query rejected: ${error.message}`);
+      } else {
+        this.logger.error('DeepThink query failed:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Call O3-Pro with function calling support for file operations
+   * Run a query in the requested mode
+   * Secrets in the query, context, history and any files the model reads are
+   * redacted first; what was redacted is reported as `redactions`. Files the
+   * model changes are journaled under a new request id and reported as
+   * `file_changes`, so they can be undone.
    * @param {Object} args - Query arguments
-   * @returns {Promise<Object>} Response from O3-Pro
+   * @returns {Promise<Object>} Response from the model
    */
-  async callO3ProWithFunctions(args) {
-    this.logger.debug('Calling O3-Pro with function calling support');
-    
-    try {
-      // Enable function calling for file operations
-      args.enable_functions = true;
-      args.fileTools = this.fileTools;
-      
-      const result = await this.adapter.call(args);
-      
-      this.logger.info('O3-Pro responded successfully', {
-        tokens: result.usage?.total_tokens,
-        cost: result.cost,
-        duration: result.duration
+  async dispatch(args) {
+    const requestId = 'req_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+    const redaction = this.redactor.createSession();
+    const redactedArgs = {
+      ...redaction.redactArgs(args),
+      fileTools: redaction.wrapFileTools(this.fileTools?.forRequest(requestId) ?? null)
+    };
+
+    const result = await this.dispatchMode(redactedArgs);
+    const redactions = redaction.getFindings();
+    const changes = this.fileTools?.allowWrites ? await this.fileTools.journal.list({ requestId }) : [];
+
+    if (redactions.length > 0) {
+      this.logger.info('Redacted secrets from deepthink query', {
+        count: redactions.reduce((sum, finding) => sum + finding.count, 0),
+        types: [...new Set(redactions.map(finding => finding.type))]
       });
-      
-      return result;
-    } catch (error) {
-      this.logger.error('O3-Pro call failed:', error);
-      throw error;
     }
+
+    return {
+      ...result,
+      ...(redactions.length > 0 && { redactions }),
+      ...(changes.length > 0 && {
+        request_id: requestId,
+        file_changes: changes.reverse().map(change => ({ id: change.id, path: change.path, operation: change.operation }))
+      })
+    };
+  }
+
+  /**
+   * Only single mode may change files: consensus models run side by side, and
+   * a critique's reviewer shouldn't rewrite what it reviews
+   */
+  async dispatchMode(args) {
+    if (args.mode === 'consensus') {
+      this.logger.info('Running deepthink consensus query', { models: args.models || 'configured' });
+      return this.consensus.run({ ...args, enable_functions: true, fileTools: args.fileTools?.readOnly() ?? null });
+    }
+
+    if (args.mode === 'critique') {
+      this.logger.info('Running deepthink critique query', { model: args.model || 'auto' });
+      return this.critique.run({ ...args, enable_functions: true, fileTools: args.fileTools?.readOnly() ?? null });
+    }
+
+    this.logger.info('Routing deepthink query', { model: args.model || 'auto' });
+
+    // Execute query with function calling support
+    return this.callO3ProWithFunctions(args);
+  }
+
+  /**
+   * Estimate what a query would cost without calling any model
+   * Consensus and critique make several calls; each is estimated with the
+   * query's own input, so passes that also carry earlier answers (synthesis,
+   * review, revision) are underestimated
+   * @param {Object} args - Query arguments, as for query()
+   * @returns {Promise<Object>} Formatted estimate: per-call token and cost ranges, totals, and
+   *   whether the input fits every model's context window
+   */
+  async estimate(args) {
+    const estimateArgs = { ...args };
+
+    // A thread turn resends the conversation so far
+    if (args.thread_id) {
+      this.threads.validateId(args.thread_id);
+      const thread = await this.threads.get(args.thread_id);
+      estimateArgs.history = (thread?.turns || []).flatMap(turn => [
+        { role: 'user', content: turn.query },
+        { role: 'assistant', content: turn.response }
+      ]);
+    }
+
+    const calls = this.estimateCalls(estimateArgs);
+
+    return this.formatSystemResponse({
+      dry_run: true,
+      mode: args.mode || 'single',
+      calls,
+      cost: {
+        min: parseFloat(calls.reduce((sum, call) => sum + call.cost.min, 0).toFixed(4)),
+        max: parseFloat(calls.reduce((sum, call) => sum + call.cost.max, 0).toFixed(4))
+      },
+      fits_context: calls.every(call => call.fits_context),
+      note: 'Token counts are offline approximations; reasoning and answer lengths are typical ranges'
+    });
+  }
+
+  /**
+   * Per-call estimates for the calls a query's mode would make
+   */
+  estimateCalls(args) {
+    if (args.mode === 'consensus') {
+      const modelIds = this.consensus.resolveModels(args);
+      const synthesisModel = args.synthesis_model || this.consensus.settings.synthesis_model || this.router.defaultModel;
+
+      return [
+        ...modelIds.map(modelId => ({ pass: 'answer', ...this.router.estimateModel(modelId, args) })),
+        { pass: 'synthesis', ...this.router.estimateModel(synthesisModel, args) }
+      ];
+    }
+
+    const estimate = this.router.estimate(args);
+
+    if (args.mode === 'critique') {
+      return ['draft', 'review', 'revision'].map(pass => ({ pass, ...estimate }));
+    }
+
+    return [estimate];
+  }
+
+  /**
+   * Continue a conversation thread
+   * Earlier turns are sent as history; OpenAI Responses API models chain onto
+   * the last turn's stored response with previous_response_id instead
+   * @param {Object} args - Query arguments with `thread_id`
+   * @returns {Promise<Object>} Response from the model with `thread_id` and `thread_turn`
+   */
+  async queryThread(args) {
+    this.threads.validateId(args.thread_id);
+
+    const thread = await this.threads.get(args.thread_id);
+    const turns = thread?.turns || [];
+    const lastTurn = turns[turns.length - 1];
+
+    const result = await this.dispatch({
+      ...args,
+      history: turns.flatMap(turn => [
+        { role: 'user', content: turn.query },
+        { role: 'assistant', content: turn.response }
+      ]),
+      ...(lastTurn?.response_id && { previous_response_id: lastTurn.response_id })
+    });
+
+    const updated = await this.threads.appendTurn(args.thread_id, {
+      query: args.query,
+      ...(args.context && { context: args.context }),
+      response: result.response,
+      model: result.model,
+      model_id: result.model_id,
+      mode: args.mode || 'single',
+      ...(result.response_id && { response_id: result.response_id }),
+      usage: result.usage,
+      cost: result.cost || 0,
+      duration_ms: result.duration || 0,
+      timestamp: result.timestamp || new Date().toISOString()
+    });
+
+    return { ...result, thread_id: updated.id, thread_turn: updated.turns.length };
+  }
+
+  /**
+   * Call the routed model with function calling support for file operations
+   * @param {Object} args - Query arguments
+   * @returns {Promise<Object>} Response from the model
+   */
+  async callO3ProWithFunctions(args) {
+    this.logger.debug('Calling model with function calling support');
+    
+    // Enable function calling for file operations
+    args.enable_functions = true;
+    args.fileTools = args.fileTools ?? this.fileTools;
+    
+    const result = await this.router.route(args);
+    
+    this.logger.info('Model responded successfully', {
+      model: result.model_id,
+      tokens: result.usage?.total_tokens,
+      cost: result.cost,
+      duration: result.duration,
+      tool_calls: result.tool_calls?.length || 0
+    });
+    
+    return result;
   }
 
   /**
-   * Get O3-Pro model information
+   * Get model information
+   * @param {string} [modelId] - Configured model id (defaults to settings.default_model)
    * @returns {Promise<Object>} Model information
    */
-  async getModelInfo() {
+  async getModelInfo(modelId = this.router.defaultModel) {
+    const adapter = this.router.getAdapter(modelId);
+
     try {
+      if (!adapter) {
+        throw new Error(`Model not available: ${modelId}`);
+      }
+
       const [capabilities, availability] = await Promise.all([
-        Promise.resolve(this.adapter.getModelInfo ? this.adapter.getModelInfo() : this.adapter.getCapabilities()),
-        this.adapter.checkAvailability()
+        Promise.resolve(adapter.getModelInfo ? adapter.getModelInfo() : adapter.getCapabilities()),
+        adapter.checkAvailability()
       ]);
       
       const modelInfo = {
-        id: 'o3-pro',
         ...capabilities,
+        id: modelId,
         available: availability.available,
         status: availability.message,
         last_checked: new Date().toISOString()
       };
 
-      return {
-        response: JSON.stringify(modelInfo, null, 2),
-        model: 'system',
-        usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
-        cost: 0,
-        duration: 0
-      };
+      return this.formatSystemResponse(modelInfo);
     } catch (error) {
-      const errorInfo = {
-        id: 'o3-pro',
+      return this.formatSystemResponse({
+        id: modelId,
         available: false,
         status: `Error: ${error.message}`,
         last_checked: new Date().toISOString()
-      };
-
-      return {
-        response: JSON.stringify(errorInfo, null, 2),
-        model: 'system',
-        usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
-        cost: 0,
-        duration: 0
-      };
+      });
     }
   }
 
+  /**
+   * List configured models and routing settings
+   * @returns {Object} Model listing
+   */
+  listModels() {
+    return this.formatSystemResponse(this.router.listModels());
+  }
+
   /**
    * Get service statistics
    * @returns {Promise<Object>} Usage statistics
    */
   async getStats() {
-    const stats = await this.metrics.getStats();
-    
-    return {
-      response: JSON.stringify(stats, null, 2),
-      model: 'system',
-      usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
-      cost: 0,
-      duration: 0
-    };
+    return this.formatSystemResponse({
+      ...await this.metrics.getStats(),
+      budgets: this.budget.getStatus()
+    });
   }
 
   /**
-   * Health check for O3-Pro
+   * Health check for all configured models
    * @returns {Promise<Object>} Health status
    */
   async healthCheck() {
     const health = {
-      service: 'o3-pro-direct',
+      service: 'deepthink',
       timestamp: new Date().toISOString()
     };
 
     try {
-      const availability = await this.adapter.checkAvailability();
-      health.status = availability.available ? 'healthy' : 'unhealthy';
-      health.message = availability.message;
-      health.o3_pro = {
-        status: availability.available ? 'healthy' : 'unhealthy',
-        message: availability.message
-      };
+      const routerHealth = await this.router.healthCheck();
+      health.status = routerHealth.overall_status;
+      health.models = routerHealth.models;
+      health.circuit_breakers = this.router.getCircuitStates();
+      health.concurrency = this.router.getConcurrencyState();
+
+      // A model can answer availability checks while its real calls keep failing
+      const openCircuits = Object.values(health.circuit_breakers).filter(breaker => breaker.state !== 'closed');
+      if (health.status === 'healthy' && openCircuits.length > 0) {
+        health.status = 'degraded';
+      }
     } catch (error) {
       health.status = 'error';
       health.message = error.message;
-      health.o3_pro = {
-        status: 'error',
-        message: error.message
-      };
     }
 
+    return this.formatSystemResponse(health);
+  }
+
+  /**
+   * Start a query as a background job
+   * @param {Object} args - Query arguments, as for query()
+   * @returns {Object} Formatted job status with the job id to poll
+   */
+  startJob(args) {
+    return this.formatSystemResponse(this.jobs.start(args));
+  }
+
+  /**
+   * Get the status of a background job
+   * @param {string} jobId - Job id from startJob
+   * @returns {Object} Formatted job status
+   */
+  getJobStatus(jobId) {
+    return this.formatSystemResponse(this.jobs.getStatus(jobId));
+  }
+
+  /**
+   * Get the result of a background job
+   * @param {string} jobId - Job id from startJob
+   * @returns {Object} The query response once the job succeeded, otherwise its formatted status
+   * @throws {Error} The job's error if it failed or was cancelled
+   */
+  getJobResult(jobId) {
+    const job = this.jobs.getJob(jobId);
+
+    if (job.status === JOB_STATUS.SUCCEEDED) {
+      return job.result;
+    }
+
+    if (job.error) {
+      const error = new Error(`Job ${job.status}: ${job.error.message}`);
+      error.code = job.error.code;
+      throw error;
+    }
+
+    return this.formatSystemResponse({
+      ...this.jobs.getStatus(jobId),
+      message: 'Job has not finished yet; poll deepthink_status and try again'
+    });
+  }
+
+  /**
+   * Cancel a running background job
+   * @param {string} jobId - Job id from startJob
+   * @returns {Promise<Object>} Formatted job status after cancellation
+   */
+  async cancelJob(jobId) {
+    return this.formatSystemResponse(await this.jobs.cancel(jobId));
+  }
+
+  /**
+   * List conversation threads
+   * @returns {Promise<Object>} Formatted thread summaries, most recent first
+   */
+  async listThreads() {
+    return this.formatSystemResponse({ threads: await this.threads.list() });
+  }
+
+  /**
+   * Get a conversation thread with all its turns
+   * @param {string} threadId - Thread id
+   * @returns {Promise<Object>} Formatted thread
+   */
+  async getThread(threadId) {
+    return this.formatSystemResponse(await this.threads.require(threadId));
+  }
+
+  /**
+   * Fork a conversation thread to explore an alternative from an earlier turn
+   * @param {string} threadId - Thread to fork
+   * @param {Object} [options] - `{turn, newThreadId}` (see ThreadStore.fork)
+   * @returns {Promise<Object>} Formatted summary of the new thread
+   */
+  async forkThread(threadId, options = {}) {
+    const thread = await this.threads.fork(threadId, options);
+    this.logger.info('Forked conversation thread', { from: threadId, thread_id: thread.id, turn: thread.forked_from.turn });
+
+    return this.formatSystemResponse(this.threads.summarize(thread));
+  }
+
+  /**
+   * Export a conversation thread with per-turn model, usage and cost
+   * @param {string} threadId - Thread id
+   * @param {string} [format="markdown"] - "markdown" or "json"
+   * @returns {Promise<Object>} Formatted export
+   */
+  async exportThread(threadId, format = 'markdown') {
+    return this.formatSystemResponse(exportThread(await this.threads.require(threadId), format));
+  }
+
+  /**
+   * Delete a conversation thread
+   * @param {string} threadId - Thread id
+   * @returns {Promise<Object>} Formatted confirmation
+   */
+  async deleteThread(threadId) {
+    if (!await this.threads.delete(threadId)) {
+      const error = new Error(`Thread not found: ${threadId}`);
+      error.code = 'THREAD_NOT_FOUND';
+      throw error;
+    }
+
+    return this.formatSystemResponse({ thread_id: threadId, deleted: true });
+  }
+
+  /**
+   * Wrap system information in the standard response shape
+   * @param {Object|string} data - Data to return as JSON, or text to return as is
+   * @returns {Object} Formatted response
+   */
+  formatSystemResponse(data) {
     return {
-      response: JSON.stringify(health, null, 2),
+      response: typeof data === 'string' ? data : JSON.stringify(data, null, 2),
       model: 'system',
       usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
       cost: 0,
@@ -195,28 +517,28 @@ export class O3ProService {
   }
 
   /**
-   * Record metrics for a query
-   * @param {Object} result - Query result
-   * @param {number} duration - Duration in ms
-   * @param {boolean} success - Whether the query succeeded
+   * Undo file changes models made, newest first
+   * @param {Object} [args]
+   * @param {number} [args.count=1] - Number of most recent changes to undo
+   * @param {string} [args.request_id] - Undo every change from this deepthink request instead
+   * @returns {Promise<Object>} Formatted list of the changes undone, with the diff of each revert
+   * @throws {Error} CHANGE_CONFLICT if a file was modified since its change
    */
-  async recordMetrics(result, duration, success) {
-    try {
-      await this.metrics.record({
-        model: 'o3-pro',
-        tokens: result?.usage?.total_tokens || 0,
-        cost: result?.cost || 0,
-        duration: duration,
-        success: success,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      this.logger.warn('Failed to record metrics:', error);
+  async undo(args = {}) {
+    if (!this.fileTools) {
+      const error = new Error('File tools are not available');
+      error.code = 'FILE_TOOLS_UNAVAILABLE';
+      throw error;
     }
+
+    return this.formatSystemResponse(await this.fileTools.undo({
+      count: args.count ?? 1,
+      requestId: args.request_id
+    }));
   }
 
   /**
-   * Get client identifier for rate limiting
+   * Get client identifier for rate limits and budgets
    * @param {Object} args - Query arguments
    * @returns {string} Client identifier
    */
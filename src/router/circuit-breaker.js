@@ -0,0 +1,152 @@
+import { Logger } from '../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  failure_threshold: 0.5,
+  min_requests: 5,
+  window_ms: 60000,
+  cooldown_ms: 30000
+};
+
+/**
+ * Circuit breaker for a single model
+ * Opens when the model's recent failure rate in MetricsCollector crosses
+ * `failure_threshold`, rejects calls for `cooldown_ms`, then lets one probe
+ * request through (half-open) to decide whether to close again
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} modelId - Configured model id
+   * @param {MetricsCollector} metrics - Collector the router records calls in
+   * @param {Object} [options] - `settings.circuit_breaker`
+   */
+  constructor(modelId, metrics, options = {}) {
+    this.modelId = modelId;
+    this.metrics = metrics;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = new Logger('CircuitBreaker');
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedAt = null;
+    this.lastFailure = null;
+    // Failures from before the circuit last closed don't count against it again
+    this.closedAt = 0;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether a call to the model may go ahead
+   * Moves an open circuit to half-open once the cooldown has passed
+   * @returns {boolean} True if the call is allowed
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.options.cooldown_ms) {
+        return false;
+      }
+
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.probeInFlight) {
+        return false;
+      }
+
+      this.probeInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call (after it was recorded in MetricsCollector)
+   */
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.closedAt = Date.now();
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a call the client cancelled: it says nothing about the model's health,
+   * so just free the half-open probe slot
+   */
+  recordCancelled() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed call (after it was recorded in MetricsCollector)
+   * @param {Error} error - Error from the call
+   */
+  recordFailure(error) {
+    this.lastFailure = { message: error.message, code: error.code, at: new Date().toISOString() };
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.open();
+      return;
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      const recent = this.getRecentFailures();
+
+      if (recent.requests >= this.options.min_requests && recent.failure_rate >= this.options.failure_threshold) {
+        this.open();
+      }
+    }
+  }
+
+  /**
+   * Open the circuit and start the cooldown
+   */
+  open() {
+    this.openedAt = Date.now();
+    this.transition(CIRCUIT_STATES.OPEN);
+  }
+
+  /**
+   * Change state, dropping any outstanding half-open probe
+   */
+  transition(state) {
+    if (state !== this.state) {
+      this.logger.warn(`Circuit for ${this.modelId} ${this.state} -> ${state}`, { last_failure: this.lastFailure });
+    }
+
+    this.state = state;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Failure rate over the window, ignoring calls from before the last close
+   */
+  getRecentFailures() {
+    const since = Math.max(Date.now() - this.options.window_ms, this.closedAt);
+    return this.metrics.getRecentFailureRate(this.modelId, since);
+  }
+
+  /**
+   * Breaker state for health checks
+   * @returns {Object} State, recent failure rate and when the circuit may retry
+   */
+  getState() {
+    const recent = this.getRecentFailures();
+
+    return {
+      state: this.state,
+      failure_rate: Number(recent.failure_rate.toFixed(2)),
+      recent_requests: recent.requests,
+      opened_at: this.openedAt && this.state !== CIRCUIT_STATES.CLOSED ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.options.cooldown_ms).toISOString()
+        : null,
+      last_failure: this.lastFailure
+    };
+  }
+}
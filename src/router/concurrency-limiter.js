@@ -0,0 +1,129 @@
+export const PRIORITIES = {
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+function cancelledError() {
+  const error = new Error('Request cancelled by the client');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * Per-model limit on provider calls in flight
+ * Calls beyond the limit wait in line: higher priority first, then first come
+ * first served
+ */
+export class ConcurrencyLimiter {
+  /**
+   * @param {Object} [limits] - Limit per model id
+   * @param {number} [defaultLimit=Infinity] - Limit for models without their own
+   */
+  constructor(limits = {}, defaultLimit = Infinity) {
+    this.limits = limits;
+    this.defaultLimit = defaultLimit;
+    this.active = new Map();
+    this.waiting = new Map();
+    this.sequence = 0;
+  }
+
+  getLimit(key) {
+    return this.limits[key] ?? this.defaultLimit;
+  }
+
+  /**
+   * Whether a call for the model would start without waiting
+   * @param {string} key - Model id
+   * @returns {boolean} True if a slot is free and nobody is waiting for it
+   */
+  hasCapacity(key) {
+    return (this.active.get(key) || 0) < this.getLimit(key) &&
+           (this.waiting.get(key)?.length || 0) === 0;
+  }
+
+  /**
+   * Wait for a slot
+   * @param {string} key - Model id
+   * @param {Object} [options] - Acquire options
+   * @param {string} [options.priority="normal"] - "high", "normal" or "low"
+   * @param {AbortSignal} [options.signal] - Leaves the line when aborted
+   * @returns {Promise<Function>} Releases the slot; call exactly once when the call finishes
+   */
+  acquire(key, options = {}) {
+    // Never queued, so there is nothing to take out of the line
+    if (options.signal?.aborted) {
+      return Promise.reject(cancelledError());
+    }
+
+    if (this.hasCapacity(key)) {
+      return Promise.resolve(this.take(key));
+    }
+
+    return new Promise((resolve, reject) => {
+      const queue = this.waiting.get(key) || [];
+      const waiter = {
+        priority: PRIORITIES[options.priority] ?? PRIORITIES.normal,
+        sequence: this.sequence++,
+        resolve,
+        signal: options.signal
+      };
+
+      waiter.onAbort = () => {
+        const index = queue.indexOf(waiter);
+        if (index === -1) {
+          return;
+        }
+        queue.splice(index, 1);
+        reject(cancelledError());
+      };
+      options.signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      // Keep the line sorted: priority descending, then arrival order
+      const index = queue.findIndex(other =>
+        other.priority < waiter.priority ||
+        (other.priority === waiter.priority && other.sequence > waiter.sequence));
+      queue.splice(index === -1 ? queue.length : index, 0, waiter);
+      this.waiting.set(key, queue);
+    });
+  }
+
+  take(key) {
+    this.active.set(key, (this.active.get(key) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active.set(key, this.active.get(key) - 1);
+      this.next(key);
+    };
+  }
+
+  /**
+   * Hand a freed slot to the first caller in line
+   */
+  next(key) {
+    const queue = this.waiting.get(key);
+
+    if (queue?.length > 0 && (this.active.get(key) || 0) < this.getLimit(key)) {
+      const waiter = queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve(this.take(key));
+    }
+  }
+
+  /**
+   * Calls in flight and waiting per model
+   * @returns {Object} `{active, waiting, limit}` keyed by model id
+   */
+  getState() {
+    const keys = new Set([...this.active.keys(), ...this.waiting.keys()]);
+
+    return Object.fromEntries([...keys].map(key => [key, {
+      active: this.active.get(key) || 0,
+      waiting: this.waiting.get(key)?.length || 0,
+      limit: Number.isFinite(this.getLimit(key)) ? this.getLimit(key) : null
+    }]));
+  }
+}
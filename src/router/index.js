@@ -0,0 +1,406 @@
+import { createAdapter } from '../adapters/index.js';
+import { ModelSelector } from './model-selector.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { ConcurrencyLimiter } from './concurrency-limiter.js';
+import { MetricsCollector } from '../utils/metrics.js';
+import { RetryPolicy } from '../utils/retry.js';
+import { resolvePricing } from '../utils/pricing.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Model router
+ * Owns one adapter per enabled model in config `models` and routes queries
+ * to the selected model, retrying transient failures and falling back to
+ * `settings.fallback_model` once retries are exhausted or the model's circuit is open
+ */
+export class ModelRouter {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.settings = config.settings || {};
+    this.logger = new Logger('ModelRouter');
+    this.metrics = options.metrics || new MetricsCollector();
+    this.selector = new ModelSelector(config);
+    this.retryPolicy = options.retryPolicy || RetryPolicy.fromSettings(this.settings);
+
+    // Initialize one adapter per enabled model
+    this.adapters = new Map();
+    this.unavailable = {};
+
+    for (const [modelId, modelConfig] of Object.entries(config.models || {})) {
+      if (modelConfig.enabled === false) {
+        continue;
+      }
+
+      try {
+        this.adapters.set(modelId, createAdapter(modelConfig));
+      } catch (error) {
+        // e.g. a missing API key - keep serving the other models
+        this.unavailable[modelId] = error.message;
+        this.logger.warn(`Model ${modelId} could not be initialized: ${error.message}`);
+      }
+    }
+
+    // One circuit breaker per adapter, fed by the shared metrics
+    this.breakers = new Map(
+      [...this.adapters.keys()].map(modelId => [
+        modelId,
+        new CircuitBreaker(modelId, this.metrics, this.settings.circuit_breaker)
+      ])
+    );
+
+    // Provider calls in flight per model (`max_concurrent`, else settings.max_concurrent_per_model)
+    this.concurrency = new ConcurrencyLimiter(
+      Object.fromEntries(
+        Object.entries(config.models || {})
+          .filter(([, modelConfig]) => modelConfig.max_concurrent)
+          .map(([modelId, modelConfig]) => [modelId, modelConfig.max_concurrent])
+      ),
+      this.settings.max_concurrent_per_model ?? Infinity
+    );
+
+    if (this.adapters.size === 0) {
+      throw new Error(`No models could be initialized: ${JSON.stringify(this.unavailable)}`);
+    }
+
+    this.defaultModel = this.settings.default_model;
+    this.fallbackModel = this.settings.fallback_model || null;
+
+    this.logger.info('Model router initialized', {
+      models: [...this.adapters.keys()],
+      default_model: this.defaultModel,
+      fallback_model: this.fallbackModel
+    });
+  }
+
+  /**
+   * Route a query to the selected model
+   * @param {Object} args - Query arguments
+   * @param {string} [args.model] - Explicit model id (otherwise selected automatically)
+   * @returns {Promise<Object>} Adapter response plus routing metadata
+   */
+  async route(args) {
+    this.validateQuery(args);
+
+    const selection = this.selector.select(args, this.getCandidateModels());
+    const modelId = selection.model;
+
+    if (!this.adapters.has(modelId)) {
+      const error = new Error(`Model not available: ${modelId}`);
+      error.code = 'MODEL_NOT_AVAILABLE';
+      throw error;
+    }
+
+    try {
+      const result = await this.callModel(modelId, args);
+      return { ...result, model_id: modelId, selection };
+    } catch (error) {
+      const fallbackId = this.fallbackModel;
+
+      // A cancelled request must not be replayed on another model, nor one
+      // that already changed files
+      if (error.code === 'CANCELLED' || this.hasChangedFiles(args) || !fallbackId || fallbackId === modelId || !this.adapters.has(fallbackId)) {
+        throw error;
+      }
+
+      this.logger.warn(`Model ${modelId} failed, falling back to ${fallbackId}`, { error: error.message });
+
+      const result = await this.callModel(fallbackId, args);
+      return {
+        ...result,
+        model_id: fallbackId,
+        selection,
+        fallback: { from: modelId, reason: error.message },
+        attempts: (error.attempts || 1) + result.attempts,
+        attempt_errors: [...(error.attemptErrors || []), ...result.attempt_errors]
+      };
+    }
+  }
+
+  /**
+   * Call a specific model with retries, recording metrics for every attempt
+   * @param {string} modelId - Configured model id
+   * @param {Object} args - Query arguments
+   * @returns {Promise<Object>} Adapter response plus `attempts` and `attempt_errors`
+   * @throws {Error} The last attempt's error, carrying `attempts` and `attemptErrors`
+   */
+  async callModel(modelId, args) {
+    const adapter = this.adapters.get(modelId);
+    const breaker = this.breakers.get(modelId);
+
+    try {
+      const { result, attempts, errors } = await this.retryPolicy.execute(async () => {
+        if (args.signal?.aborted) {
+          const error = new Error('Request cancelled by the client');
+          error.code = 'CANCELLED';
+          throw error;
+        }
+
+        if (!this.concurrency.hasCapacity(modelId)) {
+          args.onProgress?.({ model: modelId, phase: 'queued' });
+        }
+        const release = await this.concurrency.acquire(modelId, { priority: args.priority, signal: args.signal });
+
+        try {
+          return await this.callAdapter(modelId, adapter, breaker, args);
+        } finally {
+          release();
+        }
+      }, { signal: args.signal, canRetry: () => !this.hasChangedFiles(args) });
+
+      return {
+        ...result,
+        attempts,
+        attempt_errors: errors.map(entry => ({ model: modelId, ...entry }))
+      };
+    } catch (error) {
+      error.attemptErrors = (error.attemptErrors || []).map(entry => ({ model: modelId, ...entry }));
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the model changed files during this request
+   * Replaying the tool loop would apply its edits again to files already changed
+   */
+  hasChangedFiles(args) {
+    return args.fileTools?.writeCount > 0;
+  }
+
+  /**
+   * One attempt at a model call, once it has a concurrency slot
+   */
+  async callAdapter(modelId, adapter, breaker, args) {
+    if (!breaker.allowRequest()) {
+      const error = new Error(`Circuit open for ${modelId}: recent calls are failing`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    args.onProgress?.({ model: modelId, phase: 'started' });
+    const startTime = Date.now();
+
+    try {
+      const result = await adapter.call(args);
+      await this.recordMetrics(modelId, result, Date.now() - startTime, 'success', args.client_id);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      // Adapters attach the usage of the API rounds made before the error, which
+      // were billed and count against budgets
+      const spent = { usage: error.usage, cost: error.cost };
+
+      if (error.code === 'CANCELLED') {
+        // Not the model's fault: keep it out of failure rates and the breaker
+        await this.recordMetrics(modelId, spent, Date.now() - startTime, 'cancelled', args.client_id);
+        breaker.recordCancelled();
+      } else {
+        await this.recordMetrics(modelId, spent, Date.now() - startTime, 'failure', args.client_id);
+        breaker.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate a query's tokens and cost on the model it would be routed to, without calling it
+   * @param {Object} args - Query arguments
+   * @returns {Object} Adapter estimate with `model_id` and `selection`
+   */
+  estimate(args) {
+    this.validateQuery(args);
+
+    const selection = this.selector.select(args, this.getCandidateModels());
+    return { ...this.estimateModel(selection.model, args), selection };
+  }
+
+  /**
+   * Estimate a query's tokens and cost on a specific model
+   * @param {string} modelId - Configured model id
+   * @param {Object} args - Query arguments
+   * @returns {Object} Adapter estimate with `model_id`
+   */
+  estimateModel(modelId, args) {
+    const adapter = this.adapters.get(modelId);
+
+    if (!adapter) {
+      const error = new Error(`Model not available: ${modelId}`);
+      error.code = 'MODEL_NOT_AVAILABLE';
+      throw error;
+    }
+
+    return { model_id: modelId, ...adapter.estimate(args) };
+  }
+
+  /**
+   * Rank the auto-selectable models for a query without calling any of them
+   * @param {Object} args - Query arguments
+   * @returns {Object} Query analysis and models ordered best first
+   */
+  getModelRecommendations(args) {
+    this.validateQuery(args);
+
+    const ranking = this.selector.rankModels(args, this.getCandidateModels());
+    return {
+      analysis: ranking.analysis,
+      recommendations: ranking.scores
+    };
+  }
+
+  /**
+   * Models eligible for automatic selection: `available_models` that initialized
+   * @returns {string[]} Model ids
+   */
+  getCandidateModels() {
+    const configured = this.settings.available_models || [...this.adapters.keys()];
+    return configured.filter(modelId => this.adapters.has(modelId));
+  }
+
+  /**
+   * Get the adapter for a model id
+   * @param {string} modelId - Configured model id
+   * @returns {BaseAdapter|undefined} Adapter
+   */
+  getAdapter(modelId) {
+    return this.adapters.get(modelId);
+  }
+
+  /**
+   * Circuit breaker state for every model
+   * @returns {Object} Breaker state keyed by model id
+   */
+  getCircuitStates() {
+    return Object.fromEntries(
+      [...this.breakers].map(([modelId, breaker]) => [modelId, breaker.getState()])
+    );
+  }
+
+  /**
+   * Provider calls in flight and waiting for each model
+   * @returns {Object} `{active, waiting, limit}` keyed by model id
+   */
+  getConcurrencyState() {
+    return this.concurrency.getState();
+  }
+
+  /**
+   * List configured models
+   * @returns {Object} Models with routing settings
+   */
+  listModels() {
+    const candidates = this.getCandidateModels();
+    const models = [];
+
+    for (const [modelId, adapter] of this.adapters) {
+      models.push({
+        id: modelId,
+        name: adapter.name,
+        provider: adapter.provider,
+        model_name: adapter.modelName,
+        capabilities: adapter.capabilities,
+        cost_per_1k_tokens: adapter.costPer1kTokens,
+        pricing: resolvePricing(adapter.pricing),
+        default: modelId === this.defaultModel,
+        fallback: modelId === this.fallbackModel,
+        auto_selectable: candidates.includes(modelId)
+      });
+    }
+
+    return {
+      default_model: this.defaultModel,
+      fallback_model: this.fallbackModel,
+      available_models: candidates,
+      models,
+      unavailable: this.unavailable
+    };
+  }
+
+  /**
+   * Check availability of every model
+   * @returns {Promise<Object>} Overall and per-model health
+   */
+  async healthCheck() {
+    const entries = await Promise.all(
+      [...this.adapters].map(async ([modelId, adapter]) => {
+        try {
+          const availability = await adapter.checkAvailability();
+          return [modelId, {
+            status: availability.available ? 'healthy' : 'unhealthy',
+            message: availability.message
+          }];
+        } catch (error) {
+          return [modelId, { status: 'error', message: error.message }];
+        }
+      })
+    );
+
+    const models = Object.fromEntries(entries);
+    const healthyCount = entries.filter(([, health]) => health.status === 'healthy').length;
+
+    let overallStatus = 'degraded';
+    if (healthyCount === entries.length) {
+      overallStatus = 'healthy';
+    } else if (healthyCount === 0) {
+      overallStatus = 'unhealthy';
+    }
+
+    return {
+      overall_status: overallStatus,
+      models
+    };
+  }
+
+  /**
+   * Get usage statistics across all models
+   * @returns {Promise<Object>} Metrics statistics
+   */
+  async getStats() {
+    return this.metrics.getStats();
+  }
+
+  /**
+   * Validate query arguments
+   * @param {Object} args - Query arguments
+   * @throws {Error} If the query is missing or empty
+   */
+  validateQuery(args) {
+    if (args.query === undefined || args.query === null) {
+      throw new Error('Query is required');
+    }
+
+    if (typeof args.query !== 'string' || args.query.trim() === '') {
+      throw new Error('Query cannot be empty');
+    }
+  }
+
+  /**
+   * Record metrics for a model call
+   * @param {string} modelId - Configured model id
+   * @param {Object} result - Query result, or `{usage, cost}` spent by a call that failed
+   * @param {number} duration - Duration in ms
+   * @param {string} outcome - "success", "failure" or "cancelled"
+   * @param {string} [client] - Client the call was made for
+   */
+  async recordMetrics(modelId, result, duration, outcome, client) {
+    try {
+      await this.metrics.record({
+        model: modelId,
+        tokens: result?.usage?.total_tokens || 0,
+        cost: result?.cost || 0,
+        duration: duration,
+        success: outcome === 'success',
+        outcome: outcome,
+        client: client,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn('Failed to record metrics:', error);
+    }
+  }
+
+  /**
+   * Release timers held by the router's collaborators
+   */
+  destroy() {
+    this.metrics.destroy();
+  }
+}
@@ -0,0 +1,220 @@
+import { resolvePricing } from '../utils/pricing.js';
+
+// Keywords that hint at capabilities a query needs
+const CAPABILITY_KEYWORDS = {
+  coding: ['code', 'function', 'bug', 'debug', 'refactor', 'implement', 'compile', 'api', 'class', 'test', 'stack trace'],
+  math: ['calculate', 'equation', 'proof', 'prove', 'theorem', 'probability', 'integral', 'algebra', 'statistics'],
+  analysis: ['analyze', 'analyse', 'compare', 'evaluate', 'assess', 'review', 'investigate', 'trade-off', 'tradeoff'],
+  multimodal: ['image', 'screenshot', 'diagram', 'photo', 'picture', 'video']
+};
+
+const DEFAULT_PREFERENCES = {
+  speed_threshold_words: 10,
+  reasoning_keywords: ['analyze', 'explain', 'solve', 'complex', 'difficult', 'reasoning'],
+  cost_optimize: true,
+  cost_weight: 0.3,
+  quality_speed_balance: 0.7
+};
+
+/**
+ * Model selection for the router
+ * Scores candidate models against the query using `settings.selection_preferences`
+ */
+export class ModelSelector {
+  constructor(config = {}) {
+    this.config = config;
+    this.settings = config.settings || config;
+    this.models = config.models || {};
+    this.preferences = {
+      ...DEFAULT_PREFERENCES,
+      ...this.settings.selection_preferences
+    };
+  }
+
+  /**
+   * Select a model for a query
+   * @param {Object} args - Query arguments
+   * @param {string} [args.model] - Explicitly requested model id
+   * @param {string[]} [args.capabilities] - Capabilities the model must have
+   * @param {string[]} candidates - Model ids eligible for automatic selection
+   * @returns {Object} Selected model id, strategy, rationale and scores
+   */
+  select(args, candidates) {
+    if (args.model) {
+      return {
+        model: args.model,
+        strategy: 'explicit',
+        rationale: `Model ${args.model} was requested explicitly`
+      };
+    }
+
+    const ranking = this.rankModels(args, candidates);
+
+    if (ranking.scores.length === 0) {
+      const required = ranking.analysis.required_capabilities;
+      throw new Error(required.length > 0
+        ? `No available model has the required capabilities: ${required.join(', ')}`
+        : 'No models available for selection');
+    }
+
+    const [best, runnerUp] = ranking.scores;
+
+    return {
+      model: best.model,
+      strategy: 'auto',
+      rationale: this.buildRationale(best, runnerUp, ranking.analysis),
+      scores: ranking.scores,
+      analysis: ranking.analysis
+    };
+  }
+
+  /**
+   * Score every candidate model, best first
+   * @param {Object} args - Query arguments
+   * @param {string[]} candidates - Model ids to score
+   * @returns {Object} Query analysis and sorted scores
+   */
+  rankModels(args, candidates) {
+    const analysis = this.analyzeQuery(args);
+    const eligible = candidates.filter(modelId =>
+      analysis.required_capabilities.every(capability => this.getCapabilities(modelId).includes(capability))
+    );
+    const maxCost = Math.max(0, ...eligible.map(modelId => this.getCost(modelId)));
+
+    const scores = eligible
+      .map(modelId => ({ model: modelId, ...this.scoreModel(modelId, analysis, maxCost) }))
+      .sort((a, b) => b.score - a.score);
+
+    return { analysis, scores };
+  }
+
+  /**
+   * Extract the signals used for scoring from the query
+   * @param {Object} args - Query arguments
+   * @returns {Object} Query analysis
+   */
+  analyzeQuery(args) {
+    const query = (args.query || '').toLowerCase();
+    const text = `${query} ${(args.context || '').toLowerCase()}`;
+    const wordCount = query.split(/\s+/).filter(Boolean).length;
+
+    const reasoningKeywords = this.preferences.reasoning_keywords
+      .filter(keyword => text.includes(keyword.toLowerCase()));
+
+    const inferredCapabilities = Object.entries(CAPABILITY_KEYWORDS)
+      .filter(([, keywords]) => keywords.some(keyword => text.includes(keyword)))
+      .map(([capability]) => capability);
+
+    // Short queries without reasoning cues favour speed; everything else favours quality
+    const favours = wordCount <= this.preferences.speed_threshold_words && reasoningKeywords.length === 0
+      ? 'speed'
+      : 'quality';
+
+    return {
+      word_count: wordCount,
+      reasoning_keywords: reasoningKeywords,
+      required_capabilities: args.capabilities || [],
+      inferred_capabilities: inferredCapabilities,
+      favours
+    };
+  }
+
+  /**
+   * Score a model for an analyzed query
+   * @param {string} modelId - Configured model id
+   * @param {Object} analysis - Output of analyzeQuery
+   * @param {number} maxCost - Highest cost among the scored models
+   * @returns {Object} Score (0-1) and its components
+   */
+  scoreModel(modelId, analysis, maxCost) {
+    const { quality, speed } = this.getProfile(modelId);
+    const capabilities = this.getCapabilities(modelId);
+    const balance = this.preferences.quality_speed_balance;
+    const qualityWeight = analysis.favours === 'quality' ? balance : 1 - balance;
+
+    const performance = qualityWeight * quality + (1 - qualityWeight) * speed;
+    const fit = analysis.inferred_capabilities.length > 0
+      ? analysis.inferred_capabilities.filter(c => capabilities.includes(c)).length / analysis.inferred_capabilities.length
+      : 1;
+    const merit = 0.75 * performance + 0.25 * fit;
+
+    const cost = this.getCost(modelId);
+    const costScore = maxCost > 0 ? 1 - cost / maxCost : 1;
+
+    let score = merit;
+    if (this.preferences.cost_optimize) {
+      score = (1 - this.preferences.cost_weight) * merit + this.preferences.cost_weight * costScore;
+    }
+
+    // Prefer the default model on ties
+    if (modelId === this.settings.default_model) {
+      score += 0.001;
+    }
+
+    return {
+      score: Number(score.toFixed(4)),
+      quality,
+      speed,
+      capability_fit: Number(fit.toFixed(2)),
+      cost_per_1k_tokens: cost
+    };
+  }
+
+  /**
+   * Explain a selection in one line
+   */
+  buildRationale(best, runnerUp, analysis) {
+    const reasons = [];
+
+    if (analysis.favours === 'quality') {
+      reasons.push(analysis.reasoning_keywords.length > 0
+        ? `reasoning keywords (${analysis.reasoning_keywords.join(', ')}) favour quality`
+        : `query length (${analysis.word_count} words) favours quality`);
+    } else {
+      reasons.push(`short query (${analysis.word_count} words) favours speed`);
+    }
+
+    if (analysis.required_capabilities.length > 0) {
+      reasons.push(`requires ${analysis.required_capabilities.join(', ')}`);
+    }
+    if (analysis.inferred_capabilities.length > 0) {
+      reasons.push(`covers ${Math.round(best.capability_fit * 100)}% of inferred needs (${analysis.inferred_capabilities.join(', ')})`);
+    }
+    if (this.preferences.cost_optimize) {
+      reasons.push(`cost $${best.cost_per_1k_tokens}/1k tokens weighted at ${this.preferences.cost_weight}`);
+    }
+
+    const comparison = runnerUp
+      ? `; runner-up ${runnerUp.model} (score ${runnerUp.score})`
+      : '; only eligible model';
+
+    return `Selected ${best.model} (score ${best.score}): ${reasons.join(', ')}${comparison}`;
+  }
+
+  /**
+   * Quality and speed profile (0-1) for a model
+   * Uses the optional `selection` block in the model config, otherwise
+   * assumes reasoning models trade speed for quality
+   */
+  getProfile(modelId) {
+    const selection = this.models[modelId]?.selection || {};
+    const isReasoning = this.getCapabilities(modelId).includes('reasoning');
+
+    return {
+      quality: (selection.quality ?? (isReasoning ? 8 : 6)) / 10,
+      speed: (selection.speed ?? (isReasoning ? 4 : 7)) / 10
+    };
+  }
+
+  getCapabilities(modelId) {
+    return this.models[modelId]?.capabilities || [];
+  }
+
+  getCost(modelId) {
+    const model = this.models[modelId];
+    const rates = resolvePricing(model?.pricing);
+
+    // Rank on a per-1k rate halfway between input and output pricing
+    return rates ? (rates.input + rates.output) / 2 / 1000 : model?.cost_per_1k_tokens || 0;
+  }
+}
@@ -0,0 +1,160 @@
+import { Logger } from '../utils/logger.js';
+
+// Budget periods follow the UTC days MetricsCollector keys its daily totals by
+const PERIODS = {
+  daily: { limit: 'daily_cost_limit', label: 'Daily' },
+  weekly: { limit: 'weekly_cost_limit', label: 'Weekly' },
+  monthly: { limit: 'monthly_cost_limit', label: 'Monthly' }
+};
+
+/**
+ * First and next-after-last UTC day of the period containing `now`
+ * Weeks start on Monday
+ * @param {string} period - "daily", "weekly" or "monthly"
+ * @param {Date} now - Current time
+ * @returns {{start: Date, end: Date}} Period bounds
+ */
+function getPeriodBounds(period, now) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const end = new Date(start);
+
+  if (period === 'daily') {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    end.setTime(start.getTime());
+    end.setUTCDate(end.getUTCDate() + 7);
+  } else {
+    start.setUTCDate(1);
+    end.setTime(start.getTime());
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+
+  return { start, end };
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Cost budgets from `settings.budget_limits`
+ * Checks spend recorded by MetricsCollector against daily, weekly and monthly
+ * limits, overall and per client, before each call goes out. Calls already in
+ * flight aren't counted, so the last call before a limit can finish over it.
+ */
+export class BudgetGuard {
+  /**
+   * @param {Object} [limits] - `settings.budget_limits` from config
+   * @param {number} [limits.daily_cost_limit] - Overall daily limit in USD (unset or 0 for none)
+   * @param {number} [limits.weekly_cost_limit] - Overall weekly limit
+   * @param {number} [limits.monthly_cost_limit] - Overall monthly limit
+   * @param {number[]} [limits.warning_thresholds=[0.8]] - Fractions of a limit that trigger a warning
+   * @param {Object} [limits.per_client] - Limits applied to each client separately
+   * @param {Object} [limits.clients] - Limits for specific clients, by client id (replace per_client)
+   * @param {MetricsCollector} metrics - Source of recorded spend
+   */
+  constructor(limits = {}, metrics) {
+    this.limits = limits;
+    this.metrics = metrics;
+    this.thresholds = [...(limits.warning_thresholds || [0.8])].sort((a, b) => b - a);
+    this.logger = new Logger('BudgetGuard');
+
+    // Thresholds already logged, so each crossing is logged once per period
+    this.warned = new Set();
+  }
+
+  /**
+   * Check a client's budgets before a call
+   * @param {string} clientId - Client identifier
+   * @param {Date} [now] - Current time
+   * @returns {Object[]} Warnings for budgets past a warning threshold
+   * @throws {Error} BUDGET_EXCEEDED once a budget's spend reaches its limit
+   */
+  check(clientId, now = new Date()) {
+    const warnings = [];
+
+    for (const budget of this.getBudgets(clientId, now)) {
+      if (budget.spent >= budget.limit) {
+        const error = new Error(
+          `${this.describe(budget)} exceeded: ${formatCost(budget.spent)} spent of ${formatCost(budget.limit)} (resets ${budget.resets_at})`
+        );
+        error.code = 'BUDGET_EXCEEDED';
+        error.budget = budget;
+        throw error;
+      }
+
+      const threshold = this.thresholds.find(fraction => budget.spent >= budget.limit * fraction);
+      if (threshold === undefined) {
+        continue;
+      }
+
+      const warning = { ...budget, threshold };
+      warnings.push(warning);
+
+      const key = `${budget.client || '*'}:${budget.period}:${budget.resets_at}:${threshold}`;
+      if (!this.warned.has(key)) {
+        this.warned.add(key);
+        this.logger.warn(`${this.describe(budget)} is ${Math.round(threshold * 100)}% used`, warning);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Spend against every configured budget
+   * @param {Date} [now] - Current time
+   * @returns {Object[]} Overall budgets, then those of clients listed in `clients`
+   */
+  getStatus(now = new Date()) {
+    const clients = Object.keys(this.limits.clients || {});
+
+    return [
+      ...this.getBudgets(null, now),
+      ...clients.flatMap(clientId => this.getBudgets(clientId, now).filter(budget => budget.client))
+    ];
+  }
+
+  /**
+   * Budgets that apply to a client, with their current spend
+   * @param {string|null} clientId - Client identifier, or null for the overall budgets only
+   * @param {Date} now - Current time
+   * @returns {Object[]} `{client, period, limit, spent, remaining, resets_at}` per budget
+   */
+  getBudgets(clientId, now) {
+    const scopes = [{ client: null, limits: this.limits }];
+    const clientLimits = clientId && (this.limits.clients?.[clientId] || this.limits.per_client);
+    if (clientLimits) {
+      scopes.push({ client: clientId, limits: clientLimits });
+    }
+
+    const budgets = [];
+    for (const { client, limits } of scopes) {
+      for (const [period, { limit: limitKey }] of Object.entries(PERIODS)) {
+        const limit = limits[limitKey];
+        if (!limit) {
+          continue;
+        }
+
+        const { start, end } = getPeriodBounds(period, now);
+        const spent = this.metrics.getCostSince(start.toISOString().split('T')[0], client);
+        budgets.push({
+          client,
+          period,
+          limit,
+          spent: parseFloat(spent.toFixed(4)),
+          remaining: parseFloat(Math.max(limit - spent, 0).toFixed(4)),
+          resets_at: end.toISOString()
+        });
+      }
+    }
+
+    return budgets;
+  }
+
+  describe(budget) {
+    const label = `${PERIODS[budget.period].label} budget`;
+    return budget.client ? `${label} for client "${budget.client}"` : label;
+  }
+}
@@ -1,3 +1,5 @@
+import { sleep } from '../utils/retry.js';
+
 /**
  * Rate limiter for API requests
  */
@@ -6,12 +8,16 @@ export class RateLimiter {
     this.limits = {
       requests_per_minute: config.per_user_requests_per_minute || 50,
       burst_limit: config.burst_limit || 10,
+      max_wait_ms: config.max_wait_ms ?? 60000,
       ...config
     };
     
     // Store usage data in memory (for production, consider using Redis)
     this.usage = new Map();
     this.burstUsage = new Map();
+
+    // Tail of each client's line of requests waiting in acquire()
+    this.lines = new Map();
     
     // Clean up old entries periodically
     this.cleanupInterval = setInterval(() => {
@@ -34,6 +40,68 @@ export class RateLimiter {
     await this.checkSustainedLimit(identifier, now);
   }
 
+  /**
+   * Wait in line until the request is within rate limits, then count it
+   * Requests from the same client are admitted in arrival order. A request
+   * that would have to wait longer than `max_wait_ms` is rejected as by checkLimit
+   * @param {string} identifier - Client identifier
+   * @param {Object} [options] - Acquire options
+   * @param {AbortSignal} [options.signal] - Leaves the line when aborted
+   * @throws {Error} If the wait is too long, or CANCELLED if aborted
+   */
+  async acquire(identifier = 'anonymous', options = {}) {
+    const previous = this.lines.get(identifier) || Promise.resolve();
+    const turn = previous.then(() => this.waitForTurn(identifier, options));
+    const tail = turn.catch(() => {});
+    this.lines.set(identifier, tail);
+
+    try {
+      await turn;
+    } finally {
+      if (this.lines.get(identifier) === tail) {
+        this.lines.delete(identifier);
+      }
+    }
+  }
+
+  async waitForTurn(identifier, options) {
+    const deadline = Date.now() + this.limits.max_wait_ms;
+
+    for (;;) {
+      if (options.signal?.aborted) {
+        const error = new Error('Request cancelled by the client');
+        error.code = 'CANCELLED';
+        throw error;
+      }
+
+      const waitMs = this.getWaitTime(identifier);
+      if (waitMs === 0 || Date.now() + waitMs > deadline) {
+        // Within limits, or not worth waiting for: checkLimit counts or rejects it
+        return this.checkLimit(identifier);
+      }
+
+      await sleep(waitMs, options.signal);
+    }
+  }
+
+  /**
+   * How long until a request from the client would be within both limits
+   * @param {string} identifier - Client identifier
+   * @param {number} [now] - Current timestamp
+   * @returns {number} Milliseconds to wait (0 if it can go now)
+   */
+  getWaitTime(identifier, now = Date.now()) {
+    const windows = [
+      [this.burstUsage.get(`${identifier}:burst`), this.limits.burst_limit],
+      [this.usage.get(identifier), this.limits.requests_per_minute]
+    ];
+
+    // Windows reset once `now > resetTime`
+    return Math.max(0, ...windows
+      .filter(([data, limit]) => data && now <= data.resetTime && data.count >= limit)
+      .map(([data]) => data.resetTime - now + 1));
+  }
+
   /**
    * Check burst rate limit (prevents spam)
    * @param {string} identifier - Client identifier
@@ -192,5 +260,6 @@ export class RateLimiter {
     }
     this.usage.clear();
     this.burstUsage.clear();
+    this.lines.clear();
   }
 }
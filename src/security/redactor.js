@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+
+// Credentials recognisable by their shape. `group` redacts one capture group
+// and keeps the rest of the match (e.g. the host of a connection string).
+const DETECTORS = [
+  { type: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'anthropic_api_key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { type: 'openai_api_key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'aws_access_key_id', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: 'google_api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+  { type: 'connection_string_password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi, group: 1 }
+];
+
+// Candidates for the entropy check: long runs of key-like characters
+const TOKEN_PATTERN = /[A-Za-z0-9+/=_-]+/g;
+
+// Placeholders are keyed so a guessable secret (a short password, say) can't be
+// confirmed by hashing candidates; the key lasts as long as the process
+const PLACEHOLDER_KEY = crypto.randomBytes(32);
+
+// What getPlaceholder produces
+const PLACEHOLDER_PATTERN = /\[REDACTED:[a-z_]+:[0-9a-f]{8}\]/g;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * Random-looking tokens: high entropy and a mix of upper case, lower case and digits,
+ * which leaves out words, paths and hex digests
+ */
+function looksRandom(token, settings) {
+  return token.length >= settings.min_length &&
+    /[a-z]/.test(token) && /[A-Z]/.test(token) && /[0-9]/.test(token) &&
+    entropy(token) >= settings.threshold;
+}
+
+/**
+ * Secret and credential redaction for text sent to model providers
+ * Each secret is replaced with a placeholder derived from its HMAC under a
+ * random per-process key, so the same secret gets the same placeholder in the
+ * query, context, thread history and file contents, and across requests until
+ * the server restarts
+ */
+export class Redactor {
+  /**
+   * @param {Object} [options] - `settings.redaction` from config
+   * @param {boolean} [options.enabled=true] - Turn redaction off entirely
+   * @param {string[]} [options.allowlist] - Regular expressions for values never to redact
+   * @param {Object|boolean} [options.high_entropy] - `{min_length=32, threshold=4.2}`, or false to skip the entropy check
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.allowlist = (options.allowlist || []).map(rule => new RegExp(rule));
+    this.highEntropy = options.high_entropy === false ? null : {
+      min_length: 32,
+      threshold: 4.2,
+      ...options.high_entropy
+    };
+  }
+
+  /**
+   * Start redacting one request
+   * @returns {RedactionSession} Session collecting what was redacted
+   */
+  createSession() {
+    return new RedactionSession(this);
+  }
+
+  /**
+   * Replace secrets in a text
+   * @param {string} text - Text to redact
+   * @param {Function} [onRedact] - Called with `(type, placeholder, value)` for each secret replaced
+   * @returns {string} Redacted text
+   */
+  redact(text, onRedact = () => {}) {
+    if (!this.enabled || typeof text !== 'string' || text === '') {
+      return text;
+    }
+
+    const replace = (type, value) => {
+      if (this.isAllowed(value)) {
+        return value;
+      }
+      const placeholder = this.getPlaceholder(type, value);
+      onRedact(type, placeholder, value);
+      return placeholder;
+    };
+
+    let redacted = text;
+    for (const { type, pattern, group } of DETECTORS) {
+      redacted = redacted.replace(pattern, (match, ...groups) => group
+        ? match.replace(groups[group - 1], replace(type, groups[group - 1]))
+        : replace(type, match));
+    }
+
+    if (this.highEntropy) {
+      redacted = redacted.replace(TOKEN_PATTERN, token =>
+        looksRandom(token, this.highEntropy) ? replace('high_entropy_string', token) : token);
+    }
+
+    return redacted;
+  }
+
+  isAllowed(value) {
+    return this.allowlist.some(rule => rule.test(value));
+  }
+
+  getPlaceholder(type, value) {
+    const digest = crypto.createHmac('sha256', PLACEHOLDER_KEY).update(value).digest('hex').slice(0, 8);
+    return `[REDACTED:${type}:${digest}]`;
+  }
+}
+
+/**
+ * Redaction of everything one request sends: arguments up front, and file
+ * contents as the model reads them
+ */
+export class RedactionSession {
+  constructor(redactor) {
+    this.redactor = redactor;
+    this.findings = new Map();
+    this.originals = new Map();
+  }
+
+  /**
+   * Redact a text, recording what was found
+   * @param {string} text - Text to redact
+   * @param {string} source - Where the text came from (e.g. "query", "file:src/app.js")
+   * @returns {string} Redacted text
+   */
+  redact(text, source) {
+    return this.redactor.redact(text, (type, placeholder, value) => {
+      this.originals.set(placeholder, value);
+      const key = `${placeholder}\n${source}`;
+      const finding = this.findings.get(key) || { type, placeholder, source, count: 0 };
+      finding.count++;
+      this.findings.set(key, finding);
+    });
+  }
+
+  /**
+   * Query arguments with the query, context and thread history redacted
+   * @param {Object} args - Query arguments
+   * @returns {Object} Redacted copy
+   */
+  redactArgs(args) {
+    return {
+      ...args,
+      query: this.redact(args.query, 'query'),
+      ...(args.context && { context: this.redact(args.context, 'context') }),
+      ...(args.history && {
+        history: args.history.map(message => ({ ...message, content: this.redact(message.content, 'history') }))
+      })
+    };
+  }
+
+  /**
+   * Put back the secrets this session redacted, for text a model wants written
+   * to disk; placeholders copied from what the model saw would otherwise
+   * replace the secrets in the file
+   * @param {string} text - Text from the model
+   * @param {string} filePath - File the text is for (for the error message)
+   * @returns {string} Text with the original values
+   * @throws {Error} REDACTED_CONTENT if it has a placeholder this session didn't produce
+   */
+  restore(text, filePath) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+      if (!this.originals.has(placeholder)) {
+        const error = new Error(`Refusing to write ${placeholder} to ${filePath}: it is a redaction placeholder, not the real value`);
+        error.code = 'REDACTED_CONTENT';
+        throw error;
+      }
+      return this.originals.get(placeholder);
+    });
+  }
+
+  /**
+   * File tools whose results are redacted before they reach the model
+   * @param {FileTools|null} fileTools - File tools to wrap
+   * @returns {Object|null} Wrapper with the same methods
+   */
+  wrapFileTools(fileTools) {
+    if (!fileTools || !this.redactor.enabled) {
+      return fileTools;
+    }
+
+    // Methods run against the object they're called on, so views made from
+    // the wrapper (FileTools.readOnly) keep their own settings
+    const session = this;
+    return Object.create(fileTools, {
+      readFile: {
+        value: async function (filePath, ...rest) {
+          const file = await fileTools.readFile.call(this, filePath, ...rest);
+          return { ...file, content: session.redact(file.content, `file:${filePath}`) };
+        }
+      },
+      grep: {
+        value: async function (pattern, options) {
+          const result = await fileTools.grep.call(this, pattern, options);
+          return {
+            ...result,
+            matches: result.matches.map(match => ({ ...match, content: session.redact(match.content, `file:${match.file}`) }))
+          };
+        }
+      },
+      // Writes get the real values back; diffs quote the lines around each change
+      editFile: {
+        value: async function (filePath, oldStr, newStr, options) {
+          const result = await fileTools.editFile.call(this, filePath,
+            session.restore(oldStr, filePath), session.restore(newStr, filePath), options);
+          return { ...result, diff: session.redact(result.diff, `file:${filePath}`) };
+        }
+      },
+      createFile: {
+        value: async function (filePath, content, options) {
+          const result = await fileTools.createFile.call(this, filePath, session.restore(content, filePath), options);
+          return { ...result, diff: session.redact(result.diff, `file:${filePath}`) };
+        }
+      }
+    });
+  }
+
+  /**
+   * What was redacted, without the secrets themselves
+   * @returns {Object[]} `{type, placeholder, source, count}` per secret and source
+   */
+  getFindings() {
+    return [...this.findings.values()];
+  }
+}
@@ -6,6 +6,7 @@ import { O3ProService } from './o3-service.js';
 import { loadConfig } from './utils/config.js';
 import { Logger } from './utils/logger.js';
 import { FileTools } from './tools/file-tools.js';
+import { ProgressReporter } from './utils/progress.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -13,6 +14,111 @@ dotenv.config();
 
 const logger = new Logger('DeepThink-Server');
 
+// Input schema shared by deepthink and deepthink_start
+const DEEPTHINK_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: {
+      type: 'string',
+      description: 'The question, problem, or task for deep analysis'
+    },
+    context: {
+      type: 'string',
+      description: 'Additional context, file contents, or background information from previous tool calls'
+    },
+    reasoning_level: {
+      type: 'string',
+      enum: ['low', 'medium', 'high'],
+      default: 'high',
+      description: 'Reasoning depth level - high recommended for complex problems'
+    },
+    max_tokens: {
+      type: 'number',
+      default: 4000,
+      description: 'Maximum tokens for response'
+    },
+    model: {
+      type: 'string',
+      description: 'Model id from config/models.yaml to use. Omit to select a model automatically'
+    },
+    capabilities: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Capabilities the automatically selected model must have (e.g. ["coding", "function_calling"])'
+    },
+    mode: {
+      type: 'string',
+      enum: ['single', 'consensus', 'critique'],
+      default: 'single',
+      description: 'single: answer with one model. consensus: ask several models in parallel, then synthesize where they agree and disagree into one recommendation. critique: draft an answer, review it for errors, missing cases and unsupported claims, then revise it'
+    },
+    models: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Model ids to consult in consensus mode (defaults to settings.consensus.models)'
+    },
+    priority: {
+      type: 'string',
+      enum: ['low', 'normal', 'high'],
+      default: 'normal',
+      description: 'Place in line when the model is already at its concurrency limit (higher first, then first come first served)'
+    },
+    cache: {
+      type: 'string',
+      enum: ['bypass', 'refresh'],
+      description: 'Identical queries are answered from the response cache for settings.cache_ttl seconds. bypass: skip the cache. refresh: query the model and replace the cached answer'
+    },
+    thread_id: {
+      type: 'string',
+      description: 'Conversation thread to continue, so follow-up questions don\'t need to re-send earlier context. A new id (letters, digits, "_" or "-") starts a thread'
+    },
+    dry_run: {
+      type: 'boolean',
+      default: false,
+      description: 'Estimate the tokens and cost of the query, and whether it fits the model\'s context window, without calling the model'
+    },
+    client_id: {
+      type: 'string',
+      description: 'Identifies the calling client for rate limits and cost budgets (settings.budget_limits.per_client and clients). Omitted, calls count as "anonymous"'
+    }
+  },
+  required: ['query']
+};
+
+const JOB_ID_SCHEMA = {
+  type: 'object',
+  properties: {
+    job_id: {
+      type: 'string',
+      description: 'Job id returned by deepthink_start'
+    }
+  },
+  required: ['job_id'],
+  additionalProperties: false
+};
+
+const THREAD_ID_SCHEMA = {
+  type: 'object',
+  properties: {
+    thread_id: {
+      type: 'string',
+      description: 'Thread id passed to deepthink'
+    }
+  },
+  required: ['thread_id'],
+  additionalProperties: false
+};
+
+const JOB_TOOLS = ['deepthink_start', 'deepthink_status', 'deepthink_result', 'deepthink_cancel'];
+
+const THREAD_TOOLS = [
+  'deepthink_threads_list',
+  'deepthink_thread_get',
+  'deepthink_thread_delete',
+  'deepthink_thread_fork',
+  'deepthink_thread_export'
+];
+
 /**
  * DeepThink MCP Server
  * Direct O3-Pro service for advanced reasoning tasks
@@ -22,19 +128,20 @@ class DeepThink {
     this.config = null;
     this.o3Service = null;
     this.server = null;
-    this.fileTools = new FileTools();
+    this.fileTools = null;
   }
 
   async initialize() {
     try {
-      // Validate environment setup first
-      await this.validateEnvironment();
-      
       // Load configuration
       this.config = await loadConfig();
       logger.info('Configuration loaded successfully');
 
-      // Initialize O3-Pro service with file tools
+      // Validate environment setup for the configured providers
+      await this.validateEnvironment(this.config);
+
+      // Initialize O3-Pro service with file tools confined to the workspace
+      this.fileTools = new FileTools(this.config.settings?.workspace);
       this.o3Service = new O3ProService(this.config, this.fileTools);
       logger.info('O3-Pro service initialized');
 
@@ -65,8 +172,18 @@ class DeepThink {
 
   /**
    * Validate environment setup and provide helpful error messages
+   * @param {Object} config - Loaded configuration
    */
-  async validateEnvironment() {
+  async validateEnvironment(config) {
+    // Local / OpenAI-compatible setups don't need an OpenAI key at all
+    const usesOpenAI = Object.values(config?.models || {})
+      .some(model => model.enabled !== false && model.provider === 'openai');
+
+    if (!usesOpenAI) {
+      logger.info('No OpenAI models enabled, skipping OpenAI API key validation');
+      return;
+    }
+
     // Check if OpenAI API key is present
     if (!process.env.OPENAI_API_KEY) {
       const errorMessage = `🔑 OpenAI API key not found!
@@ -127,30 +244,113 @@ Expected format: sk-xxxxxxxxxxxxxxxxxxxxxxxxxx
           {
             name: 'deepthink',
             description: 'AI reasoning using OpenAI O3 for complex problem solving and analysis. Use this for strategic thinking, planning, and when you need to reason about information from other tools.',
+            inputSchema: DEEPTHINK_INPUT_SCHEMA
+          },
+          {
+            name: 'deepthink_estimate',
+            description: 'Estimate what a deepthink query would cost before running it: approximate input tokens, expected reasoning and answer tokens for the reasoning_level, a cost range, and whether the input fits the model\'s context window. No model is called.',
+            inputSchema: DEEPTHINK_INPUT_SCHEMA
+          },
+          {
+            name: 'deepthink_undo',
+            description: 'Undo file changes deepthink made with edit_file and create_file: the last count changes, or every change from one deepthink request (request_id from that answer\'s _meta). Refuses, changing nothing, if a file was modified since deepthink changed it.',
             inputSchema: {
               type: 'object',
               properties: {
-                query: {
-                  type: 'string',
-                  description: 'The question, problem, or task for deep analysis'
+                count: {
+                  type: 'number',
+                  default: 1,
+                  description: 'Number of most recent changes to undo'
                 },
-                context: {
+                request_id: {
                   type: 'string',
-                  description: 'Additional context, file contents, or background information from previous tool calls'
-                },
-                reasoning_level: {
+                  description: 'Undo every change from this deepthink request instead'
+                }
+              },
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'deepthink_start',
+            description: 'Start a deepthink query as a background job and return its job id immediately. Use this for long o3-pro runs that would outlast the client timeout, then poll deepthink_status and collect the answer with deepthink_result.',
+            inputSchema: DEEPTHINK_INPUT_SCHEMA
+          },
+          {
+            name: 'deepthink_status',
+            description: 'Get the status of a background deepthink job: progress while it runs, usage and cost once it finishes.',
+            inputSchema: JOB_ID_SCHEMA
+          },
+          {
+            name: 'deepthink_result',
+            description: 'Get the answer of a finished background deepthink job. Returns the current status if the job is still running.',
+            inputSchema: JOB_ID_SCHEMA
+          },
+          {
+            name: 'deepthink_cancel',
+            description: 'Cancel a running background deepthink job.',
+            inputSchema: JOB_ID_SCHEMA
+          },
+          {
+            name: 'deepthink_threads_list',
+            description: 'List deepthink conversation threads with their turn counts, last model and total cost, most recently updated first.',
+            inputSchema: {
+              type: 'object',
+              properties: {},
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'deepthink_thread_get',
+            description: 'Get a deepthink conversation thread with every turn: query, answer, model, usage and cost.',
+            inputSchema: THREAD_ID_SCHEMA
+          },
+          {
+            name: 'deepthink_thread_delete',
+            description: 'Delete a deepthink conversation thread.',
+            inputSchema: THREAD_ID_SCHEMA
+          },
+          {
+            name: 'deepthink_thread_fork',
+            description: 'Fork a deepthink conversation thread from an earlier turn to explore an alternative line of reasoning. Continue the fork by passing its thread_id to deepthink.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                thread_id: {
                   type: 'string',
-                  enum: ['low', 'medium', 'high'],
-                  default: 'high',
-                  description: 'Reasoning depth level - high recommended for complex problems'
+                  description: 'Thread to fork'
                 },
-                max_tokens: {
+                turn: {
                   type: 'number',
-                  default: 4000,
-                  description: 'Maximum tokens for response'
+                  description: 'Last turn to keep in the fork (default: the latest turn)'
+                },
+                new_thread_id: {
+                  type: 'string',
+                  description: 'Id for the new thread (generated when omitted)'
                 }
               },
-              required: ['query']
+              required: ['thread_id'],
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'deepthink_thread_export',
+            description: 'Export a deepthink conversation thread as Markdown or JSON, with each turn\'s model, token usage and cost, to attach to design docs and PRs.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                thread_id: {
+                  type: 'string',
+                  description: 'Thread to export'
+                },
+                format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  default: 'markdown',
+                  description: 'Export format'
+                }
+              },
+              required: ['thread_id'],
+              additionalProperties: false
             }
           },
           {
@@ -426,7 +626,7 @@ Expected format: sk-xxxxxxxxxxxxxxxxxxxxxxxxxx
     });
 
     // Tool execution handler - O3 requests tools, oracle executes them
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
       
       try {
@@ -434,27 +634,31 @@ Expected format: sk-xxxxxxxxxxxxxxxxxxxxxxxxxx
         
         if (name === 'deepthink') {
           // O3-Pro reasoning with access to tool results in context
-          result = await this.o3Service.query(args);
-          
+          result = await this.queryWithProgress(args, request.params._meta?.progressToken, extra);
+
+          return this.formatQueryResult(result);
+        } else if (name === 'deepthink_estimate') {
+          return this.formatQueryResult(await this.o3Service.estimate(args));
+        } else if (name === 'deepthink_undo') {
+          result = await this.o3Service.undo(args);
+
           return {
             content: [
               {
                 type: 'text',
-                text: result.response || 'Operation completed successfully'
+                text: result.response
               }
             ],
             isError: false,
             _meta: {
-              model_used: result.model,
-              tokens_used: result.usage?.total_tokens || 0,
-              input_tokens: result.usage?.input_tokens || 0,
-              output_tokens: result.usage?.output_tokens || 0,
-              reasoning_tokens: result.usage?.reasoning_tokens || 0,
-              cost_usd: result.cost || 0,
-              duration_ms: result.duration || 0,
-              timestamp: result.timestamp || new Date().toISOString()
+              ...(args?.request_id && { request_id: args.request_id }),
+              timestamp: new Date().toISOString()
             }
           };
+        } else if (JOB_TOOLS.includes(name)) {
+          return await this.handleJobTool(name, args);
+        } else if (THREAD_TOOLS.includes(name)) {
+          return await this.handleThreadTool(name, args);
         } else {
           // All other tools are executed by the oracle subagent
           // This creates a bridge where O3 can request tools, but oracle executes them
@@ -509,6 +713,8 @@ Expected format: sk-xxxxxxxxxxxxxxxxxxxxxxxxxx
           _meta: {
             error_code: error.code || 'UNKNOWN_ERROR',
             error_type: error.constructor.name,
+            ...(error.attempts && { attempts: error.attempts, attempt_errors: error.attemptErrors }),
+            ...(error.budget && { budget: error.budget }),
             timestamp: new Date().toISOString()
           }
         };
@@ -518,6 +724,164 @@ Expected format: sk-xxxxxxxxxxxxxxxxxxxxxxxxxx
     logger.info('Request handlers registered');
   }
 
+  /**
+   * Tool response for a deepthink answer, with usage and routing details in `_meta`
+   * @param {Object} result - Query result from O3ProService
+   * @param {Object} [extraMeta] - Additional `_meta` fields
+   * @returns {Object} MCP tool result
+   */
+  formatQueryResult(result, extraMeta = {}) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.response || 'Operation completed successfully'
+        }
+      ],
+      isError: false,
+      _meta: {
+        ...extraMeta,
+        model_used: result.model,
+        model_id: result.model_id,
+        ...(result.fallback && { fallback: result.fallback }),
+        model_selection: result.selection && {
+          strategy: result.selection.strategy,
+          rationale: result.selection.rationale,
+          ...(result.selection.scores && { scores: result.selection.scores })
+        },
+        tokens_used: result.usage?.total_tokens || 0,
+        input_tokens: result.usage?.input_tokens || 0,
+        output_tokens: result.usage?.output_tokens || 0,
+        reasoning_tokens: result.usage?.reasoning_tokens || 0,
+        cost_usd: result.cost || 0,
+        ...(result.cost_breakdown && { cost_breakdown: result.cost_breakdown }),
+        duration_ms: result.duration || 0,
+        attempts: result.attempts || 1,
+        attempt_errors: result.attempt_errors || [],
+        tool_calls: result.tool_calls || [],
+        ...(result.consensus && { mode: 'consensus', consensus: result.consensus }),
+        ...(result.critique && { mode: 'critique', critique: result.critique }),
+        ...(result.thread_id && { thread_id: result.thread_id, thread_turn: result.thread_turn }),
+        ...(result.cache && { cache: result.cache }),
+        ...(result.budget_warnings && { budget_warnings: result.budget_warnings }),
+        ...(result.redactions && { redactions: result.redactions }),
+        ...(result.file_changes && { request_id: result.request_id, file_changes: result.file_changes }),
+        timestamp: result.timestamp || new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Handle the background job tools (deepthink_start/status/result/cancel)
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} MCP tool result
+   */
+  async handleJobTool(name, args = {}) {
+    let result;
+
+    switch (name) {
+      case 'deepthink_start':
+        result = this.o3Service.startJob(args);
+        break;
+      case 'deepthink_status':
+        result = this.o3Service.getJobStatus(args.job_id);
+        break;
+      case 'deepthink_cancel':
+        result = await this.o3Service.cancelJob(args.job_id);
+        break;
+      case 'deepthink_result':
+        result = this.o3Service.getJobResult(args.job_id);
+        if (result.model !== 'system') {
+          return this.formatQueryResult(result, { job_id: args.job_id });
+        }
+        break;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.response
+        }
+      ],
+      isError: false,
+      _meta: {
+        ...(args.job_id && { job_id: args.job_id }),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Handle the conversation thread tools (deepthink_threads_list and deepthink_thread_*)
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} MCP tool result
+   */
+  async handleThreadTool(name, args = {}) {
+    let result;
+
+    switch (name) {
+      case 'deepthink_threads_list':
+        result = await this.o3Service.listThreads();
+        break;
+      case 'deepthink_thread_get':
+        result = await this.o3Service.getThread(args.thread_id);
+        break;
+      case 'deepthink_thread_delete':
+        result = await this.o3Service.deleteThread(args.thread_id);
+        break;
+      case 'deepthink_thread_fork':
+        result = await this.o3Service.forkThread(args.thread_id, {
+          turn: args.turn,
+          newThreadId: args.new_thread_id
+        });
+        break;
+      case 'deepthink_thread_export':
+        result = await this.o3Service.exportThread(args.thread_id, args.format);
+        break;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.response
+        }
+      ],
+      isError: false,
+      _meta: {
+        ...(args.thread_id && { thread_id: args.thread_id }),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Run a deepthink query, sending MCP progress notifications while it runs
+   * when the client asked for them with a progressToken. The request's abort
+   * signal is passed down so a notifications/cancelled stops the model call
+   */
+  async queryWithProgress(args, progressToken, extra) {
+    const queryArgs = { ...args, ...(extra?.signal && { signal: extra.signal }) };
+
+    if (progressToken === undefined || !extra?.sendNotification) {
+      return this.o3Service.query(queryArgs);
+    }
+
+    const reporter = new ProgressReporter(extra.sendNotification, progressToken, {
+      intervalMs: this.config.settings?.progress_interval_ms
+    });
+    reporter.start();
+
+    try {
+      return await this.o3Service.query({ ...queryArgs, onProgress: event => reporter.update(event) });
+    } finally {
+      reporter.stop();
+    }
+  }
+
   async start() {
     try {
       const transport = new StdioServerTransport();
@@ -0,0 +1,93 @@
+import { sumUsage } from '../utils/usage.js';
+
+export const EXPORT_FORMATS = ['markdown', 'json'];
+
+/**
+ * Render a thread for attaching to design docs and PRs
+ * @param {Object} thread - Thread from ThreadStore
+ * @param {string} [format="markdown"] - "markdown" or "json"
+ * @returns {string} Exported thread
+ */
+export function exportThread(thread, format = 'markdown') {
+  if (!EXPORT_FORMATS.includes(format)) {
+    const error = new Error(`Unsupported export format: ${format} (expected ${EXPORT_FORMATS.join(' or ')})`);
+    error.code = 'INVALID_ARGUMENTS';
+    throw error;
+  }
+
+  const { usage, cost } = sumUsage(thread.turns);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      thread_id: thread.id,
+      title: thread.title,
+      created_at: thread.created_at,
+      updated_at: thread.updated_at,
+      ...(thread.forked_from && { forked_from: thread.forked_from }),
+      totals: { turns: thread.turns.length, usage, cost },
+      turns: thread.turns
+    }, null, 2);
+  }
+
+  return toMarkdown(thread, usage, cost);
+}
+
+function toMarkdown(thread, usage, cost) {
+  const lines = [
+    `# ${thread.title}`,
+    '',
+    `- **Thread:** \`${thread.id}\``,
+    `- **Created:** ${thread.created_at} · **Updated:** ${thread.updated_at}`
+  ];
+
+  if (thread.forked_from) {
+    lines.push(`- **Forked from:** \`${thread.forked_from.thread_id}\` after turn ${thread.forked_from.turn}`);
+  }
+  lines.push(`- **Turns:** ${thread.turns.length} · **Tokens:** ${usage.total_tokens} · **Cost:** ${formatCost(cost)}`);
+
+  for (const turn of thread.turns) {
+    lines.push(
+      '',
+      `## Turn ${turn.turn}`,
+      '',
+      describeTurn(turn),
+      '',
+      '### Question',
+      '',
+      turn.query
+    );
+
+    if (turn.context) {
+      lines.push('', '### Context', '', turn.context);
+    }
+
+    lines.push('', '### Answer', '', turn.response);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * One-line summary of a turn's model, usage and cost
+ */
+function describeTurn(turn) {
+  const usage = turn.usage || {};
+  const parts = [
+    `**Model:** ${turn.model_id && turn.model_id !== turn.model ? `${turn.model} (\`${turn.model_id}\`)` : turn.model}`,
+    `**Mode:** ${turn.mode || 'single'}`,
+    `**Tokens:** ${usage.input_tokens || 0} in / ${usage.output_tokens || 0} out` +
+      (usage.reasoning_tokens ? ` (${usage.reasoning_tokens} reasoning)` : ''),
+    `**Cost:** ${formatCost(turn.cost)}`
+  ];
+
+  if (turn.duration_ms) {
+    parts.push(`**Duration:** ${(turn.duration_ms / 1000).toFixed(1)}s`);
+  }
+  parts.push(turn.timestamp);
+
+  return parts.join(' · ');
+}
+
+function formatCost(cost = 0) {
+  return `$${cost.toFixed(4)}`;
+}
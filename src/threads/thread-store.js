@@ -0,0 +1,232 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { sumUsage } from '../utils/usage.js';
+
+// Thread ids become file names, so keep them to a safe alphabet
+const THREAD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Conversation threads persisted as one JSON file per thread
+ * A thread records every deepthink turn (query, answer, model, usage, cost and
+ * the Responses API response id) so follow-up queries can continue it
+ */
+export class ThreadStore {
+  /**
+   * @param {Object} [options] - `settings.threads` from config
+   * @param {string} [options.directory=".deepthink/threads"] - Directory holding the thread files
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || '.deepthink/threads');
+
+    // Pending appends per thread id, chained so each one reads the thread
+    // after the previous one has written it
+    this.appending = new Map();
+  }
+
+  /**
+   * Check a thread id before it is used as a file name
+   * @param {string} threadId - Thread id
+   * @throws {Error} INVALID_ARGUMENTS for ids outside [A-Za-z0-9_-]
+   */
+  validateId(threadId) {
+    if (typeof threadId !== 'string' || !THREAD_ID_PATTERN.test(threadId)) {
+      const error = new Error('thread_id must be 1-64 letters, digits, "_" or "-"');
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+  }
+
+  getPath(threadId) {
+    this.validateId(threadId);
+    return path.join(this.directory, `${threadId}.json`);
+  }
+
+  /**
+   * Read a thread
+   * @param {string} threadId - Thread id
+   * @returns {Promise<Object|null>} The thread, or null if it doesn't exist
+   */
+  async get(threadId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(threadId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a thread that must exist
+   * @param {string} threadId - Thread id
+   * @returns {Promise<Object>} The thread
+   * @throws {Error} THREAD_NOT_FOUND if there is no such thread
+   */
+  async require(threadId) {
+    const thread = await this.get(threadId);
+
+    if (!thread) {
+      const error = new Error(`Thread not found: ${threadId}`);
+      error.code = 'THREAD_NOT_FOUND';
+      throw error;
+    }
+
+    return thread;
+  }
+
+  /**
+   * Write a thread
+   * @param {Object} thread - Thread with an `id`
+   * @returns {Promise<Object>} The saved thread
+   */
+  async save(thread) {
+    const file = this.getPath(thread.id);
+    const tmpFile = `${file}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(thread, null, 2));
+    await fs.rename(tmpFile, file);
+
+    return thread;
+  }
+
+  /**
+   * Append a turn, creating the thread on its first turn
+   * Appends to the same thread run one at a time, so concurrent follow-ups
+   * don't drop each other's turns
+   * @param {string} threadId - Thread id
+   * @param {Object} turn - Turn record
+   * @returns {Promise<Object>} The updated thread
+   */
+  appendTurn(threadId, turn) {
+    const previous = this.appending.get(threadId) || Promise.resolve();
+    const appended = previous.then(() => this.addTurn(threadId, turn));
+
+    // A failed append doesn't hold up the next one
+    const settled = appended.catch(() => {});
+    this.appending.set(threadId, settled);
+    settled.then(() => {
+      if (this.appending.get(threadId) === settled) {
+        this.appending.delete(threadId);
+      }
+    });
+
+    return appended;
+  }
+
+  async addTurn(threadId, turn) {
+    const now = new Date().toISOString();
+    const thread = await this.get(threadId) || {
+      id: threadId,
+      title: turn.query.slice(0, 80),
+      created_at: now,
+      turns: []
+    };
+
+    thread.turns.push({ turn: thread.turns.length + 1, ...turn });
+    thread.updated_at = now;
+
+    return this.save(thread);
+  }
+
+  /**
+   * Start a new thread from a thread's first turns
+   * The fork keeps those turns (and their Responses API ids), so continuing
+   * it branches the conversation from that point
+   * @param {string} threadId - Thread to fork
+   * @param {Object} [options] - Fork options
+   * @param {number} [options.turn] - Last turn to keep (defaults to the latest)
+   * @param {string} [options.newThreadId] - Id for the fork (generated when omitted)
+   * @returns {Promise<Object>} The new thread
+   */
+  async fork(threadId, options = {}) {
+    const source = await this.require(threadId);
+    const turn = options.turn ?? source.turns.length;
+
+    if (!Number.isInteger(turn) || turn < 1 || turn > source.turns.length) {
+      const error = new Error(`turn must be between 1 and ${source.turns.length}`);
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+
+    const id = options.newThreadId || `thread_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    if (await this.get(id)) {
+      const error = new Error(`Thread already exists: ${id}`);
+      error.code = 'THREAD_EXISTS';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    return this.save({
+      id,
+      title: source.title,
+      created_at: now,
+      updated_at: now,
+      forked_from: { thread_id: source.id, turn },
+      turns: source.turns.slice(0, turn)
+    });
+  }
+
+  /**
+   * Delete a thread
+   * @param {string} threadId - Thread id
+   * @returns {Promise<boolean>} True if a thread was deleted
+   */
+  async delete(threadId) {
+    try {
+      await fs.unlink(this.getPath(threadId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries of every thread, most recently updated first
+   * @returns {Promise<Object[]>} Thread summaries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const threads = await Promise.all(files
+      .filter(file => file.endsWith('.json') && THREAD_ID_PATTERN.test(path.basename(file, '.json')))
+      .map(file => this.get(path.basename(file, '.json'))));
+
+    return threads
+      .filter(Boolean)
+      .map(thread => this.summarize(thread))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  /**
+   * Thread listing entry: no turn contents, totals only
+   */
+  summarize(thread) {
+    const lastTurn = thread.turns[thread.turns.length - 1];
+    const { usage, cost } = sumUsage(thread.turns);
+
+    return {
+      thread_id: thread.id,
+      title: thread.title,
+      turns: thread.turns.length,
+      last_model: lastTurn?.model_id || null,
+      total_tokens: usage.total_tokens,
+      total_cost: cost,
+      ...(thread.forked_from && { forked_from: thread.forked_from }),
+      created_at: thread.created_at,
+      updated_at: thread.updated_at
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Journal of the file changes models make through FileTools
+ * Each entry records the file, its hashes before and after, the backup of the
+ * previous version, the diff and the deepthink request that made the change,
+ * so changes can be reviewed and undone. Kept in a JSON file so undo works
+ * across restarts.
+ */
+export class ChangeJournal {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file the journal is kept in
+   * @param {number} [options.max_entries=1000] - Most changes kept (oldest go first)
+   */
+  constructor(options) {
+    this.file = path.resolve(options.file);
+    this.maxEntries = options.max_entries ?? 1000;
+    this.entries = null;
+    this.nextId = 1;
+    this.logger = new Logger('ChangeJournal');
+
+    // Writes are chained so an older snapshot never lands after a newer one
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Read the journal file (once)
+   */
+  async load() {
+    if (this.entries) {
+      return;
+    }
+
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(this.file, 'utf8')).changes || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Another call may have loaded it while this one was reading
+    if (!this.entries) {
+      this.entries = entries;
+      this.nextId = entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    }
+  }
+
+  /**
+   * Write the journal file
+   * @returns {Promise<void>} Resolves once this snapshot is on disk
+   */
+  save() {
+    this.saving = this.saving.then(async () => {
+      const snapshot = JSON.stringify({ changes: this.entries }, null, 2);
+      const tmpFile = `${this.file}.tmp`;
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(tmpFile, snapshot);
+      await fs.rename(tmpFile, this.file);
+    }).catch(error => {
+      this.logger.error('Failed to persist change journal:', { error: error.message });
+    });
+
+    return this.saving;
+  }
+
+  /**
+   * Add a change
+   * @param {Object} change - `{request_id, path, operation, before_hash, after_hash, backup, diff}`
+   * @returns {Promise<Object>} The entry, with its `id` and `timestamp`
+   */
+  async record(change) {
+    await this.load();
+
+    const entry = { id: this.nextId++, ...change, timestamp: new Date().toISOString() };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Changes, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.requestId] - Only changes made by this request
+   * @param {boolean} [filter.includeUndone=false] - Include changes already undone
+   * @returns {Promise<Object[]>} Journal entries
+   */
+  async list({ requestId, includeUndone = false } = {}) {
+    await this.load();
+
+    return this.entries
+      .filter(entry => (includeUndone || !entry.undone_at) && (!requestId || entry.request_id === requestId))
+      .reverse();
+  }
+
+  /**
+   * Mark changes as undone
+   * @param {number[]} ids - Change ids
+   */
+  async markUndone(ids) {
+    await this.load();
+
+    const undoneAt = new Date().toISOString();
+    for (const entry of this.entries) {
+      if (ids.includes(entry.id)) {
+        entry.undone_at = undoneAt;
+      }
+    }
+
+    await this.save();
+  }
+}
@@ -1,55 +1,229 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { spawn } from 'child_process';
 import { promisify } from 'util';
+import { WorkspaceSandbox } from './workspace-sandbox.js';
+import { ChangeJournal } from './change-journal.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_MAX_READ_BYTES = 64 * 1024;
+const DEFAULT_BACKUP_DIRECTORY = '.deepthink/backups';
+const DEFAULT_JOURNAL_FILE = '.deepthink/journal.json';
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+
+// Bytes inspected to tell text from binary, and shown in a binary file's hex dump
+const SNIFF_BYTES = 8000;
+const HEX_DUMP_BYTES = 256;
+
+/**
+ * Decode a file as text
+ * UTF-16 needs a byte order mark; other files are UTF-8, or Latin-1 when
+ * they aren't valid UTF-8. NUL bytes (outside UTF-16) mean binary, as in git.
+ * @returns {{text: string, encoding: string}|null} Null for binary files
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: Buffer.from(buffer.subarray(2)).swap16().toString('utf16le'), encoding: 'utf-16be' };
+  }
+
+  if (buffer.subarray(0, SNIFF_BYTES).includes(0)) {
+    return null;
+  }
+
+  const bom = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? 3 : 0;
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(bom)), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: buffer.toString('latin1'), encoding: 'latin1' };
+  }
+}
+
+/**
+ * Summary of a binary file: its size and a hex dump of its first bytes
+ */
+function describeBinary(buffer) {
+  const rows = [];
+  const head = buffer.subarray(0, HEX_DUMP_BYTES);
+
+  for (let offset = 0; offset < head.length; offset += 16) {
+    const row = head.subarray(offset, offset + 16);
+    const hex = [...row].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = [...row].map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    rows.push(`${offset.toString(16).padStart(8, '0')}: ${hex.padEnd(47)}  ${ascii}`);
+  }
+
+  const shown = buffer.length > head.length ? `First ${head.length} bytes` : 'Contents';
+  return `[Binary file, ${buffer.length} bytes, not shown as text. ${shown}:]\n${rows.join('\n')}`;
+}
+
+function hashContents(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function fileError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 /**
  * File operations tools for agentic access
+ * Every path goes through the WorkspaceSandbox: file contents are sent to a
+ * remote model, so nothing outside the workspace or on its denylist is readable.
+ * Writes (editFile, createFile) are off unless `allow_writes` is set.
  */
 export class FileTools {
-  constructor() {
-    this.workingDirectory = process.cwd();
+  /**
+   * @param {Object} [options] - `settings.workspace` from config (see WorkspaceSandbox)
+   * @param {number} [options.max_read_bytes=65536] - Most output one readFile call returns
+   * @param {boolean} [options.allow_writes=false] - Let models edit and create files
+   * @param {string} [options.backup_directory=".deepthink/backups"] - Where files are copied before they change, relative to the root
+   * @param {string} [options.journal_file=".deepthink/journal.json"] - Journal of changes for undo, relative to the root
+   * @param {number} [options.journal_max_entries=1000] - Most changes kept in the journal
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('FileTools');
+    this.sandbox = new WorkspaceSandbox(options);
+    this.workingDirectory = this.sandbox.root;
+    this.maxReadBytes = options.max_read_bytes || DEFAULT_MAX_READ_BYTES;
+    this.allowWrites = options.allow_writes === true;
+    this.writeCount = 0;
+    this.backupDirectory = path.resolve(this.sandbox.root, options.backup_directory || DEFAULT_BACKUP_DIRECTORY);
+    this.journal = new ChangeJournal({
+      file: path.resolve(this.sandbox.root, options.journal_file || DEFAULT_JOURNAL_FILE),
+      max_entries: options.journal_max_entries
+    });
+  }
+
+  /**
+   * Resolve a path inside the workspace
+   * @throws {Error} PATH_NOT_ALLOWED outside the workspace or for denied paths
+   */
+  async resolvePath(requestedPath) {
+    return this.sandbox.resolve(requestedPath, this.workingDirectory);
   }
 
   /**
-   * Read file contents
+   * Read file contents with line numbers
+   * Output stops at the last whole line within `maxBytes`, with a notice
+   * saying where to continue. Binary files are summarized with a hex dump of
+   * their first bytes instead.
+   * @param {string} filePath - File to read
+   * @param {Object} [options]
+   * @param {number} [options.startLine=1] - First line to return (1-based)
+   * @param {number} [options.endLine] - Last line to return (defaults to the end of the file)
+   * @param {number} [options.maxBytes] - Output limit (defaults to `max_read_bytes`)
+   * @returns {Promise<Object>} `{path, content, lineCount, startLine, endLine, truncated, encoding, binary, size}`
    */
-  async readFile(filePath) {
+  async readFile(filePath, options = {}) {
+    const absolutePath = await this.resolvePath(filePath);
+    // Models send null for range arguments they leave out
+    const startLine = options.startLine ?? 1;
+    const endLine = options.endLine ?? null;
+    const maxBytes = options.maxBytes || this.maxReadBytes;
+
+    if (!Number.isInteger(startLine) || startLine < 1 || (endLine !== null && (!Number.isInteger(endLine) || endLine < startLine))) {
+      const error = new Error(`Invalid line range for ${filePath}: lines are numbered from 1 and end must not come before start`);
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+
+    let buffer;
     try {
-      const absolutePath = path.resolve(this.workingDirectory, filePath);
-      const content = await fs.readFile(absolutePath, 'utf-8');
-      const lines = content.split('\n');
-      
-      // Return with line numbers like Amp's Read tool
-      const numberedContent = lines
-        .map((line, index) => `${index + 1}: ${line}`)
-        .join('\n');
-        
+      buffer = await fs.readFile(absolutePath);
+    } catch (error) {
+      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+    }
+
+    const decoded = decodeText(buffer);
+    if (!decoded) {
       return {
         path: absolutePath,
-        content: numberedContent,
-        lineCount: lines.length
+        content: describeBinary(buffer),
+        lineCount: 0,
+        truncated: false,
+        encoding: null,
+        binary: true,
+        size: buffer.length
       };
-    } catch (error) {
-      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
     }
+
+    const lines = decoded.text.split('\n');
+    const lineCount = lines.length;
+    if (startLine > lineCount) {
+      const error = new Error(`Invalid line range for ${filePath}: the file has ${lineCount} lines`);
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+
+    // Return with line numbers like Amp's Read tool
+    const lastLine = Math.min(endLine ?? lineCount, lineCount);
+    const numbered = [];
+    let bytes = 0;
+    let truncated = false;
+
+    for (let number = startLine; number <= lastLine; number++) {
+      const line = `${number}: ${lines[number - 1]}`;
+      const lineBytes = Buffer.byteLength(line) + 1;
+
+      if (bytes + lineBytes > maxBytes) {
+        // A single line over the limit (minified code) is cut rather than skipped
+        if (numbered.length === 0) {
+          numbered.push(Buffer.from(line).subarray(0, maxBytes).toString('utf-8').replace(/\uFFFD$/, ''));
+        }
+        truncated = true;
+        break;
+      }
+
+      numbered.push(line);
+      bytes += lineBytes;
+    }
+
+    const shownEnd = truncated ? startLine + Math.max(numbered.length - 1, 0) : lastLine;
+    let content = numbered.join('\n');
+
+    if (truncated) {
+      content += `\n[Truncated at line ${shownEnd} of ${lineCount} (${maxBytes} byte limit). Continue from line ${shownEnd + 1}.]`;
+    } else if (startLine > 1 || lastLine < lineCount) {
+      content += `\n[Showing lines ${startLine}-${lastLine} of ${lineCount}]`;
+    }
+
+    return {
+      path: absolutePath,
+      content,
+      lineCount,
+      startLine,
+      endLine: shownEnd,
+      truncated,
+      encoding: decoded.encoding,
+      binary: false,
+      size: buffer.length
+    };
   }
 
   /**
    * List directory contents
    */
   async listDirectory(dirPath = '.') {
+    const absolutePath = await this.resolvePath(dirPath);
+
     try {
-      const absolutePath = path.resolve(this.workingDirectory, dirPath);
       const items = await fs.readdir(absolutePath, { withFileTypes: true });
       
       const result = {
         path: absolutePath,
-        items: items.map(item => ({
-          name: item.name,
-          type: item.isDirectory() ? 'directory' : 'file',
-          isDirectory: item.isDirectory()
-        }))
+        items: items
+          .filter(item => this.sandbox.isAllowed(path.join(absolutePath, item.name)))
+          .map(item => ({
+            name: item.name,
+            type: item.isDirectory() ? 'directory' : 'file',
+            isDirectory: item.isDirectory()
+          }))
       };
       
       return result;
@@ -62,22 +236,22 @@ export class FileTools {
    * Search for text patterns using grep-like functionality
    */
   async grep(pattern, options = {}) {
+    const {
+      path: searchPath = '.',
+      caseSensitive = false,
+      recursive = true,
+      filePattern = '*'
+    } = options;
+    const absolutePath = await this.resolvePath(searchPath);
+
     return new Promise((resolve, reject) => {
-      const {
-        path: searchPath = '.',
-        caseSensitive = false,
-        recursive = true,
-        filePattern = '*'
-      } = options;
-
-      const args = ['grep'];
+      const args = [];
       
       if (!caseSensitive) args.push('-i');
+      // -r (unlike -R) doesn't follow symlinks out of the workspace
       if (recursive) args.push('-r');
       args.push('-n'); // Show line numbers
-      args.push(pattern);
-      
-      const absolutePath = path.resolve(this.workingDirectory, searchPath);
+      args.push('-e', pattern);
       args.push(absolutePath);
 
       const grep = spawn('grep', args);
@@ -103,7 +277,8 @@ export class FileTools {
                 line: parseInt(lineNumber),
                 content: contentParts.join(':').trim()
               };
-            });
+            })
+            .filter(match => this.sandbox.isAllowed(match.file));
             
           resolve({ matches, pattern, searchPath: absolutePath });
         } else if (code === 1) {
@@ -120,9 +295,10 @@ export class FileTools {
    * Find files using glob patterns
    */
   async glob(pattern, basePath = '.') {
+    const absoluteBase = await this.resolvePath(basePath);
+
     return new Promise((resolve, reject) => {
-      const absoluteBase = path.resolve(this.workingDirectory, basePath);
-      
+
       // Use find command for glob-like functionality
       const find = spawn('find', [absoluteBase, '-name', pattern]);
       let output = '';
@@ -139,7 +315,7 @@ export class FileTools {
       find.on('close', (code) => {
         if (code === 0) {
           const files = output.trim().split('\n')
-            .filter(line => line.length > 0)
+            .filter(line => line.length > 0 && this.sandbox.isAllowed(line))
             .map(filePath => ({
               path: filePath,
               relativePath: path.relative(absoluteBase, filePath)
@@ -153,6 +329,291 @@ export class FileTools {
     });
   }
 
+  /**
+   * Replace text in a file
+   * `oldStr` must match exactly once, or at least once with `replaceAll`
+   * @param {string} filePath - File to edit
+   * @param {string} oldStr - Exact text to replace
+   * @param {string} newStr - Replacement text
+   * @param {Object} [options]
+   * @param {boolean} [options.replaceAll=false] - Replace every occurrence
+   * @returns {Promise<Object>} `{path, replacements, diff, backup}`
+   * @throws {Error} WRITES_DISABLED, NO_MATCH, AMBIGUOUS_MATCH or INVALID_ARGUMENTS
+   */
+  async editFile(filePath, oldStr, newStr, { replaceAll = false } = {}) {
+    this.checkWritable();
+    const absolutePath = await this.resolvePath(filePath);
+
+    if (!oldStr) {
+      throw fileError('old_str must not be empty; use create_file to write a new file', 'INVALID_ARGUMENTS');
+    }
+    if (oldStr === newStr) {
+      throw fileError('old_str and new_str are the same', 'INVALID_ARGUMENTS');
+    }
+
+    const previous = await this.readText(absolutePath, filePath);
+    const { text } = previous;
+    const occurrences = text.split(oldStr).length - 1;
+
+    if (occurrences === 0) {
+      throw fileError(`old_str was not found in ${filePath}`, 'NO_MATCH');
+    }
+    if (occurrences > 1 && !replaceAll) {
+      throw fileError(
+        `old_str matches ${occurrences} places in ${filePath}; include more surrounding lines to pick one, or set replace_all`,
+        'AMBIGUOUS_MATCH'
+      );
+    }
+
+    const updated = replaceAll
+      ? text.split(oldStr).join(newStr)
+      : text.replace(oldStr, () => newStr);
+
+    return this.writeChange(absolutePath, previous, updated, { replacements: occurrences });
+  }
+
+  /**
+   * Create a file, with any missing parent directories
+   * @param {string} filePath - File to create
+   * @param {string} content - File contents
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite=false] - Replace the file if it exists
+   * @returns {Promise<Object>} `{path, created, diff, backup}`
+   * @throws {Error} WRITES_DISABLED, or FILE_EXISTS without `overwrite`
+   */
+  async createFile(filePath, content, { overwrite = false } = {}) {
+    this.checkWritable();
+    const absolutePath = await this.resolvePath(filePath);
+
+    let previous = null;
+    try {
+      previous = await this.readText(absolutePath, filePath);
+    } catch (error) {
+      if (error.cause?.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (previous && !overwrite) {
+      throw fileError(`${filePath} already exists; use edit_file to change it, or set overwrite`, 'FILE_EXISTS');
+    }
+
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    const result = await this.writeChange(absolutePath, previous, content);
+    return { ...result, created: !previous };
+  }
+
+  /**
+   * Back up, atomically write, journal and log one change
+   * @param {string} absolutePath - File to write
+   * @param {Object|null} previous - Current file from readText, or null for a new file
+   * @param {string} newText - New contents
+   * @param {Object} [details] - Extra fields for the result
+   */
+  async writeChange(absolutePath, previous, newText, details = {}) {
+    const relativePath = this.toRelative(absolutePath);
+    const diff = createUnifiedDiff(previous?.text ?? '', newText, {
+      oldLabel: previous ? `a/${relativePath}` : '/dev/null',
+      newLabel: `b/${relativePath}`
+    });
+    const data = previous?.bom ? Buffer.concat([UTF8_BOM, Buffer.from(newText)]) : Buffer.from(newText);
+
+    const backup = previous ? await this.backup(absolutePath, relativePath) : null;
+    await this.writeAtomic(absolutePath, data);
+
+    this.writeCount++;
+    const change = await this.journal.record({
+      request_id: this.requestId ?? null,
+      path: relativePath,
+      operation: previous ? 'edit' : 'create',
+      before_hash: previous?.hash ?? null,
+      after_hash: hashContents(data),
+      backup,
+      diff
+    });
+
+    this.logger.info(`Model ${previous ? 'edited' : 'created'} ${relativePath}`, {
+      change_id: change.id,
+      request_id: change.request_id,
+      backup,
+      diff
+    });
+
+    return { path: absolutePath, ...details, diff, backup, change_id: change.id };
+  }
+
+  /**
+   * Revert journaled changes, newest first
+   * All or nothing: if any file was modified since the change being undone
+   * (or was changed again by a later change not being undone), nothing is reverted.
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - Number of most recent changes to undo
+   * @param {string} [options.requestId] - Undo every change from this deepthink request instead
+   * @returns {Promise<Object>} `{undone: [{id, path, operation, request_id, diff}]}`
+   * @throws {Error} NO_CHANGES when there is nothing to undo, CHANGE_CONFLICT for files modified since
+   */
+  async undo({ count = 1, requestId } = {}) {
+    if (!requestId && (!Number.isInteger(count) || count < 1)) {
+      throw fileError('count must be a positive integer', 'INVALID_ARGUMENTS');
+    }
+
+    const pending = await this.journal.list({ requestId });
+    const changes = requestId ? pending : pending.slice(0, count);
+
+    if (changes.length === 0) {
+      throw fileError(requestId ? `No changes to undo for request ${requestId}` : 'No changes to undo', 'NO_CHANGES');
+    }
+
+    // Walk back through the changes, tracking what each file should contain
+    const expected = new Map();
+    const conflicts = [];
+    for (const change of changes) {
+      if (!expected.has(change.path)) {
+        expected.set(change.path, await this.hashFile(await this.sandbox.resolve(change.path)));
+      }
+      if (expected.get(change.path) !== change.after_hash) {
+        conflicts.push(`${change.path} (change ${change.id})`);
+      }
+      expected.set(change.path, change.before_hash);
+    }
+
+    if (conflicts.length > 0) {
+      throw fileError(
+        `Refusing to undo: modified since the change was made: ${[...new Set(conflicts)].join(', ')}`,
+        'CHANGE_CONFLICT'
+      );
+    }
+
+    const undone = [];
+    for (const change of changes) {
+      const absolutePath = await this.sandbox.resolve(change.path);
+      const current = await fs.readFile(absolutePath);
+      let restored = '';
+
+      if (change.before_hash === null) {
+        await fs.rm(absolutePath);
+      } else {
+        const backup = await fs.readFile(path.resolve(this.sandbox.root, change.backup));
+        if (hashContents(backup) !== change.before_hash) {
+          throw fileError(`Backup ${change.backup} of ${change.path} doesn't match the journal`, 'CHANGE_CONFLICT');
+        }
+        await this.writeAtomic(absolutePath, backup);
+        restored = backup.toString('utf-8');
+      }
+
+      await this.journal.markUndone([change.id]);
+      undone.push({
+        id: change.id,
+        path: change.path,
+        operation: change.operation,
+        request_id: change.request_id,
+        diff: createUnifiedDiff(current.toString('utf-8'), restored, {
+          oldLabel: `a/${change.path}`,
+          newLabel: change.before_hash === null ? '/dev/null' : `b/${change.path}`
+        })
+      });
+    }
+
+    this.logger.info(`Undid ${undone.length} file change(s)`, { changes: undone.map(change => change.id) });
+
+    return { undone };
+  }
+
+  /**
+   * File tools whose changes are journaled under a deepthink request id
+   * @param {string} requestId - Request id
+   * @returns {FileTools} View of these file tools
+   */
+  forRequest(requestId) {
+    return Object.create(this, {
+      requestId: { value: requestId },
+      writeCount: { value: 0, writable: true }
+    });
+  }
+
+  /**
+   * The same file tools without edit_file and create_file
+   * @returns {FileTools} Read-only view of these file tools
+   */
+  readOnly() {
+    return Object.create(this, { allowWrites: { value: false } });
+  }
+
+  /**
+   * Read a UTF-8 text file for editing
+   * @returns {Promise<{text: string, bom: boolean, hash: string}>}
+   */
+  async readText(absolutePath, filePath) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(absolutePath);
+    } catch (error) {
+      throw new Error(`Failed to read file ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    const decoded = decodeText(buffer);
+    if (decoded?.encoding !== 'utf-8') {
+      throw fileError(`${filePath} is not a UTF-8 text file and can't be edited`, 'INVALID_ARGUMENTS');
+    }
+
+    return { text: decoded.text, bom: buffer.subarray(0, 3).equals(UTF8_BOM), hash: hashContents(buffer) };
+  }
+
+  /**
+   * Hash of a file's contents, or null if it doesn't exist
+   */
+  async hashFile(absolutePath) {
+    try {
+      return hashContents(await fs.readFile(absolutePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  toRelative(absolutePath) {
+    return path.relative(this.sandbox.root, absolutePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Copy a file into the backup directory, under a timestamped folder mirroring its path
+   * @returns {Promise<string>} Backup path relative to the workspace root
+   */
+  async backup(absolutePath, relativePath) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.backupDirectory, `${stamp}-${crypto.randomBytes(3).toString('hex')}`, relativePath);
+
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.copyFile(absolutePath, backupPath);
+
+    return this.toRelative(backupPath);
+  }
+
+  /**
+   * Write through a temporary file and rename, so readers never see a partial file
+   * Keeps the permissions of the file being replaced
+   */
+  async writeAtomic(absolutePath, data) {
+    const tempPath = `${absolutePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const mode = await fs.stat(absolutePath).then(stats => stats.mode, () => undefined);
+
+    try {
+      await fs.writeFile(tempPath, data, { mode });
+      await fs.rename(tempPath, absolutePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw new Error(`Failed to write file ${absolutePath}: ${error.message}`);
+    }
+  }
+
+  checkWritable() {
+    if (!this.allowWrites) {
+      throw fileError('File writes are disabled; set settings.workspace.allow_writes to let models edit files', 'WRITES_DISABLED');
+    }
+  }
+
   /**
    * Get working directory
    */
@@ -161,10 +622,10 @@ export class FileTools {
   }
 
   /**
-   * Set working directory  
+   * Set working directory (must be inside the workspace)
    */
-  setWorkingDirectory(dirPath) {
-    const absolutePath = path.resolve(dirPath);
+  async setWorkingDirectory(dirPath) {
+    const absolutePath = await this.resolvePath(dirPath);
     this.workingDirectory = absolutePath;
     return absolutePath;
   }
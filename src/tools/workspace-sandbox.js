@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Secrets that never leave the machine, and state models must not read or
+// rewrite (deepthink's journal, backups, jobs and threads; git hooks and
+// config), unless use_default_deny is turned off
+export const DEFAULT_DENY = [
+  '.deepthink',
+  '.git',
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.ssh',
+  '.aws',
+  '.gnupg',
+  '.docker/config.json',
+  'credentials',
+  'credentials.*',
+  '.git-credentials',
+  '.netrc',
+  '.npmrc',
+  '.pypirc',
+  '.pgpass'
+];
+
+/**
+ * Compile a path glob to a regular expression
+ * `*` and `?` stay within a path segment, `**` spans segments
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directories at all
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Path patterns with gitignore-style matching
+ * A pattern without "/" matches a file or directory name at any depth; one
+ * with "/" matches from the workspace root. A matching directory matches
+ * everything beneath it.
+ */
+class PathPatterns {
+  constructor(globs = []) {
+    this.patterns = globs.map(glob => {
+      const anchored = glob.replace(/^\/+|\/+$/g, '');
+      return { glob, byName: !anchored.includes('/'), regExp: globToRegExp(anchored) };
+    });
+  }
+
+  /**
+   * First pattern matching a workspace-relative path
+   * @param {string} relativePath - Path relative to the workspace root, "/"-separated
+   * @returns {string|null} The matching glob, or null
+   */
+  match(relativePath) {
+    const segments = relativePath.split('/');
+
+    for (const pattern of this.patterns) {
+      for (let i = 1; i <= segments.length; i++) {
+        const candidate = pattern.byName ? segments[i - 1] : segments.slice(0, i).join('/');
+        if (pattern.regExp.test(candidate)) {
+          return pattern.glob;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Workspace boundary for the file tools models can call
+ * Every path must resolve, symlinks included, to somewhere under the
+ * workspace root, match `allow` (when set) and match neither `deny` nor the
+ * default secrets denylist
+ */
+export class WorkspaceSandbox {
+  /**
+   * @param {Object} [options] - `settings.workspace` from config
+   * @param {string} [options.root] - Workspace root (defaults to the working directory)
+   * @param {string[]} [options.allow] - Only paths matching one of these globs are accessible
+   * @param {string[]} [options.deny] - Paths matching these globs are never accessible
+   * @param {boolean} [options.use_default_deny=true] - Also deny DEFAULT_DENY
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.allow = options.allow?.length ? new PathPatterns(options.allow) : null;
+    this.deny = new PathPatterns([
+      ...(options.use_default_deny === false ? [] : DEFAULT_DENY),
+      ...(options.deny || [])
+    ]);
+    this.realRoot = null;
+  }
+
+  /**
+   * Resolve a path a model asked for, enforcing the workspace rules
+   * @param {string} requestedPath - Path relative to `baseDirectory`, or absolute
+   * @param {string} [baseDirectory] - Directory relative paths start from (defaults to the root)
+   * @returns {Promise<string>} Absolute path
+   * @throws {Error} PATH_NOT_ALLOWED if the path is outside the workspace or denied
+   */
+  async resolve(requestedPath, baseDirectory = this.root) {
+    const absolutePath = path.resolve(baseDirectory, requestedPath);
+    this.check(absolutePath, requestedPath);
+
+    // A symlink inside the workspace may point anywhere
+    const realPath = await this.realpath(absolutePath);
+    if (realPath !== absolutePath) {
+      if (!this.realRoot) {
+        this.realRoot = await fs.realpath(this.root);
+      }
+      this.check(realPath, requestedPath, this.realRoot);
+    }
+
+    return absolutePath;
+  }
+
+  /**
+   * Whether a path is accessible, without following symlinks
+   * Used to filter listings and search results
+   * @param {string} absolutePath - Absolute path
+   * @returns {boolean} True if the path may be shown to the model
+   */
+  isAllowed(absolutePath) {
+    try {
+      this.check(absolutePath, absolutePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Enforce the workspace rules on an absolute path
+   */
+  check(absolutePath, requestedPath, root = this.root) {
+    const relativePath = path.relative(root, absolutePath);
+
+    // "..foo" is a name inside the workspace, "../foo" is not
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      throw this.denied(`${requestedPath} is outside the workspace (${this.root})`);
+    }
+
+    // The root itself is always accessible
+    if (relativePath === '') {
+      return;
+    }
+
+    const normalized = relativePath.split(path.sep).join('/');
+    const denyMatch = this.deny.match(normalized);
+    if (denyMatch) {
+      throw this.denied(`${requestedPath} matches the workspace deny pattern "${denyMatch}"`);
+    }
+
+    if (this.allow && !this.allow.match(normalized) && !this.isAllowAncestor(normalized)) {
+      throw this.denied(`${requestedPath} is not in the workspace allow list`);
+    }
+  }
+
+  /**
+   * Directories leading to allowed paths stay listable, so the model can find them
+   */
+  isAllowAncestor(relativePath) {
+    return this.allow.patterns.some(pattern =>
+      !pattern.byName && pattern.glob.replace(/^\/+/, '').startsWith(`${relativePath}/`));
+  }
+
+  /**
+   * Real path of a file, or of its nearest existing ancestor for paths that don't exist yet
+   */
+  async realpath(absolutePath) {
+    try {
+      return await fs.realpath(absolutePath);
+    } catch (error) {
+      const parent = path.dirname(absolutePath);
+      if (error.code !== 'ENOENT' || parent === absolutePath) {
+        throw error;
+      }
+      return path.join(await this.realpath(parent), path.basename(absolutePath));
+    }
+  }
+
+  denied(reason) {
+    const error = new Error(`Access denied: ${reason}`);
+    error.code = 'PATH_NOT_ALLOWED';
+    return error;
+  }
+}
@@ -51,6 +51,8 @@ function applyEnvOverrides(config) {
     'DEFAULT_MODEL': 'settings.default_model',
     'FALLBACK_MODEL': 'settings.fallback_model',
     'DAILY_COST_LIMIT': 'settings.budget_limits.daily_cost_limit',
+    'WEEKLY_COST_LIMIT': 'settings.budget_limits.weekly_cost_limit',
+    'MONTHLY_COST_LIMIT': 'settings.budget_limits.monthly_cost_limit',
     'REQUESTS_PER_MINUTE': 'settings.rate_limits.per_user_requests_per_minute',
     'BURST_LIMIT': 'settings.rate_limits.burst_limit'
   };
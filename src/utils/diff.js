@@ -0,0 +1,138 @@
+// Above this many comparisons the changed region is shown as removed and
+// re-added instead of searching for the lines it kept
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split text into lines, each keeping its newline so a missing final newline counts as a change
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Line edit script from a to b: `{type, line}` with type " ", "-" or "+"
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    ops.push(...oldMiddle.map(line => ({ type: '-', line })), ...newMiddle.map(line => ({ type: '+', line })));
+  } else {
+    // lcs[i * (m + 1) + j]: longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        ops.push({ type: ' ', line: oldMiddle[i++] });
+        j++;
+      } else if (j === m || (i < n && lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+        ops.push({ type: '-', line: oldMiddle[i++] });
+      } else {
+        ops.push({ type: '+', line: newMiddle[j++] });
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map(line => ({ type: ' ', line })));
+  return ops;
+}
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string} oldText - Previous contents ('' for a new file)
+ * @param {string} newText - New contents
+ * @param {Object} [options]
+ * @param {string} [options.oldLabel='a'] - Name on the `---` line ("/dev/null" for a new file)
+ * @param {string} [options.newLabel='b'] - Name on the `+++` line
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} The diff, or '' when nothing changed
+ */
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const output = [];
+
+  // Line numbers before each op
+  let oldLine = 0;
+  let newLine = 0;
+  const positions = ops.map(op => {
+    const position = { oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return position;
+  });
+
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === ' ') {
+      k++;
+      continue;
+    }
+
+    // Changes closer together than twice the context share a hunk
+    let end = k;
+    let j = k;
+    while (j < ops.length) {
+      if (ops[j].type !== ' ') {
+        end = ++j;
+        continue;
+      }
+      let run = j;
+      while (run < ops.length && ops[run].type === ' ') {
+        run++;
+      }
+      if (run === ops.length || run - j > 2 * context) {
+        break;
+      }
+      j = run;
+    }
+
+    const start = Math.max(0, k - context);
+    const stop = Math.min(ops.length, end + context);
+    const hunk = ops.slice(start, stop);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = positions[start].oldLine + (oldCount > 0 ? 1 : 0);
+    const newStart = positions[start].newLine + (newCount > 0 ? 1 : 0);
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      output.push(`${op.type}${op.line.replace(/\n$/, '')}`);
+      if (!op.line.endsWith('\n')) {
+        output.push('\\ No newline at end of file');
+      }
+    }
+
+    k = stop;
+  }
+
+  if (output.length === 0) {
+    return '';
+  }
+
+  return [`--- ${oldLabel}`, `+++ ${newLabel}`, ...output].join('\n') + '\n';
+}
@@ -1,8 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from './logger.js';
+
+// Daily totals are kept a month and a day, so the current calendar month is
+// always complete for monthly budgets
+const DAILY_RETENTION_DAYS = 31;
+
+/**
+ * Add one day's totals into another
+ * @param {Object} target - Daily entry to add to
+ * @param {Object} source - Daily entry to add
+ */
+function addDay(target, source) {
+  target.requests += source.requests || 0;
+  target.tokens += source.tokens || 0;
+  target.cost += source.cost || 0;
+
+  for (const key of ['models', 'clients']) {
+    for (const [name, totals] of Object.entries(source[key] || {})) {
+      const entry = target[key][name] || (target[key][name] = { requests: 0, tokens: 0, cost: 0 });
+      entry.requests += totals.requests || 0;
+      entry.tokens += totals.tokens || 0;
+      entry.cost += totals.cost || 0;
+    }
+  }
+}
+
+/**
+ * Whether a recorded request was cancelled by the client
+ * @param {Object} request - Stored request entry
+ * @returns {boolean} True for cancelled requests
+ */
+function isCancelled(request) {
+  return request.outcome === 'cancelled';
+}
+
 /**
  * Metrics collector for tracking usage, performance, and costs
+ * With a `state_file`, daily totals (the spend budgets are checked against)
+ * are written to disk, so spend survives a restart
  */
 export class MetricsCollector {
-  constructor() {
+  /**
+   * @param {Object} [options] - `settings.metrics` from config
+   * @param {string} [options.state_file] - JSON file to persist daily totals in (in memory only when unset)
+   */
+  constructor(options = {}) {
+    this.stateFile = options.state_file ? path.resolve(options.state_file) : null;
+    this.logger = new Logger('MetricsCollector');
+
+    // Writes are chained so an older snapshot never lands after a newer one
+    this.saving = Promise.resolve();
+
     this.metrics = {
       requests: [],
       totals: {
@@ -10,8 +59,10 @@ export class MetricsCollector {
         total_tokens: 0,
         total_cost: 0,
         successful_requests: 0,
-        failed_requests: 0
+        failed_requests: 0,
+        cancelled_requests: 0
       },
+      cache: { hits: 0, misses: 0, bypassed: 0, saved_cost: 0 },
       models: {},
       daily: {},
       hourly: {}
@@ -23,6 +74,57 @@ export class MetricsCollector {
     }, 3600000); // Clean up every hour
   }
 
+  /**
+   * Read persisted daily totals from the state file
+   * Adds them to anything recorded since startup
+   */
+  async load() {
+    if (!this.stateFile) {
+      return;
+    }
+
+    let daily;
+    try {
+      daily = JSON.parse(await fs.readFile(this.stateFile, 'utf8')).daily || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const [dateKey, day] of Object.entries(daily)) {
+      if (!this.metrics.daily[dateKey]) {
+        this.metrics.daily[dateKey] = { requests: 0, tokens: 0, cost: 0, models: {}, clients: {} };
+      }
+      addDay(this.metrics.daily[dateKey], day);
+    }
+    this.cleanup();
+  }
+
+  /**
+   * Write daily totals to the state file
+   * @returns {Promise<void>} Resolves once this snapshot is on disk
+   */
+  save() {
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+
+    this.saving = this.saving.then(async () => {
+      const snapshot = JSON.stringify({ daily: this.metrics.daily }, null, 2);
+      const tmpFile = `${this.stateFile}.tmp`;
+
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(tmpFile, snapshot);
+      await fs.rename(tmpFile, this.stateFile);
+    }).catch(error => {
+      this.logger.error('Failed to persist metrics:', { error: error.message });
+    });
+
+    return this.saving;
+  }
+
   /**
    * Record a new metric entry
    * @param {Object} metric - Metric data
@@ -34,6 +136,10 @@ export class MetricsCollector {
       cost = 0,
       duration = 0,
       success = true,
+      // "cancelled" requests were stopped by the client and count as neither success nor failure
+      outcome = success ? 'success' : 'failure',
+      // Client the call was made for (see O3ProService.getClientIdentifier)
+      client = null,
       timestamp = new Date().toISOString()
     } = metric;
 
@@ -48,6 +154,8 @@ export class MetricsCollector {
       cost,
       duration,
       success,
+      outcome,
+      client,
       timestamp
     });
 
@@ -56,7 +164,9 @@ export class MetricsCollector {
     this.metrics.totals.total_tokens += tokens;
     this.metrics.totals.total_cost += cost;
     
-    if (success) {
+    if (outcome === 'cancelled') {
+      this.metrics.totals.cancelled_requests++;
+    } else if (success) {
       this.metrics.totals.successful_requests++;
     } else {
       this.metrics.totals.failed_requests++;
@@ -81,10 +191,10 @@ export class MetricsCollector {
     modelMetrics.total_duration += duration;
     modelMetrics.avg_duration = modelMetrics.total_duration / modelMetrics.requests;
     
-    // Update success rate
-    const modelRequests = this.metrics.requests.filter(r => r.model === model);
+    // Update success rate over requests that ran to completion
+    const modelRequests = this.metrics.requests.filter(r => r.model === model && !isCancelled(r));
     const successfulModelRequests = modelRequests.filter(r => r.success).length;
-    modelMetrics.success_rate = (successfulModelRequests / modelRequests.length) * 100;
+    modelMetrics.success_rate = modelRequests.length > 0 ? (successfulModelRequests / modelRequests.length) * 100 : 0;
 
     // Update daily metrics
     if (!this.metrics.daily[dateKey]) {
@@ -92,7 +202,8 @@ export class MetricsCollector {
         requests: 0,
         tokens: 0,
         cost: 0,
-        models: {}
+        models: {},
+        clients: {}
       };
     }
 
@@ -107,6 +218,17 @@ export class MetricsCollector {
     this.metrics.daily[dateKey].models[model].tokens += tokens;
     this.metrics.daily[dateKey].models[model].cost += cost;
 
+    // Per-client daily totals back per-client budgets
+    if (client) {
+      const clients = this.metrics.daily[dateKey].clients;
+      if (!clients[client]) {
+        clients[client] = { requests: 0, tokens: 0, cost: 0 };
+      }
+      clients[client].requests++;
+      clients[client].tokens += tokens;
+      clients[client].cost += cost;
+    }
+
     // Update hourly metrics
     if (!this.metrics.hourly[hourKey]) {
       this.metrics.hourly[hourKey] = {
@@ -127,6 +249,8 @@ export class MetricsCollector {
     this.metrics.hourly[hourKey].models[model].requests++;
     this.metrics.hourly[hourKey].models[model].tokens += tokens;
     this.metrics.hourly[hourKey].models[model].cost += cost;
+
+    this.save();
   }
 
   /**
@@ -170,13 +294,15 @@ export class MetricsCollector {
     }
 
     // Calculate statistics
+    const completedRequests = filteredRequests.filter(r => !isCancelled(r));
     const stats = {
       overview: {
         total_requests: filteredRequests.length,
-        successful_requests: filteredRequests.filter(r => r.success).length,
-        failed_requests: filteredRequests.filter(r => !r.success).length,
-        success_rate: filteredRequests.length > 0 
-          ? (filteredRequests.filter(r => r.success).length / filteredRequests.length * 100).toFixed(2)
+        successful_requests: completedRequests.filter(r => r.success).length,
+        failed_requests: completedRequests.filter(r => !r.success).length,
+        cancelled_requests: filteredRequests.length - completedRequests.length,
+        success_rate: completedRequests.length > 0 
+          ? (completedRequests.filter(r => r.success).length / completedRequests.length * 100).toFixed(2)
           : 0,
         total_tokens: filteredRequests.reduce((sum, r) => sum + r.tokens, 0),
         total_cost: filteredRequests.reduce((sum, r) => sum + r.cost, 0).toFixed(4),
@@ -190,12 +316,48 @@ export class MetricsCollector {
       recent_requests: this.getRecentRequests(5),
       daily_usage: this.getDailyUsage(7), // Last 7 days
       hourly_usage: this.getHourlyUsage(24), // Last 24 hours
-      cost_breakdown: this.getCostBreakdown(filteredRequests)
+      cost_breakdown: this.getCostBreakdown(filteredRequests),
+      cache: this.getCacheStats()
     };
 
     return stats;
   }
 
+  /**
+   * Count a response cache lookup
+   * @param {string} status - "hit", "miss" or "bypass"
+   * @param {number} [savedCost=0] - Cost of the original call a hit avoided
+   */
+  recordCache(status, savedCost = 0) {
+    const cache = this.metrics.cache;
+
+    if (status === 'hit') {
+      cache.hits++;
+      cache.saved_cost += savedCost;
+    } else if (status === 'miss') {
+      cache.misses++;
+    } else {
+      cache.bypassed++;
+    }
+  }
+
+  /**
+   * Response cache counters
+   * @returns {Object} Hits, misses, bypasses, hit rate and cost saved
+   */
+  getCacheStats() {
+    const { hits, misses, bypassed, saved_cost: savedCost } = this.metrics.cache;
+    const lookups = hits + misses;
+
+    return {
+      hits,
+      misses,
+      bypassed,
+      hit_rate: lookups > 0 ? (hits / lookups * 100).toFixed(2) : 0,
+      saved_cost: savedCost.toFixed(4)
+    };
+  }
+
   /**
    * Get per-model statistics
    * @param {Array} requests - Filtered requests
@@ -212,12 +374,16 @@ export class MetricsCollector {
           cost: 0,
           avg_duration: 0,
           success_rate: 0,
+          cancelled: 0,
           total_duration: 0
         };
       }
       
       const stats = modelStats[request.model];
       stats.requests++;
+      if (isCancelled(request)) {
+        stats.cancelled++;
+      }
       stats.tokens += request.tokens;
       stats.cost += request.cost;
       stats.total_duration += request.duration;
@@ -225,11 +391,13 @@ export class MetricsCollector {
 
     // Calculate averages and success rates
     for (const [model, stats] of Object.entries(modelStats)) {
-      const modelRequests = requests.filter(r => r.model === model);
+      const modelRequests = requests.filter(r => r.model === model && !isCancelled(r));
       const successfulRequests = modelRequests.filter(r => r.success).length;
       
       stats.avg_duration = (stats.total_duration / stats.requests).toFixed(2);
-      stats.success_rate = ((successfulRequests / modelRequests.length) * 100).toFixed(2);
+      stats.success_rate = modelRequests.length > 0
+        ? ((successfulRequests / modelRequests.length) * 100).toFixed(2)
+        : '0.00';
       stats.cost = parseFloat(stats.cost.toFixed(4));
       
       delete stats.total_duration; // Remove internal field
@@ -252,10 +420,44 @@ export class MetricsCollector {
         cost: parseFloat(r.cost.toFixed(4)),
         duration: r.duration,
         success: r.success,
+        outcome: r.outcome,
         timestamp: r.timestamp
       }));
   }
 
+  /**
+   * Get the failure rate of a model's recent requests
+   * @param {string} model - Model id
+   * @param {number} since - Only count requests at or after this time (ms since epoch)
+   * @returns {Object} Request count, failure count and failure rate (0-1)
+   */
+  getRecentFailureRate(model, since) {
+    let requests = 0;
+    let failures = 0;
+
+    // Requests are stored in arrival order, so walk back until we leave the window
+    for (let i = this.metrics.requests.length - 1; i >= 0; i--) {
+      const request = this.metrics.requests[i];
+      if (new Date(request.timestamp).getTime() < since) {
+        break;
+      }
+      if (request.model !== model || isCancelled(request)) {
+        continue;
+      }
+
+      requests++;
+      if (!request.success) {
+        failures++;
+      }
+    }
+
+    return {
+      requests,
+      failures,
+      failure_rate: requests > 0 ? failures / requests : 0
+    };
+  }
+
   /**
    * Get daily usage for the last N days
    * @param {number} days - Number of days
@@ -287,6 +489,25 @@ export class MetricsCollector {
     return result;
   }
 
+  /**
+   * Total cost since the start of a UTC day
+   * Daily totals are kept for 31 days, which covers any calendar month
+   * @param {string} sinceDateKey - First day to count (YYYY-MM-DD, UTC)
+   * @param {string} [client] - Only count this client's calls
+   * @returns {number} Cost in USD
+   */
+  getCostSince(sinceDateKey, client = null) {
+    let cost = 0;
+
+    for (const [dateKey, day] of Object.entries(this.metrics.daily)) {
+      if (dateKey >= sinceDateKey) {
+        cost += client ? (day.clients[client]?.cost || 0) : day.cost;
+      }
+    }
+
+    return cost;
+  }
+
   /**
    * Get hourly usage for the last N hours
    * @param {number} hours - Number of hours
@@ -372,9 +593,9 @@ export class MetricsCollector {
       r => new Date(r.timestamp) > cutoff
     );
 
-    // Clean up daily metrics older than 30 days
+    // Clean up daily metrics older than DAILY_RETENTION_DAYS
     const dailyCutoff = new Date();
-    dailyCutoff.setDate(dailyCutoff.getDate() - 30);
+    dailyCutoff.setUTCDate(dailyCutoff.getUTCDate() - DAILY_RETENTION_DAYS);
     const dailyCutoffKey = dailyCutoff.toISOString().split('T')[0];
     
     for (const dateKey of Object.keys(this.metrics.daily)) {
@@ -406,12 +627,15 @@ export class MetricsCollector {
         total_tokens: 0,
         total_cost: 0,
         successful_requests: 0,
-        failed_requests: 0
+        failed_requests: 0,
+        cancelled_requests: 0
       },
+      cache: { hits: 0, misses: 0, bypassed: 0, saved_cost: 0 },
       models: {},
       daily: {},
       hourly: {}
     };
+    this.save();
   }
 
   /**
@@ -0,0 +1,109 @@
+/**
+ * Per-token-type pricing from a model's `pricing` config
+ *
+ * Rates are USD per million tokens, as providers publish them:
+ *
+ *   pricing:
+ *     - effective_from: "2025-06-10"
+ *       input: 20.00
+ *       cached_input: 5.00   # defaults to input
+ *       output: 80.00
+ *       reasoning: 80.00     # defaults to output
+ *
+ * A single entry may be given without the list or effective_from
+ */
+
+export const TOKEN_TYPES = ['input', 'cached_input', 'output', 'reasoning'];
+
+// YAML reads unquoted dates as Date objects
+function toDay(value) {
+  return value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+}
+
+function round(cost) {
+  return parseFloat(cost.toFixed(6));
+}
+
+/**
+ * Rates in effect at a time
+ * @param {Object|Object[]} [pricing] - Model `pricing` config
+ * @param {Date} [at] - When the tokens were used
+ * @returns {Object|null} `{effective_from, input, cached_input, output, reasoning}`, or null
+ *   when no pricing is configured (or none is in effect yet)
+ */
+export function resolvePricing(pricing, at = new Date()) {
+  if (!pricing) {
+    return null;
+  }
+
+  const day = at.toISOString().split('T')[0];
+  const entries = (Array.isArray(pricing) ? pricing : [pricing])
+    .map(entry => ({ ...entry, effective_from: entry.effective_from ? toDay(entry.effective_from) : '' }))
+    .filter(entry => entry.effective_from <= day)
+    .sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+  const entry = entries[entries.length - 1];
+
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    effective_from: entry.effective_from || null,
+    input: entry.input || 0,
+    cached_input: entry.cached_input ?? entry.input ?? 0,
+    output: entry.output || 0,
+    reasoning: entry.reasoning ?? entry.output ?? 0
+  };
+}
+
+/**
+ * Cost of each token type
+ * Cached input is part of input_tokens and reasoning part of output_tokens,
+ * so each is priced at its own rate and the remainder at the base rate
+ * @param {Object} usage - Usage with `input_tokens`, `cached_input_tokens`, `output_tokens` and `reasoning_tokens`
+ * @param {Object} rates - Rates from resolvePricing
+ * @returns {Object} Cost in USD per token type, plus `total`
+ */
+export function priceUsage(usage, rates) {
+  const cachedInput = usage.cached_input_tokens || 0;
+  const reasoning = usage.reasoning_tokens || 0;
+  const tokens = {
+    input: Math.max((usage.input_tokens || 0) - cachedInput, 0),
+    cached_input: cachedInput,
+    output: Math.max((usage.output_tokens || 0) - reasoning, 0),
+    reasoning
+  };
+
+  const breakdown = {};
+  let total = 0;
+  for (const type of TOKEN_TYPES) {
+    const cost = tokens[type] / 1e6 * rates[type];
+    breakdown[type] = round(cost);
+    total += cost;
+  }
+  breakdown.total = round(total);
+
+  return breakdown;
+}
+
+/**
+ * Add up the cost breakdowns of several responses
+ * @param {Object[]} results - Responses, some with a `cost_breakdown`
+ * @returns {Object|null} Summed breakdown, or null when none of the responses had one
+ */
+export function sumCostBreakdowns(results) {
+  const breakdowns = results.map(result => result.cost_breakdown).filter(Boolean);
+
+  if (breakdowns.length === 0) {
+    return null;
+  }
+
+  const total = Object.fromEntries([...TOKEN_TYPES, 'total'].map(type => [type, 0]));
+  for (const breakdown of breakdowns) {
+    for (const type of Object.keys(total)) {
+      total[type] += breakdown[type] || 0;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(total).map(([type, cost]) => [type, round(cost)]));
+}
@@ -0,0 +1,134 @@
+import { mergeUsage } from './usage.js';
+import { Logger } from './logger.js';
+
+const logger = new Logger('Progress');
+
+/**
+ * Sends MCP `notifications/progress` for a long-running tool call
+ * Adapters report stream events through `update()`; the reporter throttles
+ * them and also sends a heartbeat so silent reasoning phases still show the
+ * elapsed time
+ */
+export class ProgressReporter {
+  /**
+   * @param {Function} sendNotification - `extra.sendNotification` from the request handler
+   * @param {string|number} progressToken - Token from the request's `_meta.progressToken`
+   * @param {Object} [options] - Reporter options
+   * @param {number} [options.intervalMs=5000] - Heartbeat interval
+   * @param {number} [options.minIntervalMs=1000] - Minimum gap between stream-driven notifications
+   * @param {number} [options.partialChars=300] - How much of the partial text to include
+   */
+  constructor(sendNotification, progressToken, options = {}) {
+    this.sendNotification = sendNotification;
+    this.progressToken = progressToken;
+    this.intervalMs = options.intervalMs ?? 5000;
+    this.minIntervalMs = options.minIntervalMs ?? 1000;
+    this.partialChars = options.partialChars ?? 300;
+
+    this.progress = 0;
+    this.lastSentAt = 0;
+    this.state = { phase: 'starting', usage: {} };
+  }
+
+  /**
+   * Start the heartbeat
+   */
+  start() {
+    this.startTime = Date.now();
+    this.timer = setInterval(() => this.send(), this.intervalMs);
+    this.timer.unref?.();
+    return this.send();
+  }
+
+  /**
+   * Stop the heartbeat
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Record a progress event from an adapter
+   * @param {Object} event - Progress event
+   * @param {string} [event.model] - Model producing the output
+   * @param {string} [event.phase] - "reasoning", "output", "tool_call" or "completed"
+   * @param {string} [event.partial_text] - Answer text streamed so far
+   * @param {string} [event.tool] - Tool being called
+   * @param {Object} [event.usage] - Usage of a finished API call (added to the running totals)
+   */
+  update(event) {
+    const { usage, ...rest } = event;
+    if (rest.phase !== 'tool_call') {
+      delete this.state.tool;
+    }
+    Object.assign(this.state, rest);
+    mergeUsage(this.state.usage, usage);
+
+    if (Date.now() - this.lastSentAt >= this.minIntervalMs) {
+      this.send();
+    }
+  }
+
+  /**
+   * Send a notification with the current state
+   */
+  async send() {
+    if (!this.timer && this.progress > 0) {
+      return;
+    }
+
+    this.progress++;
+    this.lastSentAt = Date.now();
+
+    try {
+      await this.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken: this.progressToken,
+          progress: this.progress,
+          message: this.buildMessage(),
+          _meta: {
+            phase: this.state.phase,
+            model: this.state.model,
+            elapsed_ms: this.getElapsed(),
+            reasoning_tokens: this.state.usage.reasoning_tokens || 0,
+            output_tokens: this.state.usage.output_tokens || 0,
+            ...(this.state.partial_text && { partial_text: this.getPartialText() })
+          }
+        }
+      });
+    } catch (error) {
+      // The client may have gone away; the call itself carries on
+      logger.debug('Failed to send progress notification', { error: error.message });
+    }
+  }
+
+  /**
+   * One-line summary, e.g. `o3-pro output · 42s elapsed · 1200 reasoning tokens · "…partial"`
+   */
+  buildMessage() {
+    const parts = [
+      [this.state.model, this.state.tool ? `${this.state.phase} ${this.state.tool}` : this.state.phase].filter(Boolean).join(' '),
+      `${Math.round(this.getElapsed() / 1000)}s elapsed`
+    ];
+
+    if (this.state.usage.reasoning_tokens) {
+      parts.push(`${this.state.usage.reasoning_tokens} reasoning tokens`);
+    }
+    if (this.state.partial_text) {
+      parts.push(`"${this.getPartialText()}"`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  getElapsed() {
+    return this.startTime ? Date.now() - this.startTime : 0;
+  }
+
+  getPartialText() {
+    const text = this.state.partial_text;
+    return text.length > this.partialChars ? `…${text.slice(-this.partialChars)}` : text;
+  }
+}
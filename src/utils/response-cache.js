@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from './logger.js';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Cache of deepthink responses
+ * Entries live for `settings.cache_ttl` seconds in an in-memory LRU, and
+ * optionally in a directory so they survive restarts
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttlSeconds=0] - Entry lifetime (0 disables the cache)
+   * @param {number} [options.max_entries=100] - Entries kept in memory
+   * @param {string} [options.directory] - Directory for the on-disk store (memory only when unset)
+   */
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlSeconds || 0) * 1000;
+    this.maxEntries = options.max_entries ?? 100;
+    this.directory = options.directory ? path.resolve(options.directory) : null;
+    this.logger = new Logger('ResponseCache');
+
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+  }
+
+  /**
+   * Whether a query's response may be served from or stored in the cache
+   * Thread turns depend on the conversation so far and are never cached
+   * @param {Object} args - Query arguments
+   * @returns {boolean} True if the query is cacheable
+   */
+  isCacheable(args) {
+    return this.ttlMs > 0 && typeof args.query === 'string' && !args.thread_id;
+  }
+
+  /**
+   * Cache key for a query
+   * @param {Object} args - Query arguments
+   * @returns {string} Hex digest of the fields that shape the answer
+   */
+  getKey(args) {
+    return sha256(JSON.stringify({
+      model: args.model || 'auto',
+      capabilities: args.capabilities || [],
+      mode: args.mode || 'single',
+      models: args.models || [],
+      query: args.query.trim().replace(/\s+/g, ' '),
+      context: args.context ? sha256(args.context) : null,
+      reasoning_level: args.reasoning_level || null,
+      max_tokens: args.max_tokens || null
+    }));
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} `{result, stored_at, expires_at}`, or null on a miss
+   */
+  async get(key) {
+    let entry = this.entries.get(key);
+
+    if (!entry && this.directory) {
+      entry = await this.readEntry(key);
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expires_at <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+
+    this.remember(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} result - Query response
+   * @returns {Promise<void>}
+   */
+  async set(key, result) {
+    const now = Date.now();
+    const entry = { result, stored_at: now, expires_at: now + this.ttlMs };
+
+    this.remember(key, entry);
+
+    if (this.directory) {
+      try {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getPath(key), JSON.stringify(entry));
+      } catch (error) {
+        // The in-memory entry still serves hits
+        this.logger.warn('Failed to write cache entry', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Put an entry at the most recent end of the LRU, evicting the oldest beyond max_entries
+   */
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+
+    if (this.directory) {
+      fs.unlink(this.getPath(key)).catch(() => {});
+    }
+  }
+
+  getPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async readEntry(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      // Missing or unreadable entries are misses
+      return null;
+    }
+  }
+}
@@ -0,0 +1,163 @@
+import { Logger } from './logger.js';
+
+// Error codes (set by BaseAdapter.handleError) worth another attempt
+const RETRYABLE_CODES = ['RATE_LIMIT_EXCEEDED', 'TIMEOUT', 'API_ERROR'];
+
+/**
+ * Parse a Retry-After delay from provider response headers
+ * Understands `retry-after-ms`, `retry-after` in seconds and `retry-after` as an HTTP date
+ * @param {Object|Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+export function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const get = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const retryAfterMs = parseFloat(get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = get('retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a delay, waking early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Retry policy for model calls
+ * Retries rate limits, timeouts and server errors with exponential backoff
+ * and full jitter, waiting at least as long as the provider's Retry-After
+ */
+export class RetryPolicy {
+  /**
+   * @param {Object} options - Retry options
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt
+   * @param {number} [options.baseDelayMs=1000] - Backoff for the first retry
+   * @param {number} [options.maxDelayMs=30000] - Longest wait between attempts
+   * @param {Function} [options.sleep] - Delay function (overridable in tests)
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.sleep = options.sleep || sleep;
+    this.logger = new Logger('RetryPolicy');
+  }
+
+  /**
+   * Build a policy from `settings.max_retries` and `settings.retry`
+   * @param {Object} settings - Global settings from config
+   * @returns {RetryPolicy} Retry policy
+   */
+  static fromSettings(settings = {}) {
+    return new RetryPolicy({
+      maxRetries: settings.max_retries,
+      baseDelayMs: settings.retry?.base_delay_ms,
+      maxDelayMs: settings.retry?.max_delay_ms
+    });
+  }
+
+  /**
+   * Whether an error is worth retrying
+   * @param {Error} error - Error thrown by an adapter
+   * @returns {boolean} True for rate limits, timeouts and server errors
+   */
+  isRetryable(error) {
+    if (error.code === 'API_ERROR') {
+      // Plain API errors are only transient when the server is at fault
+      return !error.status || error.status >= 500;
+    }
+
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Error from that attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt, error) {
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(Math.random() * backoff);
+
+    return Math.max(jittered, error.retryAfterMs || 0);
+  }
+
+  /**
+   * Run a function, retrying retryable failures
+   * @param {Function} fn - Async function receiving the attempt number
+   * @param {Object} [options] - Execution options
+   * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+   * @param {Function} [options.canRetry] - Checked before each retry; false stops retrying
+   * @returns {Promise<Object>} `{result, attempts, errors}`
+   * @throws {Error} The last error, carrying `attempts` and `attemptErrors`
+   */
+  async execute(fn, options = {}) {
+    const errors = [];
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await fn(attempt);
+        return { result, attempts: attempt, errors };
+      } catch (error) {
+        const entry = {
+          attempt,
+          code: error.code || 'UNKNOWN_ERROR',
+          message: error.message,
+          ...(error.status && { status: error.status })
+        };
+        errors.push(entry);
+
+        const delay = this.getDelay(attempt, error);
+        const retry = attempt <= this.maxRetries &&
+                      this.isRetryable(error) &&
+                      delay <= this.maxDelayMs &&
+                      !options.signal?.aborted &&
+                      (!options.canRetry || options.canRetry());
+
+        if (!retry) {
+          error.attempts = attempt;
+          error.attemptErrors = errors;
+          throw error;
+        }
+
+        entry.retry_delay_ms = delay;
+        this.logger.warn(`Attempt ${attempt} failed with ${entry.code}, retrying in ${delay}ms`);
+        await this.sleep(delay, options.signal);
+      }
+    }
+  }
+}
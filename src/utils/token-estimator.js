@@ -0,0 +1,47 @@
+/**
+ * Offline token estimates for pre-flight cost checks
+ * No provider tokenizer is bundled, so counts are approximations: good for
+ * "will this fit and roughly what will it cost", not for billing
+ */
+
+// English prose and code average about four characters per token across the
+// OpenAI, Anthropic and Gemini tokenizers; CJK text runs closer to one per character
+const CHARS_PER_TOKEN = 4;
+const WIDE_CHAR_PATTERN = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+// Framing each chat message adds around its content
+const TOKENS_PER_MESSAGE = 4;
+
+// Reasoning tokens a call typically spends per reasoning_level, for models
+// that don't take an explicit thinking budget (OpenAI o-series)
+export const REASONING_TOKEN_ESTIMATES = {
+  low: { min: 500, max: 8000 },
+  medium: { min: 2000, max: 25000 },
+  high: { min: 8000, max: 80000 }
+};
+
+// Shortest answer worth budgeting for
+export const MIN_ANSWER_TOKENS = 200;
+
+/**
+ * Approximate token count of a text
+ * @param {string} [text] - Text to count
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const wideChars = (text.match(WIDE_CHAR_PATTERN) || []).length;
+  return Math.ceil(wideChars + (text.length - wideChars) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Approximate input tokens of a chat conversation
+ * @param {Object[]} messages - Messages in `{role, content}` form
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce((sum, message) => sum + TOKENS_PER_MESSAGE + estimateTokens(message.content), 0);
+}
@@ -0,0 +1,69 @@
+/**
+ * Accumulate token usage across several API calls
+ * Accepts both Chat Completions (prompt/completion) and Responses/Anthropic (input/output) shapes
+ * @param {Object} total - Running usage totals, mutated in place
+ * @param {Object} usage - Usage reported by a single API call
+ * @returns {Object} Updated usage totals
+ */
+export function mergeUsage(total, usage) {
+  if (!usage) return total;
+
+  const inputTokens = getInputTokens(usage);
+  const outputTokens = usage.output_tokens || usage.completion_tokens || 0;
+  const cachedInputTokens = getCachedInputTokens(usage);
+
+  total.input_tokens = (total.input_tokens || 0) + inputTokens;
+  total.output_tokens = (total.output_tokens || 0) + outputTokens;
+  total.total_tokens = (total.total_tokens || 0) + (usage.total_tokens || inputTokens + outputTokens);
+  total.reasoning_tokens = (total.reasoning_tokens || 0) +
+    (usage.reasoning_tokens ||
+     usage.output_tokens_details?.reasoning_tokens ||
+     usage.completion_tokens_details?.reasoning_tokens || 0);
+
+  if (cachedInputTokens) {
+    total.cached_input_tokens = (total.cached_input_tokens || 0) + cachedInputTokens;
+  }
+
+  return total;
+}
+
+/**
+ * Input tokens of a single API call, cached ones included
+ * Anthropic reports cache reads and writes separately from input_tokens
+ * @param {Object} usage - Usage reported by the API
+ * @returns {number} Input tokens
+ */
+export function getInputTokens(usage) {
+  return (usage.input_tokens || usage.prompt_tokens || 0) +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0);
+}
+
+/**
+ * Input tokens served from the provider's prompt cache
+ * @param {Object} usage - Usage reported by the API (or already merged)
+ * @returns {number} Cached input tokens
+ */
+export function getCachedInputTokens(usage) {
+  return usage.cached_input_tokens ||
+    usage.cache_read_input_tokens ||
+    usage.input_tokens_details?.cached_tokens ||
+    usage.prompt_tokens_details?.cached_tokens || 0;
+}
+
+/**
+ * Total usage and cost over several model responses
+ * @param {Object[]} results - Responses with `usage` and `cost`
+ * @returns {Object} `{usage, cost}`
+ */
+export function sumUsage(results) {
+  const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0, reasoning_tokens: 0 };
+  let cost = 0;
+
+  for (const result of results) {
+    mergeUsage(usage, result.usage);
+    cost += result.cost || 0;
+  }
+
+  return { usage, cost };
+}
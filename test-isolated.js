@@ -49,13 +49,11 @@ async function testModelListing(router) {
   logger.info('🧪 Testing model listing...');
   
   try {
-    const result = await router.listModels();
-    
-    // Parse the JSON response
-    const models = JSON.parse(result.response);
+    const listing = await router.listModels();
     
     console.log('✅ Model listing successful');
-    console.log('   Models:', models.models?.map(m => m.id) || []);
+    console.log('   Models:', listing.models?.map(m => m.id) || []);
+    console.log('   Default model:', listing.default_model);
     return true;
   } catch (error) {
     console.error('❌ Model listing failed:', error.message);
@@ -69,10 +67,7 @@ async function testHealthCheck(router) {
   logger.info('🧪 Testing health check...');
   
   try {
-    const result = await router.healthCheck();
-    
-    // Parse the JSON response
-    const health = JSON.parse(result.response);
+    const health = await router.healthCheck();
     
     console.log('✅ Health check successful');
     console.log('   Overall status:', health.overall_status);
@@ -95,11 +90,8 @@ async function testModelRecommendations(router) {
       context: 'Philosophy discussion'
     });
     
-    // Parse the JSON response
-    const response = JSON.parse(result.response);
-    
     console.log('✅ Model recommendations successful');
-    console.log('   Recommendations:', response.recommendations?.length || 0);
+    console.log('   Recommendations:', result.recommendations?.map(r => `${r.model} (${r.score})`) || []);
     return true;
   } catch (error) {
     console.error('❌ Model recommendations failed:', error.message);
@@ -118,7 +110,7 @@ async function testSimpleQuery(router) {
   }
   
   try {
-    const result = await router.routeQuery({
+    const result = await router.route({
       query: 'What is 2+2?',
       model: 'o3-pro'
     });
@@ -141,14 +133,11 @@ async function testStats(router) {
   logger.info('🧪 Testing statistics...');
   
   try {
-    const result = await router.getStats();
-    
-    // Parse the JSON response
-    const stats = JSON.parse(result.response);
+    const stats = await router.getStats();
     
     console.log('✅ Statistics retrieval successful');
-    console.log('   Total queries:', stats.total_queries);
-    console.log('   Success rate:', stats.success_rate);
+    console.log('   Total queries:', stats.overview.total_requests);
+    console.log('   Success rate:', stats.overview.success_rate);
     return true;
   } catch (error) {
     console.error('❌ Statistics retrieval failed:', error.message);
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { AnthropicAdapter } from '../../src/adapters/anthropic-adapter.js';
+
+describe('AnthropicAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test-key';
+
+    adapter = new AnthropicAdapter({
+      provider: 'anthropic',
+      model_name: 'claude-opus-4-1',
+      name: 'Anthropic Claude Opus',
+      capabilities: ['reasoning', 'function_calling'],
+      cost_per_1k_tokens: 0.015,
+      default_params: { max_tokens: 1000 }
+    });
+
+    adapter.client = { messages: { create: jest.fn() }, get: jest.fn() };
+  });
+
+  test('should require an API key', () => {
+    delete process.env.ANTHROPIC_API_KEY;
+
+    expect(() => new AnthropicAdapter({ provider: 'anthropic', model_name: 'claude-opus-4-1' }))
+      .toThrow('Anthropic API key not found');
+  });
+
+  test('should map reasoning_level to an extended thinking budget', async () => {
+    adapter.client.messages.create.mockResolvedValue({
+      model: 'claude-opus-4-1',
+      stop_reason: 'end_turn',
+      content: [
+        { type: 'thinking', thinking: 'Let me think...', signature: 'sig' },
+        { type: 'text', text: 'Final answer' }
+      ],
+      usage: { input_tokens: 100, output_tokens: 400 }
+    });
+
+    const result = await adapter.call({ query: 'Why?', reasoning_level: 'high' });
+    const request = adapter.client.messages.create.mock.calls[0][0];
+
+    expect(request.thinking).toEqual({ type: 'enabled', budget_tokens: 32000 });
+    expect(request.max_tokens).toBe(33000);
+    expect(request).not.toHaveProperty('temperature');
+    expect(result.response).toBe('Final answer');
+    expect(result.usage.total_tokens).toBe(500);
+    expect(result.cost).toBeCloseTo(0.0075);
+  });
+
+  test('should execute tool_use blocks through FileTools', async () => {
+    const fileTools = {
+      listDirectory: jest.fn().mockResolvedValue({
+        path: '/repo',
+        items: [{ name: 'src', isDirectory: true }]
+      })
+    };
+
+    adapter.client.messages.create
+      .mockResolvedValueOnce({
+        stop_reason: 'tool_use',
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'list_directory', input: { path: '.' } }],
+        usage: { input_tokens: 50, output_tokens: 10 }
+      })
+      .mockResolvedValueOnce({
+        stop_reason: 'end_turn',
+        content: [{ type: 'text', text: 'There is a src directory.' }],
+        usage: { input_tokens: 80, output_tokens: 20 }
+      });
+
+    const result = await adapter.call({ query: 'What is here?', enable_functions: true, fileTools });
+    const followUp = adapter.client.messages.create.mock.calls[1][0];
+
+    expect(followUp.tools.map(tool => tool.name)).toContain('list_directory');
+    expect(followUp.messages[2]).toEqual({
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'Directory: /repo\nd src' }]
+    });
+    expect(result.response).toBe('There is a src directory.');
+    expect(result.usage.input_tokens).toBe(130);
+    expect(result.tool_calls).toHaveLength(1);
+  });
+
+  test('should report availability from the models endpoint', async () => {
+    adapter.client.get.mockResolvedValue({ id: 'claude-opus-4-1' });
+    await expect(adapter.checkAvailability()).resolves.toMatchObject({ available: true });
+
+    adapter.client.get.mockRejectedValue(Object.assign(new Error('not found'), { status: 404 }));
+    await expect(adapter.checkAvailability()).resolves.toEqual({
+      available: false,
+      message: 'Model claude-opus-4-1 not available'
+    });
+  });
+
+  test('should classify errors by HTTP status and keep retry-after', async () => {
+    adapter.client.messages.create.mockRejectedValue(Object.assign(new Error('529 Overloaded'), {
+      status: 529,
+      headers: { 'retry-after': '4' }
+    }));
+
+    await expect(adapter.call({ query: 'Hi' })).rejects.toMatchObject({
+      code: 'API_ERROR',
+      status: 529,
+      retryAfterMs: 4000
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BudgetGuard } from '../../src/security/budget-guard.js';
+import { MetricsCollector } from '../../src/utils/metrics.js';
+import { FileTools } from '../../src/tools/file-tools.js';
+import { O3ProService } from '../../src/o3-service.js';
+
+describe('Budgets', () => {
+  describe('BudgetGuard', () => {
+    let metrics;
+
+    // Wednesday
+    const now = new Date('2025-06-18T12:00:00.000Z');
+
+    beforeEach(() => {
+      metrics = new MetricsCollector();
+    });
+
+    afterEach(() => {
+      metrics.destroy();
+    });
+
+    function spend(cost, timestamp, client = 'anonymous') {
+      return metrics.record({ model: 'o3-pro', cost, client, timestamp });
+    }
+
+    test('should reject calls once the daily limit is reached', async () => {
+      const guard = new BudgetGuard({ daily_cost_limit: 10 }, metrics);
+      await spend(6, '2025-06-17T23:00:00.000Z');
+      await spend(9.99, '2025-06-18T01:00:00.000Z');
+
+      expect(guard.check('anonymous', now)).toEqual([
+        expect.objectContaining({ period: 'daily', spent: 9.99, threshold: 0.8 })
+      ]);
+
+      await spend(0.01, '2025-06-18T02:00:00.000Z');
+      expect(() => guard.check('anonymous', now)).toThrow(expect.objectContaining({
+        code: 'BUDGET_EXCEEDED',
+        message: expect.stringContaining('resets 2025-06-19T00:00:00.000Z'),
+        budget: expect.objectContaining({ period: 'daily', limit: 10, remaining: 0 })
+      }));
+    });
+
+    test('should count weekly spend from Monday and monthly spend from the 1st', async () => {
+      const guard = new BudgetGuard({ weekly_cost_limit: 20, monthly_cost_limit: 100 }, metrics);
+      await spend(50, '2025-06-01T10:00:00.000Z');
+      await spend(15, '2025-06-15T10:00:00.000Z');
+      await spend(5, '2025-06-16T10:00:00.000Z');
+
+      expect(guard.getStatus(now)).toEqual([
+        { client: null, period: 'weekly', limit: 20, spent: 5, remaining: 15, resets_at: '2025-06-23T00:00:00.000Z' },
+        { client: null, period: 'monthly', limit: 100, spent: 70, remaining: 30, resets_at: '2025-07-01T00:00:00.000Z' }
+      ]);
+    });
+
+    test('should apply per-client limits to each client separately', async () => {
+      const guard = new BudgetGuard({
+        per_client: { daily_cost_limit: 2 },
+        clients: { 'ci-bot': { daily_cost_limit: 5 } }
+      }, metrics);
+      await spend(3, '2025-06-18T01:00:00.000Z', 'alice');
+      await spend(3, '2025-06-18T01:00:00.000Z', 'ci-bot');
+
+      expect(() => guard.check('alice', now)).toThrow(expect.objectContaining({
+        code: 'BUDGET_EXCEEDED',
+        message: expect.stringContaining('for client "alice"')
+      }));
+      expect(guard.check('bob', now)).toEqual([]);
+      expect(guard.check('ci-bot', now)).toEqual([]);
+    });
+
+    test('should log each warning threshold once per period', async () => {
+      const guard = new BudgetGuard({ daily_cost_limit: 10, warning_thresholds: [0.5, 0.9] }, metrics);
+      const warn = jest.spyOn(guard.logger, 'warn').mockImplementation(() => {});
+      await spend(6, '2025-06-18T01:00:00.000Z');
+
+      guard.check('anonymous', now);
+      guard.check('anonymous', now);
+      await spend(3, '2025-06-18T02:00:00.000Z');
+      expect(guard.check('anonymous', now)[0].threshold).toBe(0.9);
+
+      expect(warn.mock.calls.map(([message]) => message)).toEqual([
+        'Daily budget is 50% used',
+        'Daily budget is 90% used'
+      ]);
+    });
+
+    test('should not limit anything without configured budgets', async () => {
+      await spend(1000, '2025-06-18T01:00:00.000Z');
+
+      expect(new BudgetGuard({}, metrics).check('anonymous', now)).toEqual([]);
+    });
+
+    test('should keep daily spend for the whole calendar month', async () => {
+      const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+      await spend(1, daysAgo(30));
+      await spend(2, daysAgo(33));
+
+      metrics.cleanup();
+
+      expect(Object.values(metrics.metrics.daily).map(day => day.cost)).toEqual([1]);
+    });
+
+    test('should carry spend over a restart with a state file', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-metrics-'));
+      const state_file = path.join(dir, 'spend.json');
+
+      try {
+        const before = new MetricsCollector({ state_file });
+        await before.record({ model: 'o3-pro', cost: 4, client: 'ci-bot' });
+        await before.record({ model: 'o3-pro', cost: 5, client: 'ci-bot' });
+        await before.saving;
+        before.destroy();
+
+        const after = new MetricsCollector({ state_file });
+        await after.load();
+        after.destroy();
+
+        expect(new BudgetGuard({ per_client: { daily_cost_limit: 10 } }, after).getBudgets('ci-bot', new Date()))
+          .toEqual(expect.arrayContaining([expect.objectContaining({ client: 'ci-bot', period: 'daily', spent: 9 })]));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('O3ProService', () => {
+    let service;
+
+    beforeEach(() => {
+      process.env.OPENAI_API_KEY = 'sk-test-key';
+      service = new O3ProService({
+        models: {
+          'o3-pro': { provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'], cost_per_1k_tokens: 0.06 }
+        },
+        settings: { default_model: 'o3-pro', budget_limits: { daily_cost_limit: 1 } }
+      });
+    });
+
+    afterEach(() => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+    });
+
+    test('should record spend per client and reject calls over budget', async () => {
+      const adapter = service.router.getAdapter('o3-pro');
+      adapter.call = jest.fn().mockResolvedValue({ response: 'Answer', usage: { total_tokens: 1000 }, cost: 0.9 });
+
+      const first = await service.query({ query: 'Plan the migration', client_id: 'alice' });
+      expect(first).not.toHaveProperty('budget_warnings');
+      expect(service.metrics.getCostSince('2000-01-01', 'alice')).toBe(0.9);
+
+      const second = await service.query({ query: 'And the rollback?', client_id: 'alice' });
+      expect(second.budget_warnings).toEqual([expect.objectContaining({ period: 'daily', spent: 0.9 })]);
+
+      await expect(service.query({ query: 'One more thing', client_id: 'bob' }))
+        .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+      expect(adapter.call).toHaveBeenCalledTimes(2);
+
+      const stats = JSON.parse((await service.getStats()).response);
+      expect(stats.budgets).toEqual([expect.objectContaining({ period: 'daily', limit: 1, spent: 1.8, remaining: 0 })]);
+    });
+
+    test('should count the rounds a cancelled tool loop already paid for', async () => {
+      const controller = new AbortController();
+      const roundUsage = { input_tokens: 4000, output_tokens: 1000, total_tokens: 5000 };
+      const adapter = service.router.getAdapter('o3-pro');
+      adapter.createResponse = jest.fn(async () => {
+        // The client gives up while the model is still reading files
+        if (adapter.createResponse.mock.calls.length === 2) {
+          controller.abort();
+        }
+        return {
+          output: [{ type: 'function_call', name: 'read_file', arguments: '{"path":"missing.txt"}', call_id: 'call_1' }],
+          usage: roundUsage,
+          model: 'o3-pro'
+        };
+      });
+      service.fileTools = new FileTools({ root: os.tmpdir() });
+
+      await expect(service.query({ query: 'Audit the repo', client_id: 'alice', signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+
+      const spent = adapter.calculateCost({ ...roundUsage, total_tokens: 10000, input_tokens: 8000, output_tokens: 2000 });
+      expect(adapter.createResponse).toHaveBeenCalledTimes(2);
+      expect(spent).toBeGreaterThan(0);
+      expect(service.metrics.getCostSince('2000-01-01', 'alice')).toBeCloseTo(spent);
+      expect(service.metrics.metrics.totals).toMatchObject({ cancelled_requests: 1, total_tokens: 10000 });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+import { ModelRouter } from '../../src/router/index.js';
+import { RetryPolicy } from '../../src/utils/retry.js';
+
+function cancelledError() {
+  return Object.assign(new Error('Request cancelled by the client'), { code: 'CANCELLED' });
+}
+
+describe('Cancellation', () => {
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+  });
+
+  describe('OpenAIAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] });
+      adapter.client = { responses: { create: jest.fn() } };
+    });
+
+    test('should pass the abort signal to the SDK and report aborts as CANCELLED', async () => {
+      const controller = new AbortController();
+      adapter.client.responses.create.mockImplementation(async () => {
+        controller.abort();
+        throw new Error('Request was aborted.');
+      });
+
+      await expect(adapter.call({ query: 'Hi', signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapter.client.responses.create.mock.calls[0][1]).toEqual({ signal: controller.signal });
+    });
+
+    test('should stop the function-calling loop once aborted', async () => {
+      const controller = new AbortController();
+      const fileTools = {
+        readFile: jest.fn(async () => {
+          controller.abort();
+          return { content: '1: ok' };
+        })
+      };
+      adapter.client.responses.create.mockResolvedValue({
+        output: [{ type: 'function_call', name: 'read_file', arguments: '{"path":"a.js"}', call_id: 'call_1' }],
+        usage: { input_tokens: 10, output_tokens: 5 }
+      });
+
+      await expect(adapter.call({ query: 'Read a.js', enable_functions: true, fileTools, signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapter.client.responses.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ModelRouter', () => {
+    let router;
+    let adapters;
+
+    beforeEach(() => {
+      router = new ModelRouter({
+        models: {
+          'o3-pro': { provider: 'openai', model_name: 'o3-pro', enabled: true },
+          'gpt-4.1': { provider: 'openai', model_name: 'gpt-4.1', enabled: true }
+        },
+        settings: { default_model: 'o3-pro', fallback_model: 'gpt-4.1' }
+      });
+      adapters = {
+        'o3-pro': { call: jest.fn() },
+        'gpt-4.1': { call: jest.fn() }
+      };
+      router.adapters.set('o3-pro', adapters['o3-pro']);
+      router.adapters.set('gpt-4.1', adapters['gpt-4.1']);
+    });
+
+    afterEach(() => {
+      router.destroy();
+    });
+
+    test('should not fall back and should record cancelled requests separately', async () => {
+      adapters['o3-pro'].call.mockRejectedValue(cancelledError());
+
+      await expect(router.route({ query: 'Test' })).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapters['gpt-4.1'].call).not.toHaveBeenCalled();
+
+      const stats = await router.getStats();
+      expect(stats.overview).toMatchObject({ cancelled_requests: 1, failed_requests: 0, successful_requests: 0 });
+      expect(stats.models['o3-pro'].cancelled).toBe(1);
+      expect(stats.recent_requests[0].outcome).toBe('cancelled');
+      expect(router.getCircuitStates()['o3-pro'].recent_requests).toBe(0);
+    });
+
+    test('should not call the model when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(router.route({ query: 'Test', signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapters['o3-pro'].call).not.toHaveBeenCalled();
+    });
+  });
+
+  test('RetryPolicy should stop retrying once the signal aborts', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const controller = new AbortController();
+    const policy = new RetryPolicy({ maxRetries: 3, baseDelayMs: 60000, maxDelayMs: 60000 });
+    const fn = jest.fn(async () => {
+      throw Object.assign(new Error('Service unavailable'), { code: 'API_ERROR', status: 503 });
+    });
+
+    const pending = policy.execute(fn, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(pending).rejects.toMatchObject({ attempts: 2 });
+    Math.random.mockRestore();
+  });
+});
@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileTools } from '../../src/tools/file-tools.js';
+import { O3ProService } from '../../src/o3-service.js';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('Change journal', () => {
+  let dir;
+  let tools;
+
+  const read = file => fs.readFile(path.join(dir, file), 'utf-8');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-journal-'));
+    await fs.writeFile(path.join(dir, 'app.js'), 'let count = 1;\n');
+    tools = new FileTools({ root: dir, allow_writes: true });
+  });
+
+  afterEach(async () => {
+    await tools.journal.saving;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should journal every write with hashes, diff and request id', async () => {
+    await tools.forRequest('req_1').editFile('app.js', 'count = 1', 'count = 2');
+    await tools.forRequest('req_2').createFile('new.js', 'export {};\n');
+
+    const reloaded = new FileTools({ root: dir, allow_writes: true });
+    const [created, edited] = await reloaded.journal.list();
+
+    expect(edited).toMatchObject({
+      id: 1,
+      request_id: 'req_1',
+      path: 'app.js',
+      operation: 'edit',
+      before_hash: sha256('let count = 1;\n'),
+      after_hash: sha256('let count = 2;\n'),
+      backup: expect.stringMatching(/^\.deepthink\/backups\/.+\/app\.js$/),
+      diff: expect.stringContaining('+let count = 2;')
+    });
+    expect(created).toMatchObject({ id: 2, request_id: 'req_2', operation: 'create', before_hash: null, backup: null });
+  });
+
+  test('should undo the most recent changes, newest first', async () => {
+    await tools.editFile('app.js', 'count = 1', 'count = 2');
+    await tools.editFile('app.js', 'count = 2', 'count = 3');
+    await tools.createFile('new.js', 'export {};\n');
+
+    const { undone } = await tools.undo({ count: 2 });
+
+    expect(undone.map(change => change.id)).toEqual([3, 2]);
+    expect(undone[1].diff).toContain('-let count = 3;\n+let count = 2;');
+    await expect(fs.access(path.join(dir, 'new.js'))).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await read('app.js')).toBe('let count = 2;\n');
+
+    await tools.undo();
+    expect(await read('app.js')).toBe('let count = 1;\n');
+    await expect(tools.undo()).rejects.toMatchObject({ code: 'NO_CHANGES' });
+  });
+
+  test('should undo every change from one request', async () => {
+    await fs.writeFile(path.join(dir, 'other.js'), 'a\n');
+    await tools.forRequest('req_1').editFile('app.js', 'count = 1', 'count = 2');
+    await tools.forRequest('req_2').editFile('other.js', 'a', 'b');
+    await tools.forRequest('req_1').createFile('new.js', 'x\n');
+
+    const { undone } = await tools.undo({ requestId: 'req_1' });
+
+    expect(undone.map(change => change.path)).toEqual(['new.js', 'app.js']);
+    expect(await read('app.js')).toBe('let count = 1;\n');
+    expect(await read('other.js')).toBe('b\n');
+  });
+
+  test('should refuse, changing nothing, when a file was modified since', async () => {
+    await tools.createFile('new.js', 'x\n');
+    await tools.editFile('app.js', 'count = 1', 'count = 2');
+    await fs.writeFile(path.join(dir, 'app.js'), 'let count = 5;\n');
+
+    await expect(tools.undo({ count: 2 })).rejects.toMatchObject({
+      code: 'CHANGE_CONFLICT',
+      message: expect.stringContaining('app.js (change 2)')
+    });
+    expect(await read('new.js')).toBe('x\n');
+    expect(await tools.journal.list()).toHaveLength(2);
+  });
+
+  test('should refuse to undo a request whose file a later request changed again', async () => {
+    await tools.forRequest('req_1').editFile('app.js', 'count = 1', 'count = 2');
+    await tools.forRequest('req_2').editFile('app.js', 'count = 2', 'count = 3');
+
+    await expect(tools.undo({ requestId: 'req_1' })).rejects.toMatchObject({ code: 'CHANGE_CONFLICT' });
+    expect(await read('app.js')).toBe('let count = 3;\n');
+  });
+
+  describe('O3ProService', () => {
+    let service;
+
+    const models = {
+      'o3-pro': { provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] },
+      'o3-mini': { provider: 'openai', model_name: 'o3-mini', capabilities: ['reasoning'] }
+    };
+
+    const useService = settings => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+      service = new O3ProService({ models, settings: { default_model: 'o3-pro', ...settings } }, tools);
+    };
+
+    beforeEach(() => {
+      process.env.OPENAI_API_KEY = 'sk-test-key';
+      service = new O3ProService({
+        models: { 'o3-pro': models['o3-pro'] },
+        settings: { default_model: 'o3-pro', cache_ttl: 300 }
+      }, tools);
+    });
+
+    afterEach(() => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+    });
+
+    test('should report the files a query changed and undo them by request id', async () => {
+      service.router.getAdapter('o3-pro').call = jest.fn(async args => {
+        await args.fileTools.editFile('app.js', 'count = 1', 'count = 2');
+        return { response: 'Bumped the count.', usage: { total_tokens: 10 } };
+      });
+
+      const result = await service.query({ query: 'Bump the count', cache: 'bypass' });
+
+      expect(result.request_id).toMatch(/^req_/);
+      expect(result.file_changes).toEqual([{ id: 1, path: 'app.js', operation: 'edit' }]);
+
+      const undo = JSON.parse((await service.undo({ request_id: result.request_id })).response);
+      expect(undo.undone).toEqual([expect.objectContaining({ id: 1, request_id: result.request_id })]);
+      expect(await read('app.js')).toBe('let count = 1;\n');
+    });
+
+    test('should not serve a repeated write query from the cache', async () => {
+      let runs = 0;
+      const call = service.router.getAdapter('o3-pro').call = jest.fn(async args => {
+        await args.fileTools.createFile('log.txt', `run ${++runs}\n`, { overwrite: true });
+        return { response: 'Logged.', usage: { total_tokens: 10 } };
+      });
+      const cacheSet = jest.spyOn(service.cache, 'set');
+
+      const first = await service.query({ query: 'Log a run' });
+      const second = await service.query({ query: 'Log a run' });
+
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(cacheSet).not.toHaveBeenCalled();
+      expect(second).not.toHaveProperty('cache');
+      expect(second.request_id).not.toBe(first.request_id);
+      expect(second.file_changes).toEqual([{ id: 2, path: 'log.txt', operation: 'edit' }]);
+      expect(await read('log.txt')).toBe('run 2\n');
+    });
+
+    test('should only let single mode change files', async () => {
+      useService();
+      const call = jest.fn(async args => {
+        if (args.fileTools) {
+          await expect(args.fileTools.editFile('app.js', 'count = 1', 'count = 2')).rejects.toMatchObject({ code: 'WRITES_DISABLED' });
+        }
+        return { response: 'Looked only.', usage: { total_tokens: 10 } };
+      });
+      service.router.getAdapter('o3-pro').call = call;
+      service.router.getAdapter('o3-mini').call = call;
+
+      await service.query({ query: 'Bump the count', mode: 'consensus', models: ['o3-pro', 'o3-mini'] });
+      await service.query({ query: 'Bump the count', mode: 'critique', model: 'o3-pro' });
+
+      const withTools = call.mock.calls.filter(([args]) => args.fileTools);
+      expect(withTools).toHaveLength(4);
+      expect(withTools.every(([args]) => args.fileTools.allowWrites === false)).toBe(true);
+      expect(await read('app.js')).toBe('let count = 1;\n');
+    });
+
+    test('should not retry or fall back once a call changed files', async () => {
+      useService({ fallback_model: 'o3-mini', max_retries: 2, retry: { base_delay_ms: 1 } });
+
+      const call = service.router.getAdapter('o3-pro').call = jest.fn(async args => {
+        await args.fileTools.editFile('app.js', 'count = 1', 'count = 2');
+        const error = new Error('Server error');
+        error.code = 'API_ERROR';
+        error.status = 503;
+        throw error;
+      });
+      const fallback = service.router.getAdapter('o3-mini').call = jest.fn();
+
+      await expect(service.query({ query: 'Bump the count', model: 'o3-pro' })).rejects.toThrow('Server error');
+
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(fallback).not.toHaveBeenCalled();
+      expect(await read('app.js')).toBe('let count = 2;\n');
+    });
+  });
+});
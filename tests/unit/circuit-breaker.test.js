@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker } from '../../src/router/circuit-breaker.js';
+import { MetricsCollector } from '../../src/utils/metrics.js';
+
+describe('CircuitBreaker', () => {
+  let metrics;
+  let breaker;
+
+  async function recordCall(success) {
+    await metrics.record({ model: 'o3-pro', success });
+    if (success) {
+      breaker.recordSuccess();
+    } else {
+      breaker.recordFailure(new Error('Service unavailable'));
+    }
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-06-01T12:00:00Z') });
+    metrics = new MetricsCollector();
+    breaker = new CircuitBreaker('o3-pro', metrics, {
+      failure_threshold: 0.5,
+      min_requests: 4,
+      window_ms: 60000,
+      cooldown_ms: 30000
+    });
+  });
+
+  afterEach(() => {
+    metrics.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should stay closed until min_requests have been seen', async () => {
+    await recordCall(false);
+    await recordCall(false);
+    await recordCall(false);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('should open when the recent failure rate crosses the threshold', async () => {
+    await recordCall(true);
+    await recordCall(true);
+    await recordCall(false);
+    expect(breaker.state).toBe('closed');
+
+    await recordCall(false);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      failure_rate: 0.5,
+      recent_requests: 4,
+      retry_at: '2025-06-01T12:00:30.000Z'
+    });
+  });
+
+  test('should ignore failures outside the window', async () => {
+    await recordCall(false);
+    await recordCall(false);
+    await recordCall(false);
+    jest.advanceTimersByTime(61000);
+
+    await recordCall(false);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should let a single probe through after the cooldown', async () => {
+    for (let i = 0; i < 4; i++) {
+      await recordCall(false);
+    }
+    jest.advanceTimersByTime(30000);
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(false);
+
+    await recordCall(true);
+
+    expect(breaker.state).toBe('closed');
+    // The failures that opened the circuit no longer count against it
+    await recordCall(false);
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should reopen when the probe fails', async () => {
+    for (let i = 0; i < 4; i++) {
+      await recordCall(false);
+    }
+    jest.advanceTimersByTime(30000);
+    breaker.allowRequest();
+
+    await recordCall(false);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getState().retry_at).toBe('2025-06-01T12:01:00.000Z');
+  });
+});
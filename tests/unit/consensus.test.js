@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { ModelRouter } from '../../src/router/index.js';
+import { ConsensusMode } from '../../src/modes/consensus.js';
+
+function createMockAdapter(modelName) {
+  return { name: modelName, modelName, capabilities: ['reasoning'], call: jest.fn(), checkAvailability: jest.fn() };
+}
+
+describe('ConsensusMode', () => {
+  let router;
+  let adapters;
+  let consensus;
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+
+    router = new ModelRouter({
+      models: {
+        'o3-pro': { provider: 'openai', model_name: 'o3-pro', enabled: true },
+        'gpt-4.1': { provider: 'openai', model_name: 'gpt-4.1', enabled: true },
+        'o4-mini': { provider: 'openai', model_name: 'o4-mini', enabled: true }
+      },
+      settings: { default_model: 'o3-pro' }
+    });
+
+    adapters = {
+      'o3-pro': createMockAdapter('o3-pro'),
+      'gpt-4.1': createMockAdapter('gpt-4.1'),
+      'o4-mini': createMockAdapter('o4-mini')
+    };
+    for (const [modelId, adapter] of Object.entries(adapters)) {
+      router.adapters.set(modelId, adapter);
+    }
+
+    consensus = new ConsensusMode(router, { synthesis_model: 'o3-pro' });
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  test('should fan out to every model and synthesize their answers', async () => {
+    adapters['gpt-4.1'].call.mockResolvedValue({
+      response: 'Use Postgres', model: 'gpt-4.1', cost: 0.01,
+      usage: { input_tokens: 10, output_tokens: 20, total_tokens: 30 }
+    });
+    adapters['o4-mini'].call.mockResolvedValue({
+      response: 'Use SQLite', model: 'o4-mini', cost: 0.002,
+      usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15, reasoning_tokens: 3 }
+    });
+    adapters['o3-pro'].call.mockResolvedValue({
+      response: '## Agreement\n...', model: 'o3-pro', cost: 0.1,
+      usage: { input_tokens: 100, output_tokens: 50, total_tokens: 150 }
+    });
+
+    const result = await consensus.run({ query: 'Which database?', models: ['gpt-4.1', 'o4-mini'] });
+
+    expect(adapters['gpt-4.1'].call).toHaveBeenCalledWith(expect.objectContaining({ query: 'Which database?', model: 'gpt-4.1' }));
+    const synthesisQuery = adapters['o3-pro'].call.mock.calls[0][0].query;
+    expect(synthesisQuery).toContain('## Disagreement');
+    expect(synthesisQuery).toContain('### gpt-4.1\nUse Postgres');
+    expect(synthesisQuery).toContain('### o4-mini\nUse SQLite');
+
+    expect(result.response).toBe('## Agreement\n...');
+    expect(result.mode).toBe('consensus');
+    expect(result.usage).toEqual({ input_tokens: 120, output_tokens: 75, total_tokens: 195, reasoning_tokens: 3 });
+    expect(result.cost).toBeCloseTo(0.112);
+    expect(result.consensus.responses.map(r => [r.model_id, r.status])).toEqual([
+      ['gpt-4.1', 'succeeded'],
+      ['o4-mini', 'succeeded']
+    ]);
+  });
+
+  test('should synthesize the answers that succeeded when a model fails', async () => {
+    adapters['gpt-4.1'].call.mockResolvedValue({ response: 'Use Postgres', usage: { total_tokens: 30 }, cost: 0.01 });
+    adapters['o4-mini'].call.mockRejectedValue(Object.assign(new Error('Invalid request'), { code: 'API_ERROR', status: 400 }));
+    adapters['o3-pro'].call.mockResolvedValue({ response: 'Synthesis', usage: { total_tokens: 50 }, cost: 0.05 });
+
+    const result = await consensus.run({ query: 'Which database?', models: ['gpt-4.1', 'o4-mini'] });
+
+    expect(adapters['o3-pro'].call.mock.calls[0][0].query).toContain('### o4-mini\n(failed: Invalid request)');
+    expect(result.consensus.responses[1]).toEqual({
+      model_id: 'o4-mini',
+      status: 'failed',
+      error: 'Invalid request',
+      error_code: 'API_ERROR'
+    });
+    expect(result.usage.total_tokens).toBe(80);
+  });
+
+  test('should fail when every model fails', async () => {
+    adapters['gpt-4.1'].call.mockRejectedValue(new Error('down'));
+    adapters['o4-mini'].call.mockRejectedValue(new Error('also down'));
+
+    await expect(consensus.run({ query: 'Which database?', models: ['gpt-4.1', 'o4-mini'] }))
+      .rejects.toMatchObject({ code: 'CONSENSUS_FAILED' });
+    expect(adapters['o3-pro'].call).not.toHaveBeenCalled();
+  });
+
+  test('should validate the model list before calling anything', async () => {
+    await expect(consensus.run({ query: 'Q', models: ['gpt-4.1'] }))
+      .rejects.toThrow('Consensus mode needs at least two models');
+    await expect(consensus.run({ query: 'Q', models: ['gpt-4.1', 'claude-opus'] }))
+      .rejects.toThrow('Model not available: claude-opus');
+    expect(adapters['gpt-4.1'].call).not.toHaveBeenCalled();
+  });
+});
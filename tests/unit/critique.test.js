@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { ModelRouter } from '../../src/router/index.js';
+import { CritiqueMode } from '../../src/modes/critique.js';
+
+describe('CritiqueMode', () => {
+  let router;
+  let adapter;
+  let critique;
+
+  function reply(response, totalTokens, cost) {
+    return { response, model: 'o3-pro', usage: { input_tokens: totalTokens / 2, output_tokens: totalTokens / 2, total_tokens: totalTokens }, cost };
+  }
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+
+    router = new ModelRouter({
+      models: { 'o3-pro': { provider: 'openai', model_name: 'o3-pro', enabled: true } },
+      settings: { default_model: 'o3-pro' }
+    });
+    adapter = { name: 'o3-pro', modelName: 'o3-pro', capabilities: ['reasoning'], call: jest.fn() };
+    router.adapters.set('o3-pro', adapter);
+
+    critique = new CritiqueMode(router);
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  test('should draft, review and revise with per-pass usage', async () => {
+    adapter.call
+      .mockResolvedValueOnce(reply('Draft: use a mutex', 100, 0.1))
+      .mockResolvedValueOnce(reply('```json\n{"issues": [{"type": "missing_case", "severity": "high", "description": "Ignores re-entrancy"}]}\n```', 40, 0.04))
+      .mockResolvedValueOnce(reply('Revised: use a re-entrant lock', 120, 0.12));
+
+    const result = await critique.run({ query: 'How do I guard this cache?', enable_functions: true });
+
+    const [reviewArgs, revisionArgs] = [adapter.call.mock.calls[1][0], adapter.call.mock.calls[2][0]];
+    expect(reviewArgs.query).toContain('Draft: use a mutex');
+    expect(reviewArgs.enable_functions).toBe(true);
+    expect(revisionArgs.query).toContain('1. [high] missing_case: Ignores re-entrancy');
+    expect(revisionArgs.enable_functions).toBeUndefined();
+
+    expect(result.response).toBe('Revised: use a re-entrant lock');
+    expect(result.mode).toBe('critique');
+    expect(result.critique.revised).toBe(true);
+    expect(result.critique.issues).toEqual([
+      { type: 'missing_case', severity: 'high', description: 'Ignores re-entrancy' }
+    ]);
+    expect(result.critique.passes.map(pass => [pass.pass, pass.usage.total_tokens, pass.cost])).toEqual([
+      ['draft', 100, 0.1],
+      ['review', 40, 0.04],
+      ['revision', 120, 0.12]
+    ]);
+    expect(result.usage.total_tokens).toBe(260);
+    expect(result.cost).toBeCloseTo(0.26);
+  });
+
+  test('should keep the draft when the review finds no issues', async () => {
+    adapter.call
+      .mockResolvedValueOnce(reply('Solid draft', 100, 0.1))
+      .mockResolvedValueOnce(reply('{"issues": []}', 20, 0.02));
+
+    const result = await critique.run({ query: 'Is this correct?' });
+
+    expect(adapter.call).toHaveBeenCalledTimes(2);
+    expect(result.response).toBe('Solid draft');
+    expect(result.critique.revised).toBe(false);
+    expect(result.critique.passes).toHaveLength(2);
+  });
+
+  test('should keep a free-form review as a single issue', () => {
+    expect(critique.parseIssues('The second step is wrong.')).toEqual([
+      { type: 'error', severity: 'medium', description: 'The second step is wrong.' }
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { estimateTokens, estimateMessageTokens } from '../../src/utils/token-estimator.js';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+import { AnthropicAdapter } from '../../src/adapters/anthropic-adapter.js';
+import { O3ProService } from '../../src/o3-service.js';
+
+describe('Cost estimates', () => {
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test-key';
+  });
+
+  describe('token estimator', () => {
+    test('should count about four characters per token', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('a'.repeat(400))).toBe(100);
+      expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    test('should count wide characters as a token each', () => {
+      expect(estimateTokens('数据库分片')).toBe(5);
+    });
+
+    test('should add message framing to each message', () => {
+      expect(estimateMessageTokens([
+        { role: 'user', content: 'a'.repeat(40) },
+        { role: 'assistant', content: 'b'.repeat(40) }
+      ])).toBe(28);
+    });
+  });
+
+  describe('adapters', () => {
+    test('OpenAI reasoning models should estimate reasoning by level within max_tokens', () => {
+      const adapter = new OpenAIAdapter({
+        provider: 'openai',
+        model_name: 'o3-pro',
+        capabilities: ['reasoning'],
+        cost_per_1k_tokens: 0.06
+      });
+
+      const estimate = adapter.estimate({ query: 'a'.repeat(4000), context: 'b'.repeat(400), reasoning_level: 'high', max_tokens: 20000 });
+
+      expect(estimate.input_tokens).toBe(1104);
+      expect(estimate.output_tokens).toEqual({ min: 200, max: 20000 });
+      expect(estimate.reasoning_tokens).toEqual({ min: 8000, max: 80000 });
+      expect(estimate.cost).toEqual({
+        min: parseFloat(((1104 + 8200) / 1000 * 0.06).toFixed(4)),
+        max: parseFloat(((1104 + 20000) / 1000 * 0.06).toFixed(4))
+      });
+      expect(estimate).toMatchObject({ context_window: 200000, fits_context: true });
+    });
+
+    test('should report inputs that overflow the context window', () => {
+      const adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] });
+
+      expect(adapter.estimate({ query: 'a'.repeat(800000) }).fits_context).toBe(false);
+    });
+
+    test('Anthropic should estimate reasoning up to the thinking budget', () => {
+      const adapter = new AnthropicAdapter({
+        provider: 'anthropic',
+        model_name: 'claude-opus-4-1',
+        capabilities: ['reasoning'],
+        cost_per_1k_tokens: 0.075
+      });
+
+      const estimate = adapter.estimate({ query: 'Why?', reasoning_level: 'medium', max_tokens: 4000 });
+
+      expect(estimate.reasoning_tokens).toEqual({ min: 0, max: 16000 });
+      expect(estimate.output_tokens.max).toBe(4000);
+      expect(estimate.cost.max).toBe(parseFloat(((estimate.input_tokens + 20000) / 1000 * 0.075).toFixed(4)));
+    });
+  });
+
+  describe('O3ProService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new O3ProService({
+        models: {
+          'o3-pro': { provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'], cost_per_1k_tokens: 0.06 },
+          'claude-opus': { provider: 'anthropic', model_name: 'claude-opus-4-1', capabilities: ['reasoning'], cost_per_1k_tokens: 0.075 }
+        },
+        settings: {
+          default_model: 'o3-pro',
+          available_models: ['o3-pro'],
+          consensus: { models: ['o3-pro', 'claude-opus'], synthesis_model: 'o3-pro' }
+        }
+      });
+      service.router.callModel = jest.fn();
+    });
+
+    afterEach(() => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+    });
+
+    test('should answer dry runs with an estimate and no model call', async () => {
+      const result = await service.query({ query: 'Plan the migration', dry_run: true });
+      const estimate = JSON.parse(result.response);
+
+      expect(result.model).toBe('system');
+      expect(service.router.callModel).not.toHaveBeenCalled();
+      expect(estimate).toMatchObject({ dry_run: true, mode: 'single', fits_context: true });
+      expect(estimate.calls).toEqual([expect.objectContaining({ model_id: 'o3-pro' })]);
+      expect(estimate.cost).toEqual(estimate.calls[0].cost);
+    });
+
+    test('should estimate every call of a consensus query', async () => {
+      const estimate = JSON.parse((await service.estimate({ query: 'Plan the migration', mode: 'consensus' })).response);
+
+      expect(estimate.calls.map(call => [call.pass, call.model_id])).toEqual([
+        ['answer', 'o3-pro'],
+        ['answer', 'claude-opus'],
+        ['synthesis', 'o3-pro']
+      ]);
+      expect(estimate.cost.max).toBeCloseTo(estimate.calls.reduce((sum, call) => sum + call.cost.max, 0), 4);
+    });
+
+    test('should reject unknown models', async () => {
+      await expect(service.estimate({ query: 'Plan the migration', model: 'gpt-9' }))
+        .rejects.toMatchObject({ code: 'MODEL_NOT_AVAILABLE' });
+    });
+  });
+});
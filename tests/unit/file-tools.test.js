@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileTools } from '../../src/tools/file-tools.js';
+import { BaseAdapter } from '../../src/adapters/base-adapter.js';
+
+describe('FileTools.readFile', () => {
+  let dir;
+  let tools;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-read-'));
+    tools = new FileTools({ root: dir, max_read_bytes: 100 });
+
+    const lines = Array.from({ length: 50 }, (_, i) => `line ${i + 1}`);
+    await fs.writeFile(path.join(dir, 'long.txt'), lines.join('\n'));
+    await fs.writeFile(path.join(dir, 'short.txt'), 'alpha\nbeta\ngamma');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should read a range of lines and report the total line count', async () => {
+    const file = await tools.readFile('long.txt', { startLine: 10, endLine: 12 });
+
+    expect(file.content).toBe('10: line 10\n11: line 11\n12: line 12\n[Showing lines 10-12 of 50]');
+    expect(file).toMatchObject({ lineCount: 50, startLine: 10, endLine: 12, truncated: false, encoding: 'utf-8' });
+  });
+
+  test('should read a whole short file without a notice', async () => {
+    const file = await tools.readFile('short.txt', { endLine: 99 });
+
+    expect(file.content).toBe('1: alpha\n2: beta\n3: gamma');
+    expect(file.lineCount).toBe(3);
+  });
+
+  test('should stop at the byte limit and say where to continue', async () => {
+    const file = await tools.readFile('long.txt');
+
+    expect(file.truncated).toBe(true);
+    expect(file.endLine).toBe(9);
+    expect(file.content).toMatch(/^1: line 1\n[\s\S]*\n9: line 9\n\[Truncated at line 9 of 50 \(100 byte limit\)\. Continue from line 10\.\]$/);
+
+    const next = await tools.readFile('long.txt', { startLine: 10 });
+    expect(next.content.startsWith('10: line 10\n')).toBe(true);
+  });
+
+  test('should cut a single line longer than the limit', async () => {
+    await fs.writeFile(path.join(dir, 'bundle.min.js'), 'x'.repeat(500));
+
+    const file = await tools.readFile('bundle.min.js');
+
+    expect(file.content.split('\n')[0]).toBe(`1: ${'x'.repeat(97)}`);
+    expect(file.content).toContain('[Truncated at line 1 of 1');
+  });
+
+  test('should summarize binary files with a hex dump', async () => {
+    await fs.writeFile(path.join(dir, 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]));
+
+    const file = await tools.readFile('image.png');
+
+    expect(file).toMatchObject({ binary: true, size: 10, encoding: null });
+    expect(file.content).toBe(
+      '[Binary file, 10 bytes, not shown as text. Contents:]\n' +
+      '00000000: 89 50 4e 47 0d 0a 1a 0a 00 00                    .PNG......'
+    );
+  });
+
+  test('should decode UTF-16 and Latin-1 text', async () => {
+    await fs.writeFile(path.join(dir, 'utf16.txt'), Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('café', 'utf16le')]));
+    await fs.writeFile(path.join(dir, 'latin1.txt'), Buffer.from('café', 'latin1'));
+
+    expect(await tools.readFile('utf16.txt')).toMatchObject({ content: '1: café', encoding: 'utf-16le' });
+    expect(await tools.readFile('latin1.txt')).toMatchObject({ content: '1: café', encoding: 'latin1' });
+  });
+
+  test('should reject invalid ranges', async () => {
+    await expect(tools.readFile('short.txt', { startLine: 0 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+    await expect(tools.readFile('short.txt', { startLine: 3, endLine: 2 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+    await expect(tools.readFile('short.txt', { startLine: 4 })).rejects.toMatchObject({
+      message: 'Invalid line range for short.txt: the file has 3 lines'
+    });
+  });
+
+  test('should pass the model\'s line range through read_file', async () => {
+    const adapter = new BaseAdapter({ name: 'test' });
+
+    expect(await adapter.executeTool('read_file', { path: 'short.txt', start_line: 2, end_line: null }, tools))
+      .toBe('2: beta\n3: gamma\n[Showing lines 2-3 of 3]');
+  });
+});
@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileTools } from '../../src/tools/file-tools.js';
+import { BaseAdapter } from '../../src/adapters/base-adapter.js';
+import { createUnifiedDiff } from '../../src/utils/diff.js';
+
+describe('File writes', () => {
+  describe('createUnifiedDiff', () => {
+    test('should show changes with three lines of context', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n') + '\n';
+      const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h', 'i'].join('\n') + '\n';
+
+      expect(createUnifiedDiff(before, after, { oldLabel: 'a/x.txt', newLabel: 'b/x.txt' })).toBe([
+        '--- a/x.txt',
+        '+++ b/x.txt',
+        '@@ -2,7 +2,8 @@',
+        ' b',
+        ' c',
+        ' d',
+        '-e',
+        '+E',
+        ' f',
+        ' g',
+        ' h',
+        '+i',
+        ''
+      ].join('\n'));
+    });
+
+    test('should split distant changes into hunks', () => {
+      const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+      const changed = [...lines];
+      changed[1] = 'LINE 2';
+      changed[17] = 'LINE 18';
+
+      const diff = createUnifiedDiff(lines.join('\n'), changed.join('\n'));
+
+      expect(diff.match(/^@@.*@@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+    });
+
+    test('should diff new files and mark a missing final newline', () => {
+      expect(createUnifiedDiff('', 'one\ntwo', { oldLabel: '/dev/null', newLabel: 'b/new.txt' })).toBe(
+        '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+one\n+two\n\\ No newline at end of file\n'
+      );
+      expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+    });
+  });
+
+  describe('FileTools', () => {
+    let dir;
+    let tools;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-write-'));
+      await fs.mkdir(path.join(dir, 'src'));
+      await fs.writeFile(path.join(dir, 'src', 'app.js'), 'const a = 1;\nconst b = 1;\nexport { a, b };\n');
+      tools = new FileTools({ root: dir, allow_writes: true });
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should be read-only unless writes are allowed', async () => {
+      const readOnly = new FileTools({ root: dir });
+
+      await expect(readOnly.editFile('src/app.js', 'a = 1', 'a = 2')).rejects.toMatchObject({ code: 'WRITES_DISABLED' });
+      await expect(readOnly.createFile('new.js', '')).rejects.toMatchObject({ code: 'WRITES_DISABLED' });
+    });
+
+    test('should replace a unique match, back up the file and return a diff', async () => {
+      const result = await tools.editFile('src/app.js', 'const a = 1;', 'const a = 2;');
+
+      expect(await fs.readFile(path.join(dir, 'src', 'app.js'), 'utf-8')).toBe('const a = 2;\nconst b = 1;\nexport { a, b };\n');
+      expect(result.replacements).toBe(1);
+      expect(result.diff).toBe(
+        '--- a/src/app.js\n+++ b/src/app.js\n@@ -1,3 +1,3 @@\n-const a = 1;\n+const a = 2;\n const b = 1;\n export { a, b };\n'
+      );
+      expect(result.backup).toMatch(/^\.deepthink\/backups\/[^/]+\/src\/app\.js$/);
+      expect(await fs.readFile(path.join(dir, result.backup), 'utf-8')).toBe('const a = 1;\nconst b = 1;\nexport { a, b };\n');
+    });
+
+    test('should refuse ambiguous and missing matches', async () => {
+      await expect(tools.editFile('src/app.js', '= 1;', '= 2;')).rejects.toMatchObject({
+        code: 'AMBIGUOUS_MATCH',
+        message: expect.stringContaining('matches 2 places')
+      });
+      await expect(tools.editFile('src/app.js', 'const c', 'const d')).rejects.toMatchObject({ code: 'NO_MATCH' });
+
+      const result = await tools.editFile('src/app.js', '= 1;', '= 2;', { replaceAll: true });
+      expect(result.replacements).toBe(2);
+    });
+
+    test('should create files and refuse to overwrite without asking', async () => {
+      const result = await tools.createFile('src/lib/util.js', 'export const x = 1;\n');
+
+      expect(result).toMatchObject({ created: true, backup: null });
+      expect(result.diff).toContain('+++ b/src/lib/util.js');
+      await expect(tools.createFile('src/lib/util.js', 'x')).rejects.toMatchObject({ code: 'FILE_EXISTS' });
+
+      const overwritten = await tools.createFile('src/lib/util.js', 'export const x = 2;\n', { overwrite: true });
+      expect(overwritten).toMatchObject({ created: false, backup: expect.stringContaining('src/lib/util.js') });
+      expect(await fs.readFile(path.join(dir, 'src', 'lib', 'util.js'), 'utf-8')).toBe('export const x = 2;\n');
+    });
+
+    test('should keep writes inside the workspace rules', async () => {
+      await expect(tools.createFile('../escape.js', 'x')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      await expect(tools.createFile('.env', 'TOKEN=x')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should leave no temporary files behind', async () => {
+      await tools.editFile('src/app.js', 'const b = 1;', 'const b = 3;');
+
+      expect(await fs.readdir(path.join(dir, 'src'))).toEqual(['app.js']);
+    });
+  });
+
+  describe('model tools', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-write-'));
+      await fs.writeFile(path.join(dir, 'notes.md'), '# Notes\n');
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should only offer write tools when writes are allowed', () => {
+      const adapter = new BaseAdapter({ name: 'test' });
+      const names = tools => adapter.buildFunctionDefinitions(tools).map(definition => definition.name);
+
+      expect(names(new FileTools({ root: dir }))).not.toContain('edit_file');
+      expect(names(new FileTools({ root: dir, allow_writes: true }))).toEqual(
+        expect.arrayContaining(['edit_file', 'create_file'])
+      );
+      expect(adapter.getFileToolsInstructions(new FileTools({ root: dir, allow_writes: true }))).toContain('edit_file');
+    });
+
+    test('should return the diff or the error to the model', async () => {
+      const adapter = new BaseAdapter({ name: 'test' });
+      const tools = new FileTools({ root: dir, allow_writes: true });
+
+      expect(await adapter.executeTool('edit_file', { path: 'notes.md', old_str: '# Notes', new_str: '# Release notes' }, tools))
+        .toBe('Edited notes.md (1 replacement):\n--- a/notes.md\n+++ b/notes.md\n@@ -1,1 +1,1 @@\n-# Notes\n+# Release notes\n');
+      expect(await adapter.executeTool('create_file', { path: 'notes.md', content: '' }, tools))
+        .toBe('Error: notes.md already exists; use edit_file to change it, or set overwrite');
+    });
+  });
+});
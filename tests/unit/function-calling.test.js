@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+
+describe('OpenAIAdapter function calling', () => {
+  let adapter;
+  let fileTools;
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+
+    adapter = new OpenAIAdapter({
+      provider: 'openai',
+      model_name: 'o3-pro',
+      name: 'OpenAI O3 Pro',
+      capabilities: ['reasoning', 'function_calling']
+    });
+
+    adapter.client = {
+      responses: { create: jest.fn() },
+      chat: { completions: { create: jest.fn() } }
+    };
+
+    fileTools = {
+      readFile: jest.fn().mockResolvedValue({ content: '1: export const answer = 42;' }),
+      listDirectory: jest.fn(),
+      grep: jest.fn(),
+      glob: jest.fn()
+    };
+  });
+
+  test('should emit tool definitions in the flat Responses API format', () => {
+    const tools = adapter.buildToolDefinitions();
+
+    expect(tools.map(tool => tool.name)).toEqual(['read_file', 'list_directory', 'grep_search', 'find_files']);
+    for (const tool of tools) {
+      expect(tool.type).toBe('function');
+      expect(tool).not.toHaveProperty('function');
+      expect(tool.parameters.type).toBe('object');
+    }
+  });
+
+  test('should run the tool loop and return a trace of tool calls', async () => {
+    adapter.client.responses.create
+      .mockResolvedValueOnce({
+        model: 'o3-pro',
+        output: [
+          { type: 'function_call', name: 'read_file', arguments: '{"path":"src/answer.js"}', call_id: 'call_1' }
+        ],
+        usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120, output_tokens_details: { reasoning_tokens: 10 } }
+      })
+      .mockResolvedValueOnce({
+        model: 'o3-pro',
+        output_text: 'The answer is 42.',
+        output: [],
+        usage: { input_tokens: 150, output_tokens: 30, total_tokens: 180, output_tokens_details: { reasoning_tokens: 5 } }
+      });
+
+    const result = await adapter.call({
+      query: 'What does src/answer.js export?',
+      enable_functions: true,
+      fileTools
+    });
+
+    expect(fileTools.readFile).toHaveBeenCalledWith('src/answer.js', {});
+    expect(result.response).toBe('The answer is 42.');
+    expect(result.usage).toEqual({
+      input_tokens: 250,
+      output_tokens: 50,
+      total_tokens: 300,
+      reasoning_tokens: 15
+    });
+    expect(result.tool_calls).toHaveLength(1);
+    expect(result.tool_calls[0]).toMatchObject({
+      iteration: 1,
+      tool: 'read_file',
+      arguments: { path: 'src/answer.js' }
+    });
+
+    const secondRequest = adapter.client.responses.create.mock.calls[1][0];
+    expect(secondRequest.input).toContainEqual({
+      type: 'function_call_output',
+      call_id: 'call_1',
+      output: '1: export const answer = 42;'
+    });
+  });
+
+  test('should report tool failures back to the model instead of throwing', async () => {
+    fileTools.readFile.mockRejectedValue(new Error('ENOENT'));
+    adapter.client.responses.create
+      .mockResolvedValueOnce({
+        output: [{ type: 'function_call', name: 'read_file', arguments: '{"path":"missing.js"}', call_id: 'call_1' }]
+      })
+      .mockResolvedValueOnce({ output_text: 'The file does not exist.', output: [] });
+
+    const result = await adapter.call({ query: 'Read missing.js', enable_functions: true, fileTools });
+
+    expect(result.response).toBe('The file does not exist.');
+    expect(result.tool_calls[0].error).toBe('Error: ENOENT');
+  });
+
+  test('should skip the tool loop when functions are not enabled', async () => {
+    adapter.client.responses.create.mockResolvedValue({ output_text: 'Plain answer', output: [] });
+
+    const result = await adapter.call({ query: 'Hello' });
+
+    expect(result.response).toBe('Plain answer');
+    expect(result).not.toHaveProperty('tool_calls');
+    expect(adapter.client.responses.create.mock.calls[0][0]).not.toHaveProperty('tools');
+  });
+});
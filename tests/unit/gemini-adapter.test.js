@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { GeminiAdapter } from '../../src/adapters/google-adapter.js';
+
+describe('GeminiAdapter', () => {
+  let adapter;
+  let model;
+
+  beforeEach(() => {
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+
+    adapter = new GeminiAdapter({
+      provider: 'google',
+      model_name: 'gemini-2.5-pro',
+      name: 'Google Gemini 2.5 Pro',
+      capabilities: ['reasoning', 'function_calling'],
+      cost_per_1k_tokens: 0.01,
+      default_params: { max_tokens: 1000 }
+    });
+
+    model = { generateContent: jest.fn() };
+    adapter.client = { getGenerativeModel: jest.fn(() => model) };
+  });
+
+  test('should map reasoning_level to a thinking budget and report usage', async () => {
+    model.generateContent.mockResolvedValue({
+      response: {
+        candidates: [{
+          finishReason: 'STOP',
+          content: { role: 'model', parts: [{ text: 'thinking...', thought: true }, { text: 'Answer' }] }
+        }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 85, totalTokenCount: 100 }
+      }
+    });
+
+    const result = await adapter.call({ query: 'Why?', reasoning_level: 'low' });
+    const modelParams = adapter.client.getGenerativeModel.mock.calls[0][0];
+
+    expect(modelParams.generationConfig.thinkingConfig).toEqual({ thinkingBudget: 1024 });
+    expect(modelParams.generationConfig.maxOutputTokens).toBe(2024);
+    expect(result.response).toBe('Answer');
+    expect(result.usage).toEqual({
+      input_tokens: 10,
+      output_tokens: 90,
+      total_tokens: 100,
+      reasoning_tokens: 85
+    });
+    expect(result.cost).toBeCloseTo(0.001);
+  });
+
+  test('should execute function calls through FileTools', async () => {
+    const fileTools = {
+      grep: jest.fn().mockResolvedValue({ matches: [{ file: 'src/a.js', line: 3, content: 'TODO' }] })
+    };
+
+    model.generateContent
+      .mockResolvedValueOnce({
+        response: {
+          candidates: [{
+            finishReason: 'STOP',
+            content: { role: 'model', parts: [{ functionCall: { name: 'grep_search', args: { pattern: 'TODO' } } }] }
+          }]
+        }
+      })
+      .mockResolvedValueOnce({
+        response: {
+          candidates: [{ finishReason: 'STOP', content: { role: 'model', parts: [{ text: 'One TODO in src/a.js' }] } }]
+        }
+      });
+
+    const result = await adapter.call({ query: 'Find TODOs', enable_functions: true, fileTools });
+    const { contents } = model.generateContent.mock.calls[1][0];
+
+    expect(contents[2]).toEqual({
+      role: 'function',
+      parts: [{ functionResponse: { name: 'grep_search', response: { content: 'src/a.js:3: TODO' } } }]
+    });
+    expect(result.response).toBe('One TODO in src/a.js');
+    expect(result.tool_calls[0].tool).toBe('grep_search');
+  });
+
+  test('should raise PROMPT_BLOCKED when the prompt is blocked', async () => {
+    model.generateContent.mockResolvedValue({
+      response: { promptFeedback: { blockReason: 'SAFETY', safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT' }] } }
+    });
+
+    await expect(adapter.call({ query: 'blocked' })).rejects.toMatchObject({
+      code: 'PROMPT_BLOCKED',
+      blockReason: 'SAFETY',
+      safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT' }]
+    });
+  });
+
+  test('should use distinct codes for blocked candidates', async () => {
+    model.generateContent.mockResolvedValue({
+      response: { candidates: [{ finishReason: 'RECITATION', content: { parts: [] } }] }
+    });
+    await expect(adapter.call({ query: 'recite' })).rejects.toMatchObject({ code: 'RECITATION_BLOCKED' });
+
+    model.generateContent.mockResolvedValue({
+      response: { candidates: [{ finishReason: 'SAFETY', safetyRatings: [] }] }
+    });
+    await expect(adapter.call({ query: 'unsafe' })).rejects.toMatchObject({ code: 'SAFETY_BLOCKED' });
+  });
+
+  test('should surface RetryInfo from rate limit errors', async () => {
+    model.generateContent.mockRejectedValue(Object.assign(new Error('[429 Too Many Requests] Resource exhausted'), {
+      status: 429,
+      errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '17s' }]
+    }));
+
+    await expect(adapter.call({ query: 'Hi' })).rejects.toMatchObject({
+      code: 'RATE_LIMIT_EXCEEDED',
+      status: 429,
+      retryAfterMs: 17000
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobManager } from '../../src/jobs/job-manager.js';
+import { JobStore } from '../../src/jobs/job-store.js';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('Background jobs', () => {
+  describe('JobManager', () => {
+    let service;
+    let manager;
+    let pending;
+
+    beforeEach(() => {
+      pending = deferred();
+      service = {
+        query: jest.fn(async (args) => {
+          args.signal.addEventListener('abort', () => {
+            pending.reject(Object.assign(new Error('Request cancelled by the client'), { code: 'CANCELLED' }));
+          });
+          return pending.promise;
+        })
+      };
+      manager = new JobManager(service);
+    });
+
+    test('should start a job and run the query in background mode', () => {
+      const status = manager.start({ query: 'Prove it', model: 'o3-pro', fileTools: {} });
+
+      expect(status).toMatchObject({ status: 'queued', model: 'o3-pro' });
+      expect(status.job_id).toMatch(/^job_/);
+
+      const args = service.query.mock.calls[0][0];
+      expect(args).toMatchObject({ query: 'Prove it', background: true });
+      expect(args.signal).toBeInstanceOf(AbortSignal);
+      expect(manager.getJob(status.job_id).args).not.toHaveProperty('fileTools');
+    });
+
+    test('should reject a job without a query', () => {
+      expect(() => manager.start({ query: '  ' })).toThrow('Query is required');
+      expect(service.query).not.toHaveBeenCalled();
+    });
+
+    test('should stay queued until the router starts the call', () => {
+      const { job_id: jobId } = manager.start({ query: 'Prove it', priority: 'high' });
+      const { onProgress } = service.query.mock.calls[0][0];
+
+      onProgress({ model: 'o3-pro', phase: 'queued' });
+      expect(manager.getStatus(jobId)).toMatchObject({ status: 'queued', priority: 'high', started_at: null });
+
+      onProgress({ model: 'o3-pro', phase: 'started' });
+      expect(manager.getStatus(jobId).status).toBe('running');
+      expect(manager.getStatus(jobId).started_at).not.toBeNull();
+    });
+
+    test('should report progress while running', () => {
+      const { job_id: jobId } = manager.start({ query: 'Prove it' });
+      const { onProgress } = service.query.mock.calls[0][0];
+
+      onProgress({ model: 'o3-pro', phase: 'in_progress', response_id: 'resp_1' });
+      onProgress({ phase: 'output', partial_text: 'x'.repeat(400), usage: { reasoning_tokens: 800 } });
+
+      const { progress } = manager.getStatus(jobId);
+      expect(progress).toMatchObject({ model: 'o3-pro', phase: 'output', response_id: 'resp_1' });
+      expect(progress.usage.reasoning_tokens).toBe(800);
+      expect(progress.partial_text).toHaveLength(301);
+    });
+
+    test('should store the result with usage and cost once finished', async () => {
+      const { job_id: jobId } = manager.start({ query: 'Prove it' });
+      pending.resolve({ response: 'QED', model_id: 'o3-pro', usage: { total_tokens: 120 }, cost: 0.24 });
+      await manager.running.get(jobId).promise;
+
+      const status = manager.getStatus(jobId);
+      expect(status).toMatchObject({ status: 'succeeded', model: 'o3-pro', usage: { total_tokens: 120 }, cost: 0.24 });
+      expect(status).not.toHaveProperty('progress');
+      expect(manager.getJob(jobId).result.response).toBe('QED');
+    });
+
+    test('should record failures with their error code', async () => {
+      const { job_id: jobId } = manager.start({ query: 'Prove it' });
+      pending.reject(Object.assign(new Error('Rate limit exceeded'), { code: 'RATE_LIMIT_EXCEEDED' }));
+      await manager.running.get(jobId).promise;
+
+      expect(manager.getStatus(jobId)).toMatchObject({
+        status: 'failed',
+        error: { code: 'RATE_LIMIT_EXCEEDED', message: 'Rate limit exceeded' }
+      });
+    });
+
+    test('should cancel a running job', async () => {
+      const { job_id: jobId } = manager.start({ query: 'Prove it' });
+
+      const status = await manager.cancel(jobId);
+
+      expect(status).toMatchObject({ status: 'cancelled', error: { code: 'CANCELLED' } });
+      expect(manager.running.has(jobId)).toBe(false);
+      expect((await manager.cancel(jobId)).message).toBe('Job already cancelled');
+    });
+
+    test('should throw JOB_NOT_FOUND for unknown jobs', () => {
+      expect(() => manager.getStatus('job_missing')).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+    });
+  });
+
+  describe('JobStore', () => {
+    test('should drop finished jobs past retention, keeping running ones', () => {
+      const store = new JobStore({ retention_ms: 1000 });
+      const old = new Date(Date.now() - 5000).toISOString();
+      store.create({ id: 'a', status: 'succeeded', finished_at: old });
+      store.create({ id: 'b', status: 'running', finished_at: null });
+
+      store.prune();
+
+      expect(store.list().map(job => job.id)).toEqual(['b']);
+    });
+
+    test('should evict the oldest finished job when full', () => {
+      const store = new JobStore({ max_jobs: 2 });
+      const now = new Date().toISOString();
+      store.create({ id: 'a', status: 'failed', finished_at: now });
+      store.create({ id: 'b', status: 'running', finished_at: null });
+      store.create({ id: 'c', status: 'running', finished_at: null });
+
+      expect(store.list().map(job => job.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('persistence', () => {
+    let dir;
+    let stateFile;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-jobs-'));
+      stateFile = path.join(dir, 'jobs.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should resume queued jobs and fail interrupted ones after a restart', async () => {
+      const first = new JobManager({ query: jest.fn(() => new Promise(() => {})) }, { state_file: stateFile });
+      const queued = first.start({ query: 'Waiting in line' });
+      const running = first.start({ query: 'Already running' });
+      first.recordProgress(running.job_id, { phase: 'started' });
+      await first.store.saving;
+
+      const service = { query: jest.fn().mockResolvedValue({ response: 'Done', model_id: 'o3-pro', usage: {} }) };
+      const second = new JobManager(service, { state_file: stateFile });
+
+      expect(await second.resume()).toBe(1);
+      expect(service.query).toHaveBeenCalledWith(expect.objectContaining({ query: 'Waiting in line' }));
+
+      await Promise.all([...second.running.values()].map(job => job.promise));
+      expect(second.getStatus(queued.job_id).status).toBe('succeeded');
+      expect(second.getStatus(running.job_id)).toMatchObject({
+        status: 'failed',
+        error: { code: 'JOB_INTERRUPTED' }
+      });
+      await second.store.saving;
+    });
+
+    test('should not keep the query or context of finished jobs', async () => {
+      const service = { query: jest.fn().mockResolvedValue({ response: 'Done', model_id: 'o3-pro', usage: {} }) };
+      const manager = new JobManager(service, { state_file: stateFile });
+      const { job_id: jobId } = manager.start({ query: 'Is hunter2 strong?', context: 'password=hunter2', model: 'o3-pro' });
+
+      await manager.running.get(jobId).promise;
+      await manager.store.saving;
+
+      expect(manager.getJob(jobId).args).toEqual({ model: 'o3-pro' });
+      expect(await fs.readFile(stateFile, 'utf8')).not.toContain('hunter2');
+      expect(manager.getStatus(jobId)).toMatchObject({ status: 'succeeded', model: 'o3-pro' });
+    });
+
+    test('should start empty without a state file', async () => {
+      const manager = new JobManager({ query: jest.fn() }, { state_file: stateFile });
+
+      expect(await manager.resume()).toBe(0);
+      expect(manager.list()).toEqual([]);
+    });
+  });
+
+  describe('OpenAIAdapter background mode', () => {
+    let adapter;
+
+    beforeEach(() => {
+      process.env.OPENAI_API_KEY = 'sk-test-key';
+      adapter = new OpenAIAdapter({
+        provider: 'openai',
+        model_name: 'o3-pro',
+        capabilities: ['reasoning'],
+        background_poll_interval_ms: 1
+      });
+      adapter.client = {
+        responses: {
+          create: jest.fn().mockResolvedValue({ id: 'resp_1', status: 'queued' }),
+          retrieve: jest.fn(),
+          cancel: jest.fn().mockResolvedValue({})
+        }
+      };
+    });
+
+    test('should create a background response and poll until it completes', async () => {
+      adapter.client.responses.retrieve
+        .mockResolvedValueOnce({ id: 'resp_1', status: 'in_progress' })
+        .mockResolvedValueOnce({
+          id: 'resp_1',
+          status: 'completed',
+          output_text: 'Done',
+          usage: { input_tokens: 10, output_tokens: 20, output_tokens_details: { reasoning_tokens: 15 } }
+        });
+      const onProgress = jest.fn();
+
+      const result = await adapter.call({ query: 'Think', background: true, onProgress });
+
+      expect(result.response).toBe('Done');
+      expect(adapter.client.responses.create.mock.calls[0][0]).toMatchObject({ background: true });
+      expect(adapter.client.responses.retrieve).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'queued', response_id: 'resp_1' }));
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ phase: 'completed' }));
+    });
+
+    test('should fail when the background response fails', async () => {
+      adapter.client.responses.retrieve.mockResolvedValue({
+        id: 'resp_1',
+        status: 'failed',
+        error: { message: 'Server overloaded' }
+      });
+
+      await expect(adapter.call({ query: 'Think', background: true })).rejects.toThrow('Server overloaded');
+    });
+
+    test('should cancel the OpenAI run when aborted', async () => {
+      const controller = new AbortController();
+      adapter.client.responses.retrieve.mockImplementation(async () => {
+        controller.abort();
+        return { id: 'resp_1', status: 'in_progress' };
+      });
+
+      await expect(adapter.call({ query: 'Think', background: true, signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapter.client.responses.cancel).toHaveBeenCalledWith('resp_1');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import { OpenAICompatibleAdapter } from '../../src/adapters/openai-compatible-adapter.js';
+
+describe('OpenAICompatibleAdapter', () => {
+  const baseConfig = {
+    provider: 'openai_compatible',
+    base_url: 'http://localhost:11434/v1',
+    model_name: 'o3-lookalike:7b',
+    name: 'Local model',
+    capabilities: ['coding']
+  };
+
+  let savedKey;
+
+  beforeEach(() => {
+    savedKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  afterEach(() => {
+    if (savedKey !== undefined) process.env.OPENAI_API_KEY = savedKey;
+  });
+
+  test('should not require OPENAI_API_KEY', () => {
+    const adapter = new OpenAICompatibleAdapter(baseConfig);
+
+    expect(adapter.client.baseURL).toBe('http://localhost:11434/v1');
+    expect(adapter.client.apiKey).toBe('not-needed');
+  });
+
+  test('should read the API key from api_key_env', () => {
+    process.env.LOCAL_LLM_KEY = 'local-secret';
+    const adapter = new OpenAICompatibleAdapter({ ...baseConfig, api_key_env: 'LOCAL_LLM_KEY' });
+
+    expect(adapter.client.apiKey).toBe('local-secret');
+    delete process.env.LOCAL_LLM_KEY;
+  });
+
+  test('should require a base_url', () => {
+    expect(() => new OpenAICompatibleAdapter({ ...baseConfig, base_url: undefined }))
+      .toThrow('has no base_url');
+  });
+
+  test('should use Chat Completions regardless of the model name', async () => {
+    const adapter = new OpenAICompatibleAdapter(baseConfig);
+    adapter.client = {
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({
+            model: 'o3-lookalike:7b',
+            choices: [{ message: { content: 'Local answer' } }],
+            usage: { prompt_tokens: 5, completion_tokens: 7, total_tokens: 12 }
+          })
+        }
+      }
+    };
+
+    const result = await adapter.call({ query: 'Hi', enable_functions: true, fileTools: {} });
+    const request = adapter.client.chat.completions.create.mock.calls[0][0];
+
+    expect(request).not.toHaveProperty('tools');
+    expect(request.temperature).toBeDefined();
+    expect(result.response).toBe('Local answer');
+    expect(result.usage.total_tokens).toBe(12);
+  });
+
+  test('should discover served models in checkAvailability', async () => {
+    const adapter = new OpenAICompatibleAdapter(baseConfig);
+    adapter.client = {
+      models: { list: jest.fn().mockResolvedValue({ data: [{ id: 'o3-lookalike:7b' }, { id: 'llama3:8b' }] }) }
+    };
+
+    await expect(adapter.checkAvailability()).resolves.toEqual({
+      available: true,
+      message: 'OK',
+      models_found: ['o3-lookalike:7b', 'llama3:8b']
+    });
+  });
+});
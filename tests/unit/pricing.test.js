@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import { resolvePricing, priceUsage, sumCostBreakdowns } from '../../src/utils/pricing.js';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+import { AnthropicAdapter } from '../../src/adapters/anthropic-adapter.js';
+import { ModelSelector } from '../../src/router/model-selector.js';
+
+describe('Pricing', () => {
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test-key';
+  });
+
+  describe('resolvePricing', () => {
+    const pricing = [
+      { effective_from: '2025-01-01', input: 10, output: 40 },
+      { effective_from: new Date('2025-06-10'), input: 20, cached_input: 5, output: 80, reasoning: 60 }
+    ];
+
+    test('should pick the latest rates in effect', () => {
+      expect(resolvePricing(pricing, new Date('2025-03-01'))).toEqual({
+        effective_from: '2025-01-01',
+        input: 10,
+        cached_input: 10,
+        output: 40,
+        reasoning: 40
+      });
+      expect(resolvePricing(pricing, new Date('2025-06-10T08:00:00Z'))).toMatchObject({ effective_from: '2025-06-10', input: 20 });
+    });
+
+    test('should have no rates before the first effective date or without pricing', () => {
+      expect(resolvePricing(pricing, new Date('2024-12-31'))).toBeNull();
+      expect(resolvePricing(undefined)).toBeNull();
+    });
+
+    test('should accept a single undated entry', () => {
+      expect(resolvePricing({ input: 1, output: 2 })).toMatchObject({ effective_from: null, input: 1, output: 2 });
+    });
+  });
+
+  describe('priceUsage', () => {
+    test('should price cached input and reasoning at their own rates', () => {
+      const breakdown = priceUsage(
+        { input_tokens: 10000, cached_input_tokens: 4000, output_tokens: 5000, reasoning_tokens: 3000 },
+        { input: 20, cached_input: 5, output: 80, reasoning: 60 }
+      );
+
+      expect(breakdown).toEqual({
+        input: 0.12,
+        cached_input: 0.02,
+        output: 0.16,
+        reasoning: 0.18,
+        total: 0.48
+      });
+    });
+
+    test('should add up breakdowns, skipping responses without one', () => {
+      expect(sumCostBreakdowns([
+        { cost_breakdown: { input: 0.1, cached_input: 0, output: 0.2, reasoning: 0.3, total: 0.6 } },
+        { cost: 0.5 },
+        { cost_breakdown: { input: 0.2, cached_input: 0.1, output: 0, reasoning: 0, total: 0.3 } }
+      ])).toEqual({ input: 0.3, cached_input: 0.1, output: 0.2, reasoning: 0.3, total: 0.9 });
+      expect(sumCostBreakdowns([{ cost: 0.5 }])).toBeNull();
+    });
+  });
+
+  describe('adapters', () => {
+    test('OpenAI should report a cost breakdown from the pricing table', async () => {
+      const adapter = new OpenAIAdapter({
+        provider: 'openai',
+        model_name: 'o3-pro',
+        capabilities: ['reasoning'],
+        cost_per_1k_tokens: 1,
+        pricing: [{ effective_from: '2025-06-10', input: 20, cached_input: 5, output: 80 }]
+      });
+      adapter.client = {
+        responses: {
+          create: jest.fn().mockResolvedValue({
+            id: 'resp_1',
+            output_text: 'Answer',
+            usage: {
+              input_tokens: 10000,
+              input_tokens_details: { cached_tokens: 4000 },
+              output_tokens: 5000,
+              output_tokens_details: { reasoning_tokens: 3000 },
+              total_tokens: 15000
+            }
+          })
+        }
+      };
+
+      const result = await adapter.call({ query: 'Why?' });
+
+      expect(result.usage.cached_input_tokens).toBe(4000);
+      expect(result.cost_breakdown).toEqual({ input: 0.12, cached_input: 0.02, output: 0.16, reasoning: 0.24, total: 0.54 });
+      expect(result.cost).toBe(0.54);
+    });
+
+    test('Anthropic should count cache reads as cached input', async () => {
+      const adapter = new AnthropicAdapter({
+        provider: 'anthropic',
+        model_name: 'claude-opus-4-1',
+        pricing: { input: 15, cached_input: 1.5, output: 75 }
+      });
+      adapter.client = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            content: [{ type: 'text', text: 'Answer' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 2000, cache_read_input_tokens: 8000, output_tokens: 1000 }
+          })
+        }
+      };
+
+      const result = await adapter.call({ query: 'Why?' });
+
+      expect(result.usage).toMatchObject({ input_tokens: 10000, cached_input_tokens: 8000, total_tokens: 11000 });
+      expect(result.cost_breakdown).toMatchObject({ input: 0.03, cached_input: 0.012, output: 0.075, total: 0.117 });
+    });
+
+    test('should keep the flat rate for models without pricing', () => {
+      const adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'gpt-4.1', cost_per_1k_tokens: 0.01 });
+
+      expect(adapter.formatResponse('Answer', { prompt_tokens: 1000, completion_tokens: 1000 })).not.toHaveProperty('cost_breakdown');
+      expect(adapter.calculateCost({ prompt_tokens: 1000, completion_tokens: 1000 })).toBeCloseTo(0.02);
+    });
+  });
+
+  test('model selection should rank costs from the pricing table', () => {
+    const selector = new ModelSelector({
+      models: {
+        'o3-pro': { pricing: { input: 20, output: 80 } },
+        'gpt-4.1': { cost_per_1k_tokens: 0.01 }
+      }
+    });
+
+    expect(selector.getCost('o3-pro')).toBe(0.05);
+    expect(selector.getCost('gpt-4.1')).toBe(0.01);
+  });
+});
@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { ConcurrencyLimiter } from '../../src/router/concurrency-limiter.js';
+import { RateLimiter } from '../../src/security/rate-limiter.js';
+
+describe('Request queueing', () => {
+  describe('ConcurrencyLimiter', () => {
+    test('should let calls through up to the model limit', async () => {
+      const limiter = new ConcurrencyLimiter({ 'o3-pro': 2 });
+
+      await limiter.acquire('o3-pro');
+      await limiter.acquire('o3-pro');
+
+      expect(limiter.hasCapacity('o3-pro')).toBe(false);
+      expect(limiter.hasCapacity('gpt-4o')).toBe(true);
+      expect(limiter.getState()['o3-pro']).toEqual({ active: 2, waiting: 0, limit: 2 });
+    });
+
+    test('should hand freed slots out by priority, then in arrival order', async () => {
+      const limiter = new ConcurrencyLimiter({}, 1);
+      const release = await limiter.acquire('o3-pro');
+      const order = [];
+
+      const waiters = [
+        ['low', 'low'],
+        ['normal-1', 'normal'],
+        ['high', 'high'],
+        ['normal-2', undefined]
+      ].map(([name, priority]) => limiter.acquire('o3-pro', { priority }).then(done => {
+        order.push(name);
+        done();
+      }));
+
+      expect(limiter.getState()['o3-pro'].waiting).toBe(4);
+      release();
+      await Promise.all(waiters);
+
+      expect(order).toEqual(['high', 'normal-1', 'normal-2', 'low']);
+      expect(limiter.getState()['o3-pro']).toMatchObject({ active: 0, waiting: 0 });
+    });
+
+    test('should leave the line when the signal aborts', async () => {
+      const limiter = new ConcurrencyLimiter({}, 1);
+      const release = await limiter.acquire('o3-pro');
+      const controller = new AbortController();
+
+      const waiting = limiter.acquire('o3-pro', { signal: controller.signal });
+      controller.abort();
+
+      await expect(waiting).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(limiter.getState()['o3-pro'].waiting).toBe(0);
+
+      release();
+      expect(limiter.hasCapacity('o3-pro')).toBe(true);
+    });
+
+    test('should reject an already aborted signal without touching the line', async () => {
+      const limiter = new ConcurrencyLimiter({}, 1);
+      const release = await limiter.acquire('o3-pro');
+      const first = limiter.acquire('o3-pro');
+
+      await expect(limiter.acquire('o3-pro', { signal: AbortSignal.abort() })).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(limiter.getState()['o3-pro'].waiting).toBe(1);
+
+      release();
+      const done = await first;
+      expect(limiter.getState()['o3-pro']).toMatchObject({ active: 1, waiting: 0 });
+      done();
+    });
+
+    test('should ignore a second release', async () => {
+      const limiter = new ConcurrencyLimiter({}, 1);
+      const release = await limiter.acquire('o3-pro');
+
+      release();
+      release();
+
+      expect(limiter.getState()['o3-pro'].active).toBe(0);
+    });
+  });
+
+  describe('RateLimiter.acquire', () => {
+    let limiter;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      limiter = new RateLimiter({ burst_limit: 1, per_user_requests_per_minute: 50 });
+    });
+
+    afterEach(() => {
+      limiter.destroy();
+      jest.useRealTimers();
+    });
+
+    test('should wait for the burst window instead of rejecting', async () => {
+      await limiter.acquire('client');
+
+      let admitted = false;
+      const waiting = limiter.acquire('client').then(() => { admitted = true; });
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(admitted).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(6000);
+      await waiting;
+      expect(admitted).toBe(true);
+      expect(limiter.getUsage('client').sustained.count).toBe(2);
+    });
+
+    test('should admit waiting requests in arrival order', async () => {
+      await limiter.acquire('client');
+      const order = [];
+
+      const first = limiter.acquire('client').then(() => order.push('first'));
+      const second = limiter.acquire('client').then(() => order.push('second'));
+
+      await jest.advanceTimersByTimeAsync(25000);
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    test('should still reject when the wait would exceed max_wait_ms', async () => {
+      limiter.updateLimits({ max_wait_ms: 1000 });
+      await limiter.acquire('client');
+
+      await expect(limiter.acquire('client')).rejects.toThrow('Burst rate limit exceeded');
+    });
+
+    test('should stop waiting when the signal aborts', async () => {
+      await limiter.acquire('client');
+      const controller = new AbortController();
+
+      const waiting = limiter.acquire('client', { signal: controller.signal });
+      const assertion = expect(waiting).rejects.toMatchObject({ code: 'CANCELLED' });
+      controller.abort();
+      await jest.advanceTimersByTimeAsync(0);
+
+      await assertion;
+    });
+  });
+});
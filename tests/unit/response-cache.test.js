@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ResponseCache } from '../../src/utils/response-cache.js';
+import { O3ProService } from '../../src/o3-service.js';
+
+describe('Response cache', () => {
+  describe('ResponseCache', () => {
+    test('should key on the normalized query and answer-shaping arguments', () => {
+      const cache = new ResponseCache({ ttlSeconds: 300 });
+      const key = cache.getKey({ query: 'Why  is\nthe sky blue?', model: 'o3-pro', reasoning_level: 'high' });
+
+      expect(cache.getKey({ query: ' Why is the sky blue? ', model: 'o3-pro', reasoning_level: 'high' })).toBe(key);
+      expect(cache.getKey({ query: 'Why is the sky blue?', model: 'o3-pro', reasoning_level: 'low' })).not.toBe(key);
+      expect(cache.getKey({ query: 'Why is the sky blue?', model: 'o3-pro', reasoning_level: 'high', max_tokens: 100 })).not.toBe(key);
+      expect(cache.getKey({ query: 'Why is the sky blue?', model: 'o3-pro', reasoning_level: 'high', context: 'Physics' })).not.toBe(key);
+    });
+
+    test('should only cache when enabled and outside threads', () => {
+      expect(new ResponseCache().isCacheable({ query: 'Hi' })).toBe(false);
+
+      const cache = new ResponseCache({ ttlSeconds: 300 });
+      expect(cache.isCacheable({ query: 'Hi' })).toBe(true);
+      expect(cache.isCacheable({ query: 'Hi', thread_id: 'design' })).toBe(false);
+    });
+
+    test('should expire entries after the TTL', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      const cache = new ResponseCache({ ttlSeconds: 300 });
+
+      await cache.set('key', { response: 'Blue' });
+      now.mockReturnValue(1000000 + 299000);
+      expect((await cache.get('key')).result.response).toBe('Blue');
+
+      now.mockReturnValue(1000000 + 300000);
+      expect(await cache.get('key')).toBeNull();
+      now.mockRestore();
+    });
+
+    test('should evict the least recently used entry', async () => {
+      const cache = new ResponseCache({ ttlSeconds: 300, max_entries: 2 });
+
+      await cache.set('a', { response: 'A' });
+      await cache.set('b', { response: 'B' });
+      await cache.get('a');
+      await cache.set('c', { response: 'C' });
+
+      expect(await cache.get('a')).not.toBeNull();
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('c')).not.toBeNull();
+    });
+
+    test('should serve entries from disk after a restart', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-cache-'));
+
+      try {
+        await new ResponseCache({ ttlSeconds: 300, directory: dir }).set('key', { response: 'Blue' });
+        const restarted = new ResponseCache({ ttlSeconds: 300, directory: dir });
+
+        expect((await restarted.get('key')).result.response).toBe('Blue');
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('O3ProService', () => {
+    let service;
+
+    beforeEach(() => {
+      process.env.OPENAI_API_KEY = 'sk-test-key';
+      service = new O3ProService({
+        models: {
+          'o3-pro': { provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] }
+        },
+        settings: { default_model: 'o3-pro', cache_ttl: 300 }
+      });
+      service.router.route = jest.fn().mockResolvedValue({
+        response: 'Blue',
+        model: 'o3-pro',
+        model_id: 'o3-pro',
+        usage: { total_tokens: 100 },
+        cost: 0.4
+      });
+    });
+
+    afterEach(() => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+    });
+
+    test('should answer a repeated query from the cache', async () => {
+      const first = await service.query({ query: 'Why is the sky blue?' });
+      const second = await service.query({ query: 'Why is the sky blue?' });
+
+      expect(service.router.route).toHaveBeenCalledTimes(1);
+      expect(first.cache).toEqual({ status: 'miss' });
+      expect(second).toMatchObject({ response: 'Blue', cost: 0, cache: { status: 'hit', saved_cost: 0.4 } });
+
+      const { cache } = await service.metrics.getStats();
+      expect(cache).toMatchObject({ hits: 1, misses: 1, bypassed: 0, hit_rate: '50.00', saved_cost: '0.4000' });
+    });
+
+    test('should skip the cache on bypass and replace the entry on refresh', async () => {
+      await service.query({ query: 'Why is the sky blue?' });
+      service.router.route.mockResolvedValue({ response: 'Rayleigh scattering', model: 'o3-pro', model_id: 'o3-pro', cost: 0.4 });
+
+      const bypassed = await service.query({ query: 'Why is the sky blue?', cache: 'bypass' });
+      expect(bypassed.cache).toEqual({ status: 'bypass' });
+      expect((await service.query({ query: 'Why is the sky blue?' })).response).toBe('Blue');
+
+      await service.query({ query: 'Why is the sky blue?', cache: 'refresh' });
+      expect((await service.query({ query: 'Why is the sky blue?' })).response).toBe('Rayleigh scattering');
+
+      expect(service.router.route).toHaveBeenCalledTimes(3);
+      expect((await service.metrics.getStats()).cache.bypassed).toBe(2);
+    });
+
+    test('should reject unknown cache options', async () => {
+      await expect(service.query({ query: 'Why is the sky blue?', cache: 'forever' }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+    });
+  });
+});
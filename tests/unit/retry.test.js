@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import { RetryPolicy, parseRetryAfter } from '../../src/utils/retry.js';
+
+function apiError(code, extra = {}) {
+  return Object.assign(new Error(code), { code, ...extra });
+}
+
+describe('RetryPolicy', () => {
+  let sleep;
+  let policy;
+
+  beforeEach(() => {
+    sleep = jest.fn().mockResolvedValue();
+    policy = new RetryPolicy({ maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000, sleep });
+  });
+
+  test('should retry retryable errors until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(apiError('TIMEOUT'))
+      .mockRejectedValueOnce(apiError('API_ERROR', { status: 502 }))
+      .mockResolvedValueOnce('ok');
+
+    const outcome = await policy.execute(fn);
+
+    expect(outcome.result).toBe('ok');
+    expect(outcome.attempts).toBe(3);
+    expect(outcome.errors.map(error => error.code)).toEqual(['TIMEOUT', 'API_ERROR']);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry client errors', async () => {
+    const fn = jest.fn().mockRejectedValue(apiError('AUTHENTICATION_FAILED', { status: 401 }));
+
+    await expect(policy.execute(fn)).rejects.toMatchObject({ attempts: 1, code: 'AUTHENTICATION_FAILED' });
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    fn.mockRejectedValue(apiError('API_ERROR', { status: 400 }));
+    await expect(policy.execute(fn)).rejects.toMatchObject({ attempts: 1 });
+  });
+
+  test('should stop after max_retries and attach every attempt error', async () => {
+    const fn = jest.fn().mockRejectedValue(apiError('RATE_LIMIT_EXCEEDED', { status: 429 }));
+
+    const error = await policy.execute(fn).catch(e => e);
+
+    expect(fn).toHaveBeenCalledTimes(4);
+    expect(error.attempts).toBe(4);
+    expect(error.attemptErrors).toHaveLength(4);
+    expect(error.attemptErrors[3]).not.toHaveProperty('retry_delay_ms');
+  });
+
+  test('should use jittered exponential backoff capped at maxDelayMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(policy.getDelay(1, apiError('TIMEOUT'))).toBe(100);
+    expect(policy.getDelay(3, apiError('TIMEOUT'))).toBe(400);
+    expect(policy.getDelay(10, apiError('TIMEOUT'))).toBe(1000);
+
+    Math.random.mockReturnValue(0.5);
+    expect(policy.getDelay(2, apiError('TIMEOUT'))).toBe(100);
+
+    Math.random.mockRestore();
+  });
+
+  test('should wait at least as long as Retry-After', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(apiError('RATE_LIMIT_EXCEEDED', { retryAfterMs: 750 }))
+      .mockResolvedValueOnce('ok');
+
+    await policy.execute(fn);
+
+    expect(sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(750);
+  });
+
+  test('should give up when Retry-After exceeds maxDelayMs', async () => {
+    const fn = jest.fn().mockRejectedValue(apiError('RATE_LIMIT_EXCEEDED', { retryAfterMs: 60000 }));
+
+    await expect(policy.execute(fn)).rejects.toMatchObject({ attempts: 1 });
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('should read max_retries and retry settings from config', () => {
+    const fromSettings = RetryPolicy.fromSettings({ max_retries: 5, retry: { base_delay_ms: 250 } });
+
+    expect(fromSettings.maxRetries).toBe(5);
+    expect(fromSettings.baseDelayMs).toBe(250);
+    expect(fromSettings.maxDelayMs).toBe(30000);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('should parse retry-after-ms, seconds and HTTP dates', () => {
+    expect(parseRetryAfter({ 'retry-after-ms': '1500', 'retry-after': '9' })).toBe(1500);
+    expect(parseRetryAfter({ 'retry-after': '2' })).toBe(2000);
+    expect(parseRetryAfter(new Headers({ 'retry-after': '3' }))).toBe(3000);
+
+    const date = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter({ 'retry-after': date })).toBeGreaterThan(8000);
+  });
+
+  test('should return null without a usable header', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter({})).toBeNull();
+    expect(parseRetryAfter({ 'retry-after': 'soon' })).toBeNull();
+  });
+});
@@ -1,237 +1,298 @@
 import { jest } from '@jest/globals';
 import { ModelRouter } from '../../src/router/index.js';
 import { ModelSelector } from '../../src/router/model-selector.js';
-
-// Mock adapters
-const mockAdapters = {
-  'o3-mini': {
-    generateResponse: jest.fn(),
-    checkHealth: jest.fn(),
-    calculateCost: jest.fn()
-  },
-  'gemini-pro': {
-    generateResponse: jest.fn(),
-    checkHealth: jest.fn(),
-    calculateCost: jest.fn()
-  },
-  'claude-3-5-sonnet': {
-    generateResponse: jest.fn(),
-    checkHealth: jest.fn(),
-    calculateCost: jest.fn()
-  }
-};
-
-jest.mock('../../src/adapters/openai-adapter.js', () => ({
-  OpenAIAdapter: jest.fn(() => mockAdapters['o3-mini'])
-}));
-
-jest.mock('../../src/adapters/google-adapter.js', () => ({
-  GoogleAdapter: jest.fn(() => mockAdapters['gemini-pro'])
-}));
-
-jest.mock('../../src/adapters/anthropic-adapter.js', () => ({
-  AnthropicAdapter: jest.fn(() => mockAdapters['claude-3-5-sonnet'])
-}));
+import { RetryPolicy } from '../../src/utils/retry.js';
+
+function createMockAdapter(modelName, provider) {
+  return {
+    name: modelName,
+    provider,
+    modelName,
+    capabilities: ['reasoning'],
+    costPer1kTokens: 0.01,
+    call: jest.fn(),
+    checkAvailability: jest.fn()
+  };
+}
 
 describe('ModelRouter', () => {
   let router;
   let config;
+  let mockAdapters;
 
   beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test-key';
+
     config = {
       models: {
-        openai: {
-          'o3-mini': {
-            apiKey: 'test-key',
-            enabled: true
-          }
-        },
-        google: {
-          'gemini-pro': {
-            projectId: 'test-project',
-            enabled: true
-          }
-        },
-        anthropic: {
-          'claude-3-5-sonnet': {
-            apiKey: 'test-key',
-            enabled: true
-          }
-        }
+        'o3-pro': { provider: 'openai', model_name: 'o3-pro', name: 'OpenAI O3 Pro', enabled: true },
+        'gpt-4.1': { provider: 'openai', model_name: 'gpt-4.1', name: 'GPT-4.1', enabled: true },
+        'claude-opus': { provider: 'anthropic', model_name: 'claude-opus-4-1', name: 'Claude Opus', enabled: true },
+        'disabled-model': { provider: 'openai', model_name: 'o3', name: 'Disabled', enabled: false }
       },
-      routing: {
-        default_model: 'o3-mini',
-        fallback_models: ['gemini-pro', 'claude-3-5-sonnet']
+      settings: {
+        default_model: 'o3-pro',
+        fallback_model: 'claude-opus',
+        available_models: ['o3-pro', 'gpt-4.1']
       }
     };
 
     router = new ModelRouter(config);
-    
-    // Reset all mocks
-    Object.values(mockAdapters).forEach(adapter => {
-      Object.values(adapter).forEach(method => method.mockReset());
-    });
+
+    // Swap the real adapters for mocks
+    mockAdapters = {
+      'o3-pro': createMockAdapter('o3-pro', 'openai'),
+      'gpt-4.1': createMockAdapter('gpt-4.1', 'openai'),
+      'claude-opus': createMockAdapter('claude-opus-4-1', 'anthropic')
+    };
+    for (const [modelId, adapter] of Object.entries(mockAdapters)) {
+      router.adapters.set(modelId, adapter);
+    }
   });
 
-  test('should initialize with correct configuration', () => {
-    expect(router.config).toEqual(config);
-    expect(router.adapters).toHaveProperty('o3-mini');
-    expect(router.adapters).toHaveProperty('gemini-pro');
-    expect(router.adapters).toHaveProperty('claude-3-5-sonnet');
+  afterEach(() => {
+    router.destroy();
   });
 
-  test('should route query to appropriate model', async () => {
-    const mockResponse = {
-      response: 'Test response',
-      model: 'o3-mini',
-      usage: { total_tokens: 100 },
-      cost: 0.01
-    };
+  test('should instantiate one adapter per enabled model', () => {
+    const fresh = new ModelRouter(config);
 
-    mockAdapters['o3-mini'].generateResponse.mockResolvedValue(mockResponse);
+    expect([...fresh.adapters.keys()]).toEqual(['o3-pro', 'gpt-4.1', 'claude-opus']);
+    expect(fresh.adapters.get('claude-opus').provider).toBe('anthropic');
+    fresh.destroy();
+  });
 
-    const result = await router.routeQuery({
-      query: 'What is 2+2?',
-      model: 'o3-mini'
-    });
+  test('should skip models whose adapter cannot be initialized', () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    const fresh = new ModelRouter(config);
 
-    expect(result).toEqual(mockResponse);
-    expect(mockAdapters['o3-mini'].generateResponse).toHaveBeenCalledWith(
-      'What is 2+2?',
-      expect.any(Object)
-    );
+    expect(fresh.adapters.has('claude-opus')).toBe(false);
+    expect(fresh.unavailable['claude-opus']).toContain('Anthropic API key not found');
+    fresh.destroy();
   });
 
-  test('should auto-select model when not specified', async () => {
-    const mockResponse = {
-      response: 'Auto-selected response',
-      model: 'o3-mini',
-      usage: { total_tokens: 150 },
-      cost: 0.015
-    };
+  test('should route query to the requested model', async () => {
+    mockAdapters['gpt-4.1'].call.mockResolvedValue({ response: 'Test response', model: 'gpt-4.1', usage: { total_tokens: 100 }, cost: 0.01 });
 
-    mockAdapters['o3-mini'].generateResponse.mockResolvedValue(mockResponse);
+    const result = await router.route({ query: 'What is 2+2?', model: 'gpt-4.1' });
 
-    const result = await router.routeQuery({
-      query: 'Complex reasoning task that requires deep analysis'
-    });
+    expect(result.response).toBe('Test response');
+    expect(result.model_id).toBe('gpt-4.1');
+    expect(result.selection.strategy).toBe('explicit');
+    expect(mockAdapters['gpt-4.1'].call).toHaveBeenCalledWith({ query: 'What is 2+2?', model: 'gpt-4.1' });
+  });
 
-    expect(result).toEqual(mockResponse);
-    expect(mockAdapters['o3-mini'].generateResponse).toHaveBeenCalled();
+  test('should use the default model when none is requested', async () => {
+    mockAdapters['o3-pro'].call.mockResolvedValue({ response: 'Default response', usage: { total_tokens: 150 }, cost: 0.015 });
+
+    const result = await router.route({ query: 'Complex reasoning task' });
+
+    expect(result.model_id).toBe('o3-pro');
+    expect(mockAdapters['o3-pro'].call).toHaveBeenCalled();
   });
 
-  test('should fallback to secondary model on failure', async () => {
-    const primaryError = new Error('Primary model unavailable');
-    const fallbackResponse = {
-      response: 'Fallback response',
-      model: 'gemini-pro',
-      usage: { total_tokens: 120 },
-      cost: 0.012
-    };
+  test('should fall back to fallback_model on failure', async () => {
+    mockAdapters['o3-pro'].call.mockRejectedValue(new Error('Primary model unavailable'));
+    mockAdapters['claude-opus'].call.mockResolvedValue({ response: 'Fallback response', usage: { total_tokens: 120 }, cost: 0.012 });
 
-    mockAdapters['o3-mini'].generateResponse.mockRejectedValue(primaryError);
-    mockAdapters['gemini-pro'].generateResponse.mockResolvedValue(fallbackResponse);
+    const result = await router.route({ query: 'Test query', model: 'o3-pro' });
 
-    const result = await router.routeQuery({
-      query: 'Test query',
-      model: 'o3-mini'
-    });
+    expect(result.response).toBe('Fallback response');
+    expect(result.model_id).toBe('claude-opus');
+    expect(result.fallback).toEqual({ from: 'o3-pro', reason: 'Primary model unavailable' });
+  });
 
-    expect(result).toEqual(fallbackResponse);
-    expect(mockAdapters['o3-mini'].generateResponse).toHaveBeenCalled();
-    expect(mockAdapters['gemini-pro'].generateResponse).toHaveBeenCalled();
+  test('should rethrow when the fallback model is the one that failed', async () => {
+    mockAdapters['claude-opus'].call.mockRejectedValue(new Error('Claude down'));
+
+    await expect(router.route({ query: 'Test', model: 'claude-opus' })).rejects.toThrow('Claude down');
   });
 
-  test('should get model recommendations', async () => {
-    const recommendations = await router.getModelRecommendations({
-      query: 'Analyze complex data patterns',
-      context: 'Research analysis'
-    });
+  test('should retry transient failures before falling back', async () => {
+    const rateLimited = Object.assign(new Error('Rate limit exceeded'), { code: 'RATE_LIMIT_EXCEEDED', status: 429 });
+    router.retryPolicy = new RetryPolicy({ maxRetries: 2, sleep: jest.fn() });
+    mockAdapters['o3-pro'].call
+      .mockRejectedValueOnce(rateLimited)
+      .mockResolvedValueOnce({ response: 'Second time lucky', usage: { total_tokens: 10 }, cost: 0.01 });
+
+    const result = await router.route({ query: 'Test' });
+
+    expect(result.response).toBe('Second time lucky');
+    expect(result.model_id).toBe('o3-pro');
+    expect(result.attempts).toBe(2);
+    expect(result.attempt_errors).toEqual([
+      expect.objectContaining({ model: 'o3-pro', attempt: 1, code: 'RATE_LIMIT_EXCEEDED', status: 429 })
+    ]);
+    expect(mockAdapters['claude-opus'].call).not.toHaveBeenCalled();
+  });
+
+  test('should report every attempt when falling back after retries', async () => {
+    const overloaded = Object.assign(new Error('Service unavailable'), { code: 'API_ERROR', status: 503 });
+    router.retryPolicy = new RetryPolicy({ maxRetries: 1, sleep: jest.fn() });
+    mockAdapters['o3-pro'].call.mockRejectedValue(overloaded);
+    mockAdapters['claude-opus'].call.mockResolvedValue({ response: 'Fallback response', usage: { total_tokens: 10 }, cost: 0.01 });
+
+    const result = await router.route({ query: 'Test' });
 
-    expect(recommendations).toHaveProperty('recommendations');
-    expect(Array.isArray(recommendations.recommendations)).toBe(true);
-    expect(recommendations.recommendations.length).toBeGreaterThan(0);
+    expect(result.model_id).toBe('claude-opus');
+    expect(result.attempts).toBe(3);
+    expect(result.attempt_errors.map(entry => `${entry.model}#${entry.attempt}`)).toEqual(['o3-pro#1', 'o3-pro#2']);
   });
 
-  test('should list available models', async () => {
-    const models = await router.listModels();
-    
-    expect(models).toHaveProperty('models');
-    expect(models.models).toHaveProperty('o3-mini');
-    expect(models.models).toHaveProperty('gemini-pro');
-    expect(models.models).toHaveProperty('claude-3-5-sonnet');
+  test('should route to the fallback model while a circuit is open', async () => {
+    mockAdapters['o3-pro'].call.mockRejectedValue(new Error('Service unavailable'));
+    mockAdapters['claude-opus'].call.mockResolvedValue({ response: 'Fallback response', usage: { total_tokens: 10 }, cost: 0.01 });
+
+    for (let i = 0; i < 5; i++) {
+      await router.route({ query: 'Test' });
+    }
+    expect(router.getCircuitStates()['o3-pro'].state).toBe('open');
+    mockAdapters['o3-pro'].call.mockClear();
+
+    const result = await router.route({ query: 'Test' });
+
+    expect(mockAdapters['o3-pro'].call).not.toHaveBeenCalled();
+    expect(result.model_id).toBe('claude-opus');
+    expect(result.fallback.reason).toContain('Circuit open for o3-pro');
   });
 
-  test('should perform health check on all models', async () => {
-    mockAdapters['o3-mini'].checkHealth.mockResolvedValue({ status: 'healthy', latency: 100 });
-    mockAdapters['gemini-pro'].checkHealth.mockResolvedValue({ status: 'healthy', latency: 150 });
-    mockAdapters['claude-3-5-sonnet'].checkHealth.mockResolvedValue({ status: 'healthy', latency: 120 });
+  test('should fail fast with CIRCUIT_OPEN when no fallback can take over', async () => {
+    router.fallbackModel = null;
+    mockAdapters['o3-pro'].call.mockRejectedValue(new Error('Service unavailable'));
 
-    const health = await router.healthCheck();
+    for (let i = 0; i < 5; i++) {
+      await router.route({ query: 'Test' }).catch(() => {});
+    }
 
-    expect(health).toHaveProperty('overall_status');
-    expect(health).toHaveProperty('models');
-    expect(health.models).toHaveProperty('o3-mini');
-    expect(health.models).toHaveProperty('gemini-pro');
-    expect(health.models).toHaveProperty('claude-3-5-sonnet');
+    await expect(router.route({ query: 'Test' })).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(mockAdapters['o3-pro'].call).toHaveBeenCalledTimes(5);
   });
 
-  test('should get usage statistics', async () => {
+  test('should record metrics per model', async () => {
+    mockAdapters['o3-pro'].call.mockRejectedValue(new Error('boom'));
+    mockAdapters['claude-opus'].call.mockResolvedValue({ response: 'ok', usage: { total_tokens: 10 }, cost: 0.5 });
+
+    await router.route({ query: 'Test' });
     const stats = await router.getStats();
 
-    expect(stats).toHaveProperty('total_queries');
-    expect(stats).toHaveProperty('total_tokens');
-    expect(stats).toHaveProperty('total_cost');
-    expect(stats).toHaveProperty('model_usage');
-    expect(stats).toHaveProperty('success_rate');
+    expect(stats.models['o3-pro'].success_rate).toBe('0.00');
+    expect(stats.models['claude-opus'].cost).toBe(0.5);
+  });
+
+  test('should list configured models', () => {
+    const listing = router.listModels();
+
+    expect(listing.default_model).toBe('o3-pro');
+    expect(listing.fallback_model).toBe('claude-opus');
+    expect(listing.available_models).toEqual(['o3-pro', 'gpt-4.1']);
+    expect(listing.models.map(model => model.id)).toEqual(['o3-pro', 'gpt-4.1', 'claude-opus']);
+    expect(listing.models.find(model => model.id === 'claude-opus').auto_selectable).toBe(false);
+  });
+
+  test('should perform health check on all models', async () => {
+    mockAdapters['o3-pro'].checkAvailability.mockResolvedValue({ available: true, message: 'OK' });
+    mockAdapters['gpt-4.1'].checkAvailability.mockResolvedValue({ available: true, message: 'OK' });
+    mockAdapters['claude-opus'].checkAvailability.mockResolvedValue({ available: false, message: 'Model not available' });
+
+    const health = await router.healthCheck();
+
+    expect(health.overall_status).toBe('degraded');
+    expect(health.models['o3-pro'].status).toBe('healthy');
+    expect(health.models['claude-opus'].status).toBe('unhealthy');
   });
 
   test('should handle invalid model requests', async () => {
     await expect(
-      router.routeQuery({ query: 'test', model: 'invalid-model' })
+      router.route({ query: 'test', model: 'invalid-model' })
     ).rejects.toThrow('Model not available: invalid-model');
   });
 
   test('should validate query parameters', async () => {
-    await expect(
-      router.routeQuery({})
-    ).rejects.toThrow('Query is required');
-
-    await expect(
-      router.routeQuery({ query: '' })
-    ).rejects.toThrow('Query cannot be empty');
+    await expect(router.route({})).rejects.toThrow('Query is required');
+    await expect(router.route({ query: '' })).rejects.toThrow('Query cannot be empty');
   });
 });
 
 describe('ModelSelector', () => {
-  test('should select appropriate model for different query types', () => {
-    const selector = new ModelSelector({
-      available_models: ['o3-mini', 'o3', 'gemini-pro', 'claude-3-5-sonnet']
-    });
+  const config = {
+    models: {
+      'o3-pro': {
+        capabilities: ['reasoning', 'coding', 'analysis', 'math'],
+        cost_per_1k_tokens: 0.06,
+        selection: { quality: 10, speed: 2 }
+      },
+      'gemini-pro': {
+        capabilities: ['reasoning', 'coding', 'analysis', 'multimodal'],
+        cost_per_1k_tokens: 0.01,
+        selection: { quality: 9, speed: 6 }
+      },
+      'local-llm': {
+        capabilities: ['coding'],
+        cost_per_1k_tokens: 0,
+        selection: { quality: 5, speed: 9 }
+      }
+    },
+    settings: {
+      default_model: 'o3-pro',
+      selection_preferences: {
+        speed_threshold_words: 10,
+        reasoning_keywords: ['analyze', 'explain', 'solve', 'complex'],
+        cost_optimize: false,
+        cost_weight: 0.3,
+        quality_speed_balance: 0.8
+      }
+    }
+  };
+  const candidates = ['o3-pro', 'gemini-pro', 'local-llm'];
 
-    // Test reasoning-heavy query
-    expect(selector.selectModel('Solve this complex mathematical proof')).toBe('o3');
+  test('should honor an explicit model', () => {
+    const selector = new ModelSelector(config);
+    const selection = selector.select({ query: 'Hi', model: 'gemini-pro' }, candidates);
 
-    // Test creative query
-    expect(selector.selectModel('Write a creative story about space')).toBe('claude-3-5-sonnet');
+    expect(selection).toMatchObject({ model: 'gemini-pro', strategy: 'explicit' });
+  });
 
-    // Test multimodal query
-    expect(selector.selectModel('Analyze this image and explain what you see')).toBe('gemini-pro');
+  test('should favour quality for reasoning-heavy queries', () => {
+    const selector = new ModelSelector(config);
+    const selection = selector.select({ query: 'Solve this complex scheduling problem step by step' }, candidates);
 
-    // Test general query
-    expect(selector.selectModel('What is the weather like?')).toBe('o3-mini');
+    expect(selection.model).toBe('o3-pro');
+    expect(selection.strategy).toBe('auto');
+    expect(selection.analysis.reasoning_keywords).toEqual(['solve', 'complex']);
+    expect(selection.rationale).toContain('favour quality');
   });
 
-  test('should handle context-based selection', () => {
+  test('should favour speed for short simple queries', () => {
+    const selector = new ModelSelector(config);
+    const selection = selector.select({ query: 'Rename this variable' }, candidates);
+
+    expect(selection.model).toBe('local-llm');
+    expect(selection.rationale).toContain('favours speed');
+  });
+
+  test('should weigh cost when cost_optimize is on', () => {
     const selector = new ModelSelector({
-      available_models: ['o3', 'gemini-pro', 'claude-3-5-sonnet']
+      ...config,
+      settings: {
+        ...config.settings,
+        selection_preferences: { ...config.settings.selection_preferences, cost_optimize: true, cost_weight: 0.5 }
+      }
     });
+    const selection = selector.select({ query: 'Explain the trade-offs of this caching design in depth' }, candidates);
+
+    expect(selection.model).toBe('gemini-pro');
+    expect(selection.scores).toHaveLength(3);
+  });
+
+  test('should only consider models with the required capabilities', () => {
+    const selector = new ModelSelector(config);
+    const selection = selector.select({ query: 'Describe this screenshot', capabilities: ['multimodal'] }, candidates);
 
-    const selection = selector.selectModel(
-      'Help me debug this code',
-      'Programming and software development'
-    );
+    expect(selection.model).toBe('gemini-pro');
+    expect(selection.rationale).toContain('only eligible model');
 
-    expect(['o3', 'claude-3-5-sonnet']).toContain(selection);
+    expect(() => selector.select({ query: 'x', capabilities: ['telepathy'] }, candidates))
+      .toThrow('No available model has the required capabilities: telepathy');
   });
 });
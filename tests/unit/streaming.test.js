@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+import { ProgressReporter } from '../../src/utils/progress.js';
+
+async function* streamOf(events) {
+  for (const event of events) {
+    yield event;
+  }
+}
+
+describe('OpenAIAdapter streaming', () => {
+  let adapter;
+  let onProgress;
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+    onProgress = jest.fn();
+  });
+
+  test('should stream Responses API output and report progress', async () => {
+    adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] });
+    const completed = {
+      model: 'o3-pro',
+      output_text: 'Hello world',
+      usage: { input_tokens: 10, output_tokens: 40, total_tokens: 50, output_tokens_details: { reasoning_tokens: 30 } }
+    };
+    adapter.client = {
+      responses: {
+        create: jest.fn().mockResolvedValue(streamOf([
+          { type: 'response.created', response: {} },
+          { type: 'response.reasoning_summary_text.delta', delta: 'Thinking' },
+          { type: 'response.output_text.delta', delta: 'Hello' },
+          { type: 'response.output_text.delta', delta: ' world' },
+          { type: 'response.completed', response: completed }
+        ]))
+      }
+    };
+
+    const result = await adapter.call({ query: 'Hi', reasoning_level: 'high', onProgress });
+
+    expect(adapter.client.responses.create.mock.calls[0][0].stream).toBe(true);
+    expect(result.response).toBe('Hello world');
+    expect(result.usage.reasoning_tokens).toBe(30);
+    expect(onProgress.mock.calls.map(([event]) => event.phase)).toEqual(['reasoning', 'output', 'output', 'completed']);
+    expect(onProgress.mock.calls[2][0].partial_text).toBe('Hello world');
+    expect(onProgress.mock.calls[3][0].usage.reasoning_tokens).toBe(30);
+  });
+
+  test('should raise stream failures as errors', async () => {
+    adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro' });
+    adapter.client = {
+      responses: {
+        create: jest.fn().mockResolvedValue(streamOf([
+          { type: 'response.failed', response: { error: { message: 'server_error' } } }
+        ]))
+      }
+    };
+
+    await expect(adapter.call({ query: 'Hi', onProgress })).rejects.toMatchObject({ code: 'API_ERROR' });
+  });
+
+  test('should reassemble streamed chat tool calls', async () => {
+    adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'gpt-4.1', capabilities: ['function_calling'] });
+    const fileTools = { readFile: jest.fn().mockResolvedValue({ content: '1: ok' }) };
+    adapter.client = {
+      chat: {
+        completions: {
+          create: jest.fn()
+            .mockResolvedValueOnce(streamOf([
+              { model: 'gpt-4.1', choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '{"pa' } }] } }] },
+              { model: 'gpt-4.1', choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'th":"a.js"}' } }] } }] },
+              { model: 'gpt-4.1', choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }
+            ]))
+            .mockResolvedValueOnce(streamOf([
+              { model: 'gpt-4.1', choices: [{ delta: { content: 'It is ok' } }] },
+              { model: 'gpt-4.1', choices: [], usage: { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 } }
+            ]))
+        }
+      }
+    };
+
+    const result = await adapter.call({ query: 'Read a.js', enable_functions: true, fileTools, onProgress });
+
+    expect(fileTools.readFile).toHaveBeenCalledWith('a.js', {});
+    const secondRequest = adapter.client.chat.completions.create.mock.calls[1][0];
+    expect(secondRequest.stream_options).toEqual({ include_usage: true });
+    expect(secondRequest.messages.find(message => message.tool_calls).tool_calls[0]).toEqual({
+      id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.js"}' }
+    });
+    expect(result.response).toBe('It is ok');
+    expect(result.usage.total_tokens).toBe(38);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'tool_call', tool: 'read_file' }));
+  });
+});
+
+describe('ProgressReporter', () => {
+  let sendNotification;
+  let reporter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sendNotification = jest.fn().mockResolvedValue();
+    reporter = new ProgressReporter(sendNotification, 'token-1', { intervalMs: 5000, minIntervalMs: 1000 });
+  });
+
+  afterEach(() => {
+    reporter.stop();
+    jest.useRealTimers();
+  });
+
+  test('should send heartbeats with elapsed time until stopped', () => {
+    reporter.start();
+    jest.advanceTimersByTime(10000);
+
+    expect(sendNotification).toHaveBeenCalledTimes(3);
+    const { params } = sendNotification.mock.calls[2][0];
+    expect(params).toMatchObject({ progressToken: 'token-1', progress: 3 });
+    expect(params.message).toContain('10s elapsed');
+
+    reporter.stop();
+    jest.advanceTimersByTime(10000);
+    expect(sendNotification).toHaveBeenCalledTimes(3);
+  });
+
+  test('should throttle stream updates and accumulate reasoning tokens', () => {
+    reporter.start();
+    jest.advanceTimersByTime(1000);
+
+    reporter.update({ model: 'o3-pro', phase: 'completed', usage: { reasoning_tokens: 1200, output_tokens: 1300 } });
+    reporter.update({ model: 'o3-pro', phase: 'output', partial_text: 'The answer' });
+
+    expect(sendNotification).toHaveBeenCalledTimes(2);
+    const { params } = sendNotification.mock.calls[1][0];
+    expect(params.message).toBe('o3-pro completed · 1s elapsed · 1200 reasoning tokens');
+    expect(params._meta).toMatchObject({ reasoning_tokens: 1200, output_tokens: 1300, elapsed_ms: 1000 });
+
+    jest.advanceTimersByTime(1000);
+    reporter.update({ model: 'o3-pro', phase: 'output', partial_text: 'The answer is 42' });
+    expect(sendNotification.mock.calls[2][0].params._meta.partial_text).toBe('The answer is 42');
+  });
+});
@@ -0,0 +1,258 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ThreadStore } from '../../src/threads/thread-store.js';
+import { exportThread } from '../../src/threads/thread-export.js';
+import { O3ProService } from '../../src/o3-service.js';
+import { OpenAIAdapter } from '../../src/adapters/openai-adapter.js';
+import { AnthropicAdapter } from '../../src/adapters/anthropic-adapter.js';
+
+describe('Conversation threads', () => {
+  let dir;
+
+  beforeEach(async () => {
+    process.env.OPENAI_API_KEY = 'sk-test-key';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test-key';
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-threads-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('ThreadStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new ThreadStore({ directory: dir });
+    });
+
+    test('should create a thread on its first turn and append later turns', async () => {
+      await store.appendTurn('design', { query: 'How should we shard?', response: 'By tenant', cost: 0.1 });
+      await store.appendTurn('design', { query: 'And rebalancing?', response: 'Consistent hashing', cost: 0.2 });
+
+      const thread = await store.require('design');
+      expect(thread.title).toBe('How should we shard?');
+      expect(thread.turns.map(turn => turn.turn)).toEqual([1, 2]);
+      expect(thread.turns[1].response).toBe('Consistent hashing');
+    });
+
+    test('should keep every turn of concurrent appends to one thread', async () => {
+      await Promise.all(['A', 'B', 'C'].map(query => store.appendTurn('design', { query, response: query.toLowerCase() })));
+      await expect(store.appendTurn('../secrets', { query: 'Q' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+      await store.appendTurn('design', { query: 'D', response: 'd' });
+
+      const thread = await store.require('design');
+      expect(thread.turns.map(turn => `${turn.turn}:${turn.query}`)).toEqual(['1:A', '2:B', '3:C', '4:D']);
+      expect(store.appending.size).toBe(0);
+    });
+
+    test('should list thread summaries, most recently updated first', async () => {
+      await store.appendTurn('older', { query: 'First', response: 'A', model_id: 'o3-pro', usage: { total_tokens: 10 }, cost: 0.1 });
+      await store.appendTurn('newer', { query: 'Second', response: 'B', model_id: 'claude-opus', usage: { total_tokens: 5 }, cost: 0.05 });
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'not a thread');
+
+      const threads = await store.list();
+
+      expect(threads.map(thread => thread.thread_id)).toEqual(['newer', 'older']);
+      expect(threads[1]).toMatchObject({ turns: 1, last_model: 'o3-pro', total_tokens: 10, total_cost: 0.1 });
+    });
+
+    test('should delete threads', async () => {
+      await store.appendTurn('design', { query: 'Q', response: 'A' });
+
+      expect(await store.delete('design')).toBe(true);
+      expect(await store.delete('design')).toBe(false);
+      await expect(store.require('design')).rejects.toMatchObject({ code: 'THREAD_NOT_FOUND' });
+    });
+
+    test('should reject thread ids that are not safe file names', async () => {
+      await expect(store.get('../secrets')).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+    });
+
+    test('should return no threads before the directory exists', async () => {
+      store = new ThreadStore({ directory: path.join(dir, 'missing') });
+
+      expect(await store.list()).toEqual([]);
+    });
+  });
+
+  describe('forking and export', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new ThreadStore({ directory: dir });
+      await store.appendTurn('design', {
+        query: 'How should we shard?',
+        response: 'By tenant',
+        model: 'o3-pro',
+        model_id: 'o3-pro',
+        response_id: 'resp_1',
+        usage: { input_tokens: 100, output_tokens: 40, total_tokens: 140, reasoning_tokens: 30 },
+        cost: 0.25,
+        duration_ms: 12300,
+        timestamp: '2025-01-01T00:00:00.000Z'
+      });
+      await store.appendTurn('design', {
+        query: 'And rebalancing?',
+        context: 'We run 12 shards',
+        response: 'Consistent hashing',
+        model: 'claude-opus-4-1',
+        model_id: 'claude-opus',
+        usage: { input_tokens: 50, output_tokens: 10, total_tokens: 60 },
+        cost: 0.05
+      });
+    });
+
+    test('should fork a thread after an earlier turn', async () => {
+      const fork = await store.fork('design', { turn: 1, newThreadId: 'design-alt' });
+
+      expect(fork).toMatchObject({ id: 'design-alt', forked_from: { thread_id: 'design', turn: 1 } });
+      expect(fork.turns).toHaveLength(1);
+      expect(fork.turns[0].response_id).toBe('resp_1');
+      expect((await store.require('design')).turns).toHaveLength(2);
+    });
+
+    test('should fork from the latest turn with a generated id by default', async () => {
+      const fork = await store.fork('design');
+
+      expect(fork.id).toMatch(/^thread_/);
+      expect(fork.turns).toHaveLength(2);
+    });
+
+    test('should reject forks from turns that do not exist or onto existing threads', async () => {
+      await expect(store.fork('design', { turn: 3 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+      await expect(store.fork('design', { newThreadId: 'design' })).rejects.toMatchObject({ code: 'THREAD_EXISTS' });
+    });
+
+    test('should export Markdown with per-turn model, usage and cost', async () => {
+      const markdown = exportThread(await store.require('design'));
+
+      expect(markdown).toMatch(/^# How should we shard\?/);
+      expect(markdown).toContain('**Turns:** 2 · **Tokens:** 200 · **Cost:** $0.3000');
+      expect(markdown).toContain('## Turn 1');
+      expect(markdown).toContain('**Model:** o3-pro · **Mode:** single · **Tokens:** 100 in / 40 out (30 reasoning) · **Cost:** $0.2500 · **Duration:** 12.3s');
+      expect(markdown).toContain('**Model:** claude-opus-4-1 (`claude-opus`)');
+      expect(markdown).toContain('### Context\n\nWe run 12 shards');
+      expect(markdown).toContain('### Answer\n\nConsistent hashing');
+    });
+
+    test('should export JSON with totals', async () => {
+      const exported = JSON.parse(exportThread(await store.require('design'), 'json'));
+
+      expect(exported).toMatchObject({ thread_id: 'design', totals: { turns: 2, cost: 0.3 } });
+      expect(exported.totals.usage.total_tokens).toBe(200);
+      expect(exported.turns[1].model_id).toBe('claude-opus');
+    });
+
+    test('should reject unknown export formats', () => {
+      expect(() => exportThread({ id: 'design', turns: [] }, 'pdf')).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENTS' }));
+    });
+  });
+
+  describe('O3ProService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new O3ProService({
+        models: {
+          'o3-pro': { provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] }
+        },
+        settings: { default_model: 'o3-pro', threads: { directory: dir } }
+      });
+      service.router.route = jest.fn()
+        .mockResolvedValueOnce({ response: 'By tenant', model: 'o3-pro', model_id: 'o3-pro', response_id: 'resp_1', usage: { total_tokens: 100 }, cost: 0.2 })
+        .mockResolvedValueOnce({ response: 'Consistent hashing', model: 'o3-pro', model_id: 'o3-pro', response_id: 'resp_2', usage: { total_tokens: 50 }, cost: 0.1 });
+    });
+
+    afterEach(() => {
+      service.rateLimiter.destroy();
+      service.metrics.destroy();
+    });
+
+    test('should continue a thread with its history and previous response id', async () => {
+      const first = await service.query({ query: 'How should we shard?', thread_id: 'design' });
+      const second = await service.query({ query: 'And rebalancing?', thread_id: 'design' });
+
+      expect(first).toMatchObject({ thread_id: 'design', thread_turn: 1 });
+      expect(second).toMatchObject({ thread_id: 'design', thread_turn: 2 });
+
+      const followUp = service.router.route.mock.calls[1][0];
+      expect(followUp.previous_response_id).toBe('resp_1');
+      expect(followUp.history).toEqual([
+        { role: 'user', content: 'How should we shard?' },
+        { role: 'assistant', content: 'By tenant' }
+      ]);
+
+      const thread = JSON.parse((await service.getThread('design')).response);
+      expect(thread.turns[1]).toMatchObject({ model_id: 'o3-pro', response_id: 'resp_2', cost: 0.1 });
+    });
+
+    test('should not touch threads for queries without a thread_id', async () => {
+      await service.query({ query: 'One-off question' });
+
+      expect(service.router.route.mock.calls[0][0]).not.toHaveProperty('history');
+      expect(JSON.parse((await service.listThreads()).response).threads).toEqual([]);
+    });
+
+    test('should report deleting a missing thread', async () => {
+      await expect(service.deleteThread('nope')).rejects.toMatchObject({ code: 'THREAD_NOT_FOUND' });
+    });
+  });
+
+  describe('adapters', () => {
+    const history = [
+      { role: 'user', content: 'How should we shard?' },
+      { role: 'assistant', content: 'By tenant' }
+    ];
+
+    test('OpenAI Responses API should chain onto the previous response', async () => {
+      const adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] });
+      adapter.client = {
+        responses: { create: jest.fn().mockResolvedValue({ id: 'resp_2', output_text: 'Consistent hashing', usage: {} }) }
+      };
+
+      const result = await adapter.call({ query: 'And rebalancing?', history, previous_response_id: 'resp_1' });
+
+      expect(adapter.client.responses.create.mock.calls[0][0]).toMatchObject({
+        input: 'And rebalancing?',
+        previous_response_id: 'resp_1'
+      });
+      expect(result.response_id).toBe('resp_2');
+    });
+
+    test('OpenAI Responses API should send history when there is no stored response', async () => {
+      const adapter = new OpenAIAdapter({ provider: 'openai', model_name: 'o3-pro', capabilities: ['reasoning'] });
+      adapter.client = {
+        responses: { create: jest.fn().mockResolvedValue({ id: 'resp_2', output_text: 'Consistent hashing', usage: {} }) }
+      };
+
+      await adapter.call({ query: 'And rebalancing?', history });
+
+      const params = adapter.client.responses.create.mock.calls[0][0];
+      expect(params.input).toEqual([...history, { role: 'user', content: 'And rebalancing?' }]);
+      expect(params).not.toHaveProperty('previous_response_id');
+    });
+
+    test('Anthropic should replay the history as messages', async () => {
+      const adapter = new AnthropicAdapter({ provider: 'anthropic', model_name: 'claude-opus-4-1' });
+      adapter.client = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            content: [{ type: 'text', text: 'Consistent hashing' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 10, output_tokens: 5 }
+          })
+        }
+      };
+
+      await adapter.call({ query: 'And rebalancing?', history, previous_response_id: 'resp_1' });
+
+      expect(adapter.client.messages.create.mock.calls[0][0].messages).toEqual([
+        ...history,
+        { role: 'user', content: 'And rebalancing?' }
+      ]);
+    });
+  });
+});
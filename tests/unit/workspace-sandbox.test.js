@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WorkspaceSandbox } from '../../src/tools/workspace-sandbox.js';
+import { FileTools } from '../../src/tools/file-tools.js';
+import { BaseAdapter } from '../../src/adapters/base-adapter.js';
+
+describe('Workspace sandbox', () => {
+  let dir;
+  let root;
+  let outside;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepthink-workspace-'));
+    root = path.join(dir, 'project');
+    outside = path.join(dir, 'outside');
+
+    await fs.mkdir(path.join(root, 'src'), { recursive: true });
+    await fs.mkdir(path.join(root, 'config', '.ssh'), { recursive: true });
+    await fs.mkdir(outside);
+    await fs.writeFile(path.join(root, 'src', 'app.js'), 'const token = process.env.TOKEN;\n');
+    await fs.writeFile(path.join(root, 'README.md'), '# Project\n');
+    await fs.writeFile(path.join(root, '.env'), 'TOKEN=secret\n');
+    await fs.writeFile(path.join(root, 'config', 'server.pem'), 'TOKEN PEM\n');
+    await fs.writeFile(path.join(root, 'config', '.ssh', 'known_hosts'), 'host\n');
+    await fs.writeFile(path.join(outside, 'passwd'), 'root:x:0:0\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('WorkspaceSandbox', () => {
+    test('should resolve paths inside the workspace', async () => {
+      const sandbox = new WorkspaceSandbox({ root });
+
+      expect(await sandbox.resolve('src/app.js')).toBe(path.join(root, 'src', 'app.js'));
+      expect(await sandbox.resolve('.')).toBe(root);
+      expect(await sandbox.resolve('src/new-file.js')).toBe(path.join(root, 'src', 'new-file.js'));
+    });
+
+    test('should reject paths that leave the workspace', async () => {
+      const sandbox = new WorkspaceSandbox({ root });
+
+      await expect(sandbox.resolve('../outside/passwd')).rejects.toMatchObject({
+        code: 'PATH_NOT_ALLOWED',
+        message: expect.stringContaining('outside the workspace')
+      });
+      await expect(sandbox.resolve('/etc/passwd')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      await expect(sandbox.resolve('..')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should allow names inside the workspace that start with ".."', async () => {
+      const sandbox = new WorkspaceSandbox({ root });
+
+      expect(await sandbox.resolve('..notes.md')).toBe(path.join(root, '..notes.md'));
+      expect(sandbox.isAllowed(path.join(root, '..cache', 'data.json'))).toBe(true);
+    });
+
+    test('should reject symlinks that escape the workspace', async () => {
+      await fs.symlink(outside, path.join(root, 'linked'));
+      const sandbox = new WorkspaceSandbox({ root });
+
+      await expect(sandbox.resolve('linked/passwd')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      await expect(sandbox.resolve('linked/new-file')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should reject symlinks to denied files', async () => {
+      await fs.symlink(path.join(root, '.env'), path.join(root, 'settings.txt'));
+
+      await expect(new WorkspaceSandbox({ root }).resolve('settings.txt')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should deny secrets by default', async () => {
+      const sandbox = new WorkspaceSandbox({ root });
+
+      for (const secret of ['.env', '.env.production', 'config/server.pem', 'config/.ssh/known_hosts', 'deploy/id_rsa.pub', 'aws/credentials']) {
+        await expect(sandbox.resolve(secret)).rejects.toMatchObject({
+          code: 'PATH_NOT_ALLOWED',
+          message: expect.stringContaining('deny pattern')
+        });
+      }
+    });
+
+    test('should deny deepthink and git state by default', async () => {
+      const sandbox = new WorkspaceSandbox({ root });
+
+      for (const state of ['.deepthink/journal.json', '.deepthink/backups/1/src/app.js', '.git/hooks/pre-commit', 'vendor/lib/.git/config']) {
+        await expect(sandbox.resolve(state)).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      }
+      await expect(sandbox.resolve('.gitignore')).resolves.toBe(path.join(root, '.gitignore'));
+      await expect(new FileTools({ root, allow_writes: true }).createFile('.git/hooks/post-checkout', 'x'))
+        .rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should apply configured allow and deny globs', async () => {
+      const sandbox = new WorkspaceSandbox({ root, allow: ['src/**', '*.md'], deny: ['src/generated/**'] });
+
+      await expect(sandbox.resolve('src/app.js')).resolves.toBeDefined();
+      await expect(sandbox.resolve('README.md')).resolves.toBeDefined();
+      await expect(sandbox.resolve('src')).resolves.toBeDefined();
+      await expect(sandbox.resolve('src/generated/schema.js')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      await expect(sandbox.resolve('config/app.yaml')).rejects.toMatchObject({
+        message: expect.stringContaining('allow list')
+      });
+    });
+
+    test('should allow secrets when the default denylist is turned off', async () => {
+      await expect(new WorkspaceSandbox({ root, use_default_deny: false }).resolve('.env')).resolves.toBe(path.join(root, '.env'));
+    });
+  });
+
+  describe('FileTools', () => {
+    let tools;
+
+    beforeEach(() => {
+      tools = new FileTools({ root });
+    });
+
+    test('should read files inside the workspace', async () => {
+      expect((await tools.readFile('README.md')).content).toBe('1: # Project\n2: ');
+    });
+
+    test('should refuse to read denied files', async () => {
+      await expect(tools.readFile('.env')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+      await expect(tools.readFile('../outside/passwd')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should leave denied files out of listings', async () => {
+      const listing = await tools.listDirectory('.');
+
+      expect(listing.items.map(item => item.name).sort()).toEqual(['README.md', 'config', 'src']);
+      await expect(tools.listDirectory('..')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should leave denied files out of search results', async () => {
+      const { matches } = await tools.grep('TOKEN');
+
+      expect(matches.map(match => path.relative(root, match.file))).toEqual([path.join('src', 'app.js')]);
+      await expect(tools.grep('root', { path: '../outside' })).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should leave denied files out of glob results', async () => {
+      const { files } = await tools.glob('*.pem');
+
+      expect(files).toEqual([]);
+      await expect(tools.glob('*', '/etc')).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    });
+
+    test('should report denied paths to the model as tool errors', async () => {
+      const adapter = new BaseAdapter({ name: 'test' });
+
+      expect(await adapter.executeTool('read_file', { path: '.env' }, tools))
+        .toBe('Error: Access denied: .env matches the workspace deny pattern ".env"');
+    });
+  });
+});